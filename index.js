@@ -25,8 +25,10 @@ const RosettaClient = require('rosetta-node-sdk-client');
 const RosettaFetcher = require('./lib/fetcher');
 const RosettaServer = require('./lib/server');
 const RosettaReconciler = require('./lib/reconciler');
+const RosettaReconcilerEvents = require('./lib/reconciler/events');
 const RosettaParser = require('./lib/parser');
 const RosettaAsserter = require('./lib/asserter');
+const RosettaStorage = require('./lib/storage');
 
 const RosettaUtils = require('./lib/utils');
 const RosettaInternalModels = require('./lib/models');
@@ -43,6 +45,7 @@ module.exports = {
   Fetcher: RosettaFetcher,
   Client: RosettaClient,
   Parser: RosettaParser,
+  Storage: RosettaStorage,
 
   Utils: RosettaUtils,
   InternalModels: RosettaInternalModels,
@@ -51,5 +54,6 @@ module.exports = {
   version: '1.4.1',
 
   SyncerEvents: RosettaSyncerEvents,
+  ReconcilerEvents: RosettaReconcilerEvents,
   Errors: RosettaErrors,
 };
\ No newline at end of file
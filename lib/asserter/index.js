@@ -288,6 +288,37 @@ class RosettaAsserter {
     }
   }
 
+  /**
+   * Validates an Rosetta:ConstructionPreprocessResponse.
+   *
+   * @param {Rosetta:ConstructionPreprocessResponse} constructionPreprocessResponse - Response that will be validated.
+   * @throws {AsserterError} thrown if the provided response is null, if the options are not an object, or if
+   *     one of the required_public_keys is an invalid Rosetta:AccountIdentifier.
+   */
+  ConstructionPreprocessResponse(constructionPreprocessResponse) {
+    if (constructionPreprocessResponse == null) {
+      throw new AsserterError('ConstructionPreprocessResponse cannot be null');
+    }
+
+    const { options, required_public_keys: requiredPublicKeys } = constructionPreprocessResponse;
+
+    if (options != null && (typeof options != 'object' || Array.isArray(options))) {
+      throw new AsserterError('ConstructionPreprocessResponse.options must be an object');
+    }
+
+    if (requiredPublicKeys == null) {
+      return;
+    }
+
+    if (!Array.isArray(requiredPublicKeys)) {
+      throw new AsserterError('ConstructionPreprocessResponse.required_public_keys must be an array');
+    }
+
+    for (const accountIdentifier of requiredPublicKeys) {
+      this.AccountIdentifier(accountIdentifier);
+    }
+  }
+
   /**
    * Validates an Rosetta:TransactionIdentifierResponse.
    *
@@ -1526,7 +1557,8 @@ class RosettaAsserter {
       this.Timestamp(block.timestamp);
     }
 
-    for (let transaction of block.transactions) {
+    // Blocks without transactions may omit the array
+    for (let transaction of block.transactions || []) {
       this.Transaction(transaction);
     }
   }
@@ -29,10 +29,28 @@ class FetcherError extends Error {
   /**
    * Initializing an error.
    * @param {string} message - error message string
+   * @param {object} [details = {}]
+   * @param {string} [details.endpoint = null] - endpoint the request was sent to, e.g. `/block`
+   * @param {object} [details.request = null] - request that was sent to the endpoint
+   * @param {Error} [details.cause = null] - error that caused this error
+   * @param {number} [details.code = null] - code of the Rosetta Error returned by the node
+   * @param {boolean} [details.retriable = false] - whether the request can be retried
+   * @param {object} [details.details = null] - details of the Rosetta Error returned by the node
+   * @param {number} [details.status = null] - HTTP status of the response
+   * @param {number} [details.retryAfter = null] - delay in milliseconds requested by the Retry-After header
    */
-  constructor(message) {
+  constructor(message, { endpoint = null, request = null, cause = null,
+    code = null, retriable = false, details = null, status = null, retryAfter = null } = {}) {
     super(message);
     this.name = 'FetcherError';
+    this.endpoint = endpoint;
+    this.request = request;
+    this.cause = cause;
+    this.code = code;
+    this.retriable = retriable;
+    this.details = details;
+    this.status = status;
+    this.retryAfter = retryAfter;
   }
 }
 module.exports = FetcherError;
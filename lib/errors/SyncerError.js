@@ -29,10 +29,12 @@ class SyncerError extends Error {
   /**
    * Initializing an error.
    * @param {string} message - error message string
+   * @param {Rosetta:Block|Rosetta:BlockIdentifier} [block = null] - block that was being processed when the error occurred
    */
-  constructor(message) {
+  constructor(message, block = null) {
     super(message);
     this.name = 'SyncerError';
+    this.block = block;
   }
 }
 module.exports = SyncerError;
@@ -31,6 +31,7 @@ const InputError = require('./InputError');
 const ParserError = require('./ParserError');
 const ReconcilerError = require('./ReconcilerError');
 const InternalError = require('./InternalError');
+const StorageError = require('./StorageError');
 
 module.exports = {
   FetcherError,
@@ -40,4 +41,5 @@ module.exports = {
   ParserError,
   ReconcilerError,
   InternalError,
+  StorageError,
 };
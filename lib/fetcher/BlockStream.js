@@ -0,0 +1,216 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Async iterator over a range of blocks, returned by `fetcher.blocks()`.
+ * At most `concurrency` blocks are fetched ahead of the consumer and blocks
+ * are yielded in index order. With `to: 'tip'` the stream follows the tip of the
+ * network and never ends unless it is cancelled.
+ * @class BlockStream
+ */
+
+const RosettaClient = require('rosetta-node-sdk-client');
+const { FetcherError } = require('../errors');
+
+const TIP = 'tip';
+
+class BlockStream {
+  /**
+   * @param {RosettaFetcher} fetcher - fetcher used to fetch the blocks.
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network of the blocks.
+   * @param {number} [from = 0] - index of the first block.
+   * @param {number|string} [to = 'tip'] - index of the last block (inclusive) or `tip` to follow the tip.
+   * @param {number} [concurrency] - blocks fetched ahead of the consumer, defaults to `promisePoolSize`.
+   * @param {number} [pollInterval = 1000] - time in milliseconds between polls of the tip, once it was reached.
+   * @param {AbortSignal} [signal] - signal that cancels the stream when aborted.
+   * @param {object} [fetchOptions = {}] - see `fetcher.block`.
+   */
+  constructor(fetcher, networkIdentifier, { from = 0, to = TIP, concurrency = fetcher.options.promisePoolSize,
+    pollInterval = 1000, signal, fetchOptions = {} } = {}) {
+    if (typeof from !== 'number' || isNaN(from) || (to !== TIP && (typeof to !== 'number' || isNaN(to)))) {
+      throw new FetcherError('Arguments from and to must be a valid number or to must be \'tip\'');
+    }
+
+    this.fetcher = fetcher;
+    this.networkIdentifier = networkIdentifier;
+    this.to = to;
+    this.concurrency = Math.max(1, concurrency);
+    this.pollInterval = pollInterval;
+    this.fetchOptions = fetchOptions;
+
+    this.nextIndex = from;
+    this.fetchIndex = from;
+    this.endIndex = to === TIP ? null : to;
+    this.pending = new Map();
+
+    this.cancelled = false;
+    this.cancelledPromise = new Promise((fulfill) => {
+      this.resolveCancelled = fulfill;
+    });
+    this.pollTimer = null;
+
+    this.signal = signal;
+    this.onAbort = () => this.cancel();
+    if (signal) {
+      if (signal.aborted) this.cancel();
+      signal.addEventListener('abort', this.onAbort);
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Get the next block in index order.
+   *
+   * @return {Promise<{value: Rosetta:Block, done: boolean}>} - done once the last block was
+   *     yielded or the stream was cancelled.
+   * @throws {FetcherError} thrown if a block cannot be fetched, the stream is cancelled afterwards.
+   */
+  async next() {
+    if (this.cancelled) {
+      return { value: undefined, done: true };
+    }
+
+    try {
+      const hasNext = await this.waitForBlock();
+      if (!hasNext) {
+        this.cancel();
+        return { value: undefined, done: true };
+      }
+
+      this.fill();
+
+      const block = await Promise.race([this.pending.get(this.nextIndex), this.cancelledPromise]);
+      if (this.cancelled) {
+        return { value: undefined, done: true };
+      }
+
+      this.pending.delete(this.nextIndex);
+      this.nextIndex++;
+      this.fill();
+
+      return { value: block, done: false };
+    } catch (e) {
+      this.cancel();
+      throw e;
+    }
+  }
+
+  /**
+   * Called when a `for await` loop is left early, cancels the stream.
+   *
+   * @return {Promise<{value: undefined, done: boolean}>}
+   */
+  async return() {
+    this.cancel();
+    return { value: undefined, done: true };
+  }
+
+  /**
+   * Stop fetching blocks. Blocks that are still fetched are discarded and
+   * a pending `next()` resolves with `done`.
+   */
+  cancel() {
+    if (this.cancelled) {
+      return;
+    }
+
+    this.cancelled = true;
+    this.pending.clear();
+    clearTimeout(this.pollTimer);
+    this.resolveCancelled();
+
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.onAbort);
+    }
+  }
+
+  /**
+   * Wait until the next block is within the range, polling the tip if the range ends at the tip.
+   *
+   * @return {Promise<boolean>} - false if the range is done or the stream was cancelled.
+   */
+  async waitForBlock() {
+    if (this.to !== TIP) {
+      return this.nextIndex <= this.endIndex;
+    }
+
+    if (this.endIndex == null || this.nextIndex > this.endIndex) {
+      await this.updateTip();
+    }
+
+    while (!this.cancelled && this.nextIndex > this.endIndex) {
+      await Promise.race([this.sleep(this.pollInterval), this.cancelledPromise]);
+
+      if (!this.cancelled) {
+        await this.updateTip();
+      }
+    }
+
+    return !this.cancelled;
+  }
+
+  /**
+   * Fetch the current block index of the network.
+   *
+   * @return {Promise<void>}
+   */
+  async updateTip() {
+    const networkStatus = await this.fetcher.networkStatusRetry(this.networkIdentifier);
+    this.endIndex = networkStatus.current_block_identifier.index;
+  }
+
+  /**
+   * Start fetching blocks until `concurrency` blocks are pending.
+   */
+  fill() {
+    while (!this.cancelled && this.pending.size < this.concurrency && this.fetchIndex <= this.endIndex) {
+      const partialBlockIdentifier = RosettaClient.PartialBlockIdentifier.constructFromObject({
+        index: this.fetchIndex,
+      });
+
+      const promise = this.fetcher.blockRetry(this.networkIdentifier, partialBlockIdentifier, {}, this.fetchOptions);
+
+      // Errors are thrown by next() once the block is due, discarded if the stream was cancelled.
+      promise.catch(() => {});
+
+      this.pending.set(this.fetchIndex, promise);
+      this.fetchIndex++;
+    }
+  }
+
+  /**
+   * @param {number} timeoutMs - time to wait in milliseconds.
+   * @return {Promise<void>}
+   */
+  sleep(timeoutMs) {
+    return new Promise((fulfill) => {
+      this.pollTimer = setTimeout(fulfill, timeoutMs);
+    });
+  }
+}
+
+BlockStream.TIP = TIP;
+
+module.exports = BlockStream;
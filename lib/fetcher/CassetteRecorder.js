@@ -0,0 +1,107 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Writes the requests of a Fetcher and their responses to a JSONL cassette,
+ * one JSON object per line, that can be served by a ReplayApiClient.
+ * @class CassetteRecorder
+ */
+
+const fs = require('fs');
+
+class CassetteRecorder {
+  /**
+   * @param {string} path - file the cassette is appended to.
+   */
+  constructor(path) {
+    this.path = path;
+    this.stream = fs.createWriteStream(path, { flags: 'a' });
+    this.recorded = 0;
+
+    // e.g. the directory does not exist, rejects record() and close()
+    this.error = null;
+    this.stream.on('error', (error) => {
+      if (this.error == null) this.error = error;
+    });
+  }
+
+  /**
+   * @typedef {object} CassetteEntry
+   * @property {string} endpoint - endpoint of the request, e.g. `/block`.
+   * @property {object} request - body of the request.
+   * @property {number|null} status - HTTP status, null if the request failed on the transport level.
+   * @property {object|null} response - body of the response, or of the error response.
+   * @property {string|null} error - message of the error, null if the request succeeded.
+   * @property {number} latency - duration of the request in milliseconds.
+   * @property {number} timestamp - time the response was received.
+   */
+
+  /**
+   * Append an entry to the cassette.
+   *
+   * @param {CassetteEntry} entry
+   * @return {Promise<void>} - resolves once the entry was written.
+   * @throws {Error} thrown if the cassette cannot be written.
+   */
+  record(entry) {
+    if (this.error != null) {
+      return Promise.reject(this.error);
+    }
+
+    this.recorded++;
+
+    return new Promise((fulfill, reject) => {
+      this.stream.write(`${JSON.stringify(entry)}\n`, (error) => {
+        if (error != null || this.error != null) {
+          reject(this.error || error);
+        } else {
+          fulfill();
+        }
+      });
+    });
+  }
+
+  /**
+   * Flush and close the cassette.
+   *
+   * @return {Promise<void>}
+   * @throws {Error} thrown if the cassette could not be written.
+   */
+  close() {
+    if (this.error != null) {
+      return Promise.reject(this.error);
+    }
+
+    return new Promise((fulfill, reject) => {
+      this.stream.once('error', reject);
+      this.stream.end((error) => {
+        if (error != null || this.error != null) {
+          reject(this.error || error);
+        } else {
+          fulfill();
+        }
+      });
+    });
+  }
+}
+
+module.exports = CassetteRecorder;
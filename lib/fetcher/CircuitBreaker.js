@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Circuit breaker of an endpoint.
+ * The circuit opens after `failureThreshold` consecutive failures and stops
+ * requests to the endpoint until `resetTimeout` has passed. It is half-open afterwards:
+ * requests are allowed again, a success closes the circuit and a failure opens it again.
+ * @class CircuitBreaker
+ */
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+class CircuitBreaker {
+  /**
+   * @param {number} [failureThreshold = 5] - consecutive failures that open the circuit.
+   * @param {number} [resetTimeout = 30000] - time in milliseconds until an open circuit is half-open.
+   */
+  constructor({ failureThreshold = 5, resetTimeout = 30000 } = {}) {
+    this.failureThreshold = Math.max(1, failureThreshold);
+    this.resetTimeout = resetTimeout;
+
+    this.failures = 0;
+    this.openedAt = null;
+    this.opened = 0;
+  }
+
+  /**
+   * Get the state of the circuit.
+   *
+   * @return {string} - `closed`, `open` or `half-open`.
+   */
+  get state() {
+    if (this.openedAt == null) {
+      return CLOSED;
+    }
+
+    return Date.now() - this.openedAt < this.resetTimeout ? OPEN : HALF_OPEN;
+  }
+
+  /**
+   * Whether requests may be sent to the endpoint.
+   *
+   * @return {boolean}
+   */
+  allowRequest() {
+    return this.state !== OPEN;
+  }
+
+  /**
+   * Record a successful request, closes the circuit.
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a failed request, opens the circuit if the threshold is reached
+   * or the circuit is half-open.
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.opened++;
+    }
+  }
+}
+
+CircuitBreaker.CLOSED = CLOSED;
+CircuitBreaker.OPEN = OPEN;
+CircuitBreaker.HALF_OPEN = HALF_OPEN;
+
+module.exports = CircuitBreaker;
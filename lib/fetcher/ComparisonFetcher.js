@@ -0,0 +1,378 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Sends the same request to the Fetchers of several nodes of the same network
+ * and reports how their canonicalized responses differ from the first node.
+ * @class ComparisonFetcher
+ */
+
+const { CanonicalJSON } = require('../utils');
+const { FetcherError } = require('../errors');
+
+/**
+ * Deep copy of a value with sorted keys, so that responses of different clients compare equal.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+const plain = value => value == null ? value : JSON.parse(CanonicalJSON(value));
+
+const equal = (a, b) => CanonicalJSON(a == null ? null : a) === CanonicalJSON(b == null ? null : b);
+
+const currencyKey = currency => `${currency.symbol}:${currency.decimals}`;
+
+const byKey = key => (a, b) => {
+  const keyA = key(a);
+  const keyB = key(b);
+  if (keyA === keyB) return 0;
+  return keyA < keyB ? -1 : 1;
+};
+
+/**
+ * Report each top-level field that differs, except the skipped ones.
+ *
+ * @param {object} expected - response of the reference node.
+ * @param {object} actual - response of the compared node.
+ * @param {string[]} [skip = []] - fields that are compared separately.
+ * @param {string} [prefix = ''] - path of the compared objects.
+ * @returns {{type: string, path: string, expected: any, actual: any}[]}
+ */
+const diffFields = (expected, actual, skip = [], prefix = '') => {
+  const keys = new Set([...Object.keys(expected || {}), ...Object.keys(actual || {})]);
+
+  return [...keys].sort()
+    .filter(key => !skip.includes(key))
+    .filter(key => !equal((expected || {})[key], (actual || {})[key]))
+    .map(key => ({
+      type: 'different_field',
+      path: `${prefix}${key}`,
+      expected: (expected || {})[key],
+      actual: (actual || {})[key],
+    }));
+};
+
+/**
+ * Sort transactions by hash and operations by index.
+ *
+ * @param {Rosetta:Block} block
+ * @returns {Rosetta:Block}
+ */
+const canonicalizeBlock = (block) => {
+  const copy = plain(block);
+  if (copy == null) return copy;
+
+  copy.transactions = (copy.transactions || []).map(transaction => Object.assign(transaction, {
+    operations: (transaction.operations || []).sort(byKey(op => op.operation_identifier.index)),
+  })).sort(byKey(transaction => transaction.transaction_identifier.hash));
+
+  return copy;
+};
+
+/**
+ * Sort balances by currency and coins by identifier.
+ *
+ * @param {{block: Rosetta:BlockIdentifier, balances: Rosetta:Amount[], coins: Rosetta:Coin[], metadata: object}} response
+ * @returns {object}
+ */
+const canonicalizeBalance = (response) => {
+  const copy = plain(response);
+  if (copy == null) return copy;
+
+  copy.balances = (copy.balances || []).sort(byKey(amount => currencyKey(amount.currency)));
+  if (copy.coins != null) {
+    copy.coins = copy.coins.sort(byKey(coin => coin.coin_identifier.identifier));
+  }
+
+  return copy;
+};
+
+/**
+ * Sort peers by id.
+ *
+ * @param {Rosetta:NetworkStatusResponse} response
+ * @returns {Rosetta:NetworkStatusResponse}
+ */
+const canonicalizeNetworkStatus = (response) => {
+  const copy = plain(response);
+  if (copy == null) return copy;
+
+  if (copy.peers != null) {
+    copy.peers = copy.peers.sort(byKey(peer => peer.peer_id));
+  }
+
+  return copy;
+};
+
+/**
+ * Group transactions by hash, a block may contain several transactions with the same hash.
+ *
+ * @param {Rosetta:Transaction[]} transactions
+ * @returns {Map<string, Rosetta:Transaction[]>}
+ */
+const groupByHash = transactions => transactions.reduce((groups, transaction) => {
+  const hash = transaction.transaction_identifier.hash;
+  return groups.set(hash, [...(groups.get(hash) || []), transaction]);
+}, new Map());
+
+/**
+ * Diff the fields and operations of two transactions with the same hash.
+ *
+ * @param {string} hash
+ * @param {Rosetta:Transaction} expected
+ * @param {Rosetta:Transaction} actual
+ * @returns {object[]}
+ */
+const diffTransactions = (hash, expected, actual) => {
+  const diffs = diffFields(expected, actual, ['operations'], `transactions.${hash}.`);
+
+  const expectedOperations = new Map(expected.operations.map(op => [op.operation_identifier.index, op]));
+  const actualOperations = new Map(actual.operations.map(op => [op.operation_identifier.index, op]));
+
+  for (const [index, operation] of expectedOperations) {
+    const otherOperation = actualOperations.get(index);
+
+    if (otherOperation == null) {
+      diffs.push({ type: 'missing_operation', transaction: hash, operation: index, expected: operation });
+    } else if (!equal(operation, otherOperation)) {
+      diffs.push({
+        type: 'different_operation',
+        transaction: hash,
+        operation: index,
+        expected: operation,
+        actual: otherOperation,
+      });
+    }
+  }
+
+  for (const [index, operation] of actualOperations) {
+    if (!expectedOperations.has(index)) {
+      diffs.push({ type: 'extra_operation', transaction: hash, operation: index, actual: operation });
+    }
+  }
+
+  return diffs;
+};
+
+/**
+ * Diff two canonicalized blocks: header fields, missing and extra transactions
+ * and operations, and operations that differ. Transactions that share their hash
+ * with another one are only reported as missing or extra.
+ *
+ * @param {Rosetta:Block} expected
+ * @param {Rosetta:Block} actual
+ * @returns {object[]}
+ */
+const diffBlocks = (expected, actual) => {
+  const diffs = diffFields(expected, actual, ['transactions']);
+
+  const expectedTransactions = groupByHash(expected.transactions);
+  const actualTransactions = groupByHash(actual.transactions);
+
+  for (const [hash, transactions] of expectedTransactions) {
+    const others = actualTransactions.get(hash) || [];
+
+    if (transactions.length === 1 && others.length === 1) {
+      diffs.push(...diffTransactions(hash, transactions[0], others[0]));
+      continue;
+    }
+
+    const unmatched = [...others];
+
+    for (const transaction of transactions) {
+      const match = unmatched.findIndex(other => equal(transaction, other));
+
+      if (match === -1) {
+        diffs.push({ type: 'missing_transaction', transaction: hash, expected: transaction });
+      } else {
+        unmatched.splice(match, 1);
+      }
+    }
+
+    diffs.push(...unmatched.map(transaction => ({ type: 'extra_transaction', transaction: hash, actual: transaction })));
+  }
+
+  for (const [hash, transactions] of actualTransactions) {
+    if (!expectedTransactions.has(hash)) {
+      diffs.push(...transactions.map(transaction => ({ type: 'extra_transaction', transaction: hash, actual: transaction })));
+    }
+  }
+
+  return diffs;
+};
+
+/**
+ * Diff two canonicalized account balances per currency.
+ *
+ * @param {object} expected
+ * @param {object} actual
+ * @returns {object[]}
+ */
+const diffBalances = (expected, actual) => {
+  const diffs = diffFields(expected, actual, ['balances']);
+
+  const expectedBalances = new Map(expected.balances.map(amount => [currencyKey(amount.currency), amount]));
+  const actualBalances = new Map(actual.balances.map(amount => [currencyKey(amount.currency), amount]));
+
+  for (const [currency, amount] of expectedBalances) {
+    const other = actualBalances.get(currency);
+
+    if (other == null) {
+      diffs.push({ type: 'missing_balance', currency, expected: amount });
+    } else if (!equal(amount, other)) {
+      diffs.push({ type: 'different_balance', currency, expected: amount, actual: other });
+    }
+  }
+
+  for (const [currency, amount] of actualBalances) {
+    if (!expectedBalances.has(currency)) {
+      diffs.push({ type: 'extra_balance', currency, actual: amount });
+    }
+  }
+
+  return diffs;
+};
+
+class ComparisonFetcher {
+  /**
+   * @param {RosettaFetcher[]} fetchers - Fetchers of at least two nodes, the first one is the reference.
+   * @throws {FetcherError} thrown if less than two fetchers are passed.
+   */
+  constructor({ fetchers = [] } = {}) {
+    if (fetchers.length < 2) {
+      throw new FetcherError('At least two fetchers are required for a comparison');
+    }
+
+    this.fetchers = fetchers;
+  }
+
+  /**
+   * Compare a block of each node. Pass a block identifier with an index or hash,
+   * the current block may differ between nodes.
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network of the block.
+   * @param {Rosetta:PartialBlockIdentifier} blockIdentifier - block to compare.
+   * @returns {Promise<ComparisonResult>}
+   */
+  async block(networkIdentifier, blockIdentifier) {
+    return this.compare(
+      fetcher => fetcher.blockRetry(networkIdentifier, blockIdentifier),
+      canonicalizeBlock,
+      diffBlocks,
+    );
+  }
+
+  /**
+   * Compare the balance of an account of each node.
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network of the account.
+   * @param {Rosetta:AccountIdentifier} accountIdentifier - account to compare.
+   * @param {Rosetta:PartialBlockIdentifier} [partialBlockIdentifier] - block of the balance, should be set.
+   * @returns {Promise<ComparisonResult>}
+   */
+  async accountBalance(networkIdentifier, accountIdentifier, partialBlockIdentifier) {
+    return this.compare(
+      fetcher => fetcher.accountBalanceRetry(networkIdentifier, accountIdentifier, partialBlockIdentifier),
+      canonicalizeBalance,
+      diffBalances,
+    );
+  }
+
+  /**
+   * Compare the network status of each node.
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network to compare.
+   * @returns {Promise<ComparisonResult>}
+   */
+  async networkStatus(networkIdentifier) {
+    return this.compare(
+      fetcher => fetcher.networkStatusRetry(networkIdentifier),
+      canonicalizeNetworkStatus,
+      (expected, actual) => diffFields(expected, actual),
+    );
+  }
+
+  /**
+   * @typedef {object} ComparisonResult
+   * @property {boolean} consistent - whether all nodes returned the same response.
+   * @property {{index: number, endpoint: string, response: object|null, error: Error|null}[]} results -
+   *     canonicalized response or error of each node, in the order of the fetchers.
+   * @property {object[]} diffs - differences to the reference node, each with the `type` of the difference,
+   *     e.g. `missing_transaction`, `different_operation`, `different_balance`, `different_field`,
+   *     `different_response` or `request_failed`, and the `index` and `endpoint` of the node.
+   */
+
+  /**
+   * Send a request to each node and diff the responses with the first successful one.
+   *
+   * @param {function(RosettaFetcher): Promise<object>} request - sends the request to a node.
+   * @param {function(object): object} canonicalize - brings a response into a comparable form.
+   * @param {function(object, object): object[]} diff - diffs two canonicalized responses.
+   * @returns {Promise<ComparisonResult>}
+   */
+  async compare(request, canonicalize, diff) {
+    const results = await Promise.all(this.fetchers.map(async (fetcher, index) => {
+      const endpoint = fetcher.apiClient.basePath;
+
+      try {
+        return { index, endpoint, response: canonicalize(await request(fetcher)), error: null };
+      } catch (error) {
+        return { index, endpoint, response: null, error };
+      }
+    }));
+
+    const reference = results.find(result => result.error == null);
+    const diffs = [];
+
+    for (const result of results) {
+      const { index, endpoint } = result;
+
+      if (result.error != null) {
+        diffs.push({ type: 'request_failed', index, endpoint, error: result.error.message });
+      } else if (result === reference) {
+        continue;
+      } else if (reference.response == null || result.response == null) {
+        // An empty response cannot be diffed field by field
+        if (!equal(reference.response, result.response)) {
+          diffs.push({
+            type: 'different_response',
+            index,
+            endpoint,
+            expected: reference.response,
+            actual: result.response,
+          });
+        }
+      } else {
+        diffs.push(...diff(reference.response, result.response)
+          .map(difference => Object.assign({ index, endpoint }, difference)));
+      }
+    }
+
+    return {
+      consistent: diffs.length === 0,
+      results,
+      diffs,
+    };
+  }
+}
+
+module.exports = ComparisonFetcher;
@@ -0,0 +1,103 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Keep-alive agent of an endpoint, sockets are reused between requests
+ * instead of paying a (TLS) handshake per request.
+ * @class ConnectionPool
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Extend an Agent class to count created and reused sockets.
+ *
+ * @param {function} Agent - `http.Agent` or `https.Agent`.
+ * @returns {function} - Agent class with `stats`.
+ */
+const withStats = Agent => class extends Agent {
+  constructor(options) {
+    super(options);
+    this.stats = { created: 0, reused: 0 };
+  }
+
+  createConnection(...args) {
+    this.stats.created++;
+    return super.createConnection(...args);
+  }
+
+  reuseSocket(socket, request) {
+    this.stats.reused++;
+    return super.reuseSocket(socket, request);
+  }
+};
+
+const HttpAgent = withStats(http.Agent);
+const HttpsAgent = withStats(https.Agent);
+
+const count = sockets => Object.values(sockets).reduce((sum, list) => sum + list.length, 0);
+
+class ConnectionPool {
+  /**
+   * @param {string} [protocol = 'http'] - `http` or `https`.
+   * @param {number} [maxSockets = Infinity] - maximum number of open sockets.
+   * @param {number} [maxFreeSockets = 256] - maximum number of idle sockets kept open.
+   * @param {number} [keepAliveMsecs = 1000] - initial delay of TCP keep-alive packets.
+   */
+  constructor({ protocol = 'http', maxSockets = Infinity, maxFreeSockets = 256, keepAliveMsecs = 1000 } = {}) {
+    const Agent = protocol === 'https' ? HttpsAgent : HttpAgent;
+
+    this.agent = new Agent({
+      keepAlive: true,
+      keepAliveMsecs,
+      maxSockets,
+      maxFreeSockets,
+    });
+  }
+
+  /**
+   * Get the metrics of the pool.
+   *
+   * @return {{sockets: number, freeSockets: number, pending: number, created: number, reused: number}} -
+   *     sockets in use, idle sockets, requests waiting for a socket, sockets created
+   *     and requests sent on a reused socket.
+   */
+  metrics() {
+    return {
+      sockets: count(this.agent.sockets),
+      freeSockets: count(this.agent.freeSockets),
+      pending: count(this.agent.requests),
+      created: this.agent.stats.created,
+      reused: this.agent.stats.reused,
+    };
+  }
+
+  /**
+   * Close all sockets of the pool.
+   */
+  destroy() {
+    this.agent.destroy();
+  }
+}
+
+module.exports = ConnectionPool;
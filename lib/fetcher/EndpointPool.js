@@ -0,0 +1,155 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Endpoints of the same network served by several nodes.
+ * Tracks the tip and latency of each endpoint and orders them by health,
+ * each endpoint has a CircuitBreaker that stops requests after repeated failures.
+ * @class EndpointPool
+ */
+
+const CircuitBreaker = require('./CircuitBreaker');
+
+// Weight of a new latency sample in the moving average.
+const LATENCY_WEIGHT = 0.2;
+
+class EndpointPool {
+  /**
+   * @param {Rosetta:ApiClient[]} apiClients - clients of the endpoints, in order of preference.
+   * @param {number} [maxTipLag = 2] - blocks an endpoint may be behind the best tip to receive requests.
+   * @param {object} [circuitBreaker = {}] - options of the CircuitBreaker of each endpoint.
+   */
+  constructor(apiClients, { maxTipLag = 2, circuitBreaker = {} } = {}) {
+    this.maxTipLag = maxTipLag;
+
+    this.endpoints = apiClients.map((apiClient) => ({
+      apiClient,
+      circuit: new CircuitBreaker(circuitBreaker),
+      tipIndex: null,
+      latency: null,
+      lastCheck: null,
+    }));
+  }
+
+  /**
+   * Get the endpoints a request may be sent to, healthiest first.
+   * Endpoints with an open circuit are skipped. Endpoints more than `maxTipLag` blocks
+   * behind the best tip are only used if no other endpoint is available.
+   * A single endpoint is always returned, there is nothing to fail over to.
+   *
+   * @return {object[]} - endpoints in the order they should be tried.
+   */
+  candidates() {
+    if (this.endpoints.length === 1) {
+      return [...this.endpoints];
+    }
+
+    const available = this.endpoints.filter(endpoint => endpoint.circuit.allowRequest());
+
+    const tips = available.map(endpoint => endpoint.tipIndex).filter(tipIndex => tipIndex != null);
+    const bestTip = tips.length > 0 ? Math.max(...tips) : null;
+
+    const isSynced = endpoint => bestTip == null || endpoint.tipIndex == null ||
+      bestTip - endpoint.tipIndex <= this.maxTipLag;
+
+    const synced = available.filter(isSynced);
+    const candidates = synced.length > 0 ? synced : available;
+
+    // Array.prototype.sort is stable, endpoints that are equally healthy keep their order.
+    return candidates.sort((a, b) => {
+      const halfOpen = (a.circuit.state === CircuitBreaker.HALF_OPEN) - (b.circuit.state === CircuitBreaker.HALF_OPEN);
+      if (halfOpen !== 0) return halfOpen;
+
+      const latencyA = a.latency != null ? a.latency : Infinity;
+      const latencyB = b.latency != null ? b.latency : Infinity;
+      if (latencyA === latencyB) return 0;
+      return latencyA < latencyB ? -1 : 1;
+    });
+  }
+
+  /**
+   * Record a successful request to an endpoint.
+   *
+   * @param {object} endpoint - endpoint of candidates().
+   * @param {number} latency - duration of the request in milliseconds.
+   */
+  recordSuccess(endpoint, latency) {
+    endpoint.latency = endpoint.latency == null ? latency :
+      endpoint.latency + (latency - endpoint.latency) * LATENCY_WEIGHT;
+    endpoint.circuit.recordSuccess();
+  }
+
+  /**
+   * Record a failed request to an endpoint.
+   *
+   * @param {object} endpoint - endpoint of candidates().
+   */
+  recordFailure(endpoint) {
+    endpoint.circuit.recordFailure();
+  }
+
+  /**
+   * Fetch the network status of each endpoint, including endpoints with an open circuit,
+   * and record their tip and latency.
+   *
+   * @param {function(Rosetta:ApiClient): Promise<Rosetta:NetworkStatusResponse>} fetchStatus - requests
+   *     `/network/status` from an endpoint.
+   * @return {Promise<object[]>} - status of the endpoints, see status().
+   */
+  async checkHealth(fetchStatus) {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+
+      try {
+        const networkStatus = await fetchStatus(endpoint.apiClient);
+        endpoint.tipIndex = networkStatus.current_block_identifier.index;
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      } catch (e) {
+        this.recordFailure(endpoint);
+      }
+
+      endpoint.lastCheck = Date.now();
+    }));
+
+    return this.status();
+  }
+
+  /**
+   * Describe the health of the endpoints.
+   *
+   * @return {{basePath: string, state: string, failures: number, opened: number,
+   *     tipIndex: number|null, latency: number|null, lastCheck: number|null}[]} - endpoints in configured order.
+   */
+  status() {
+    return this.endpoints.map(endpoint => ({
+      basePath: endpoint.apiClient.basePath,
+      state: endpoint.circuit.state,
+      failures: endpoint.circuit.failures,
+      opened: endpoint.circuit.opened,
+      tipIndex: endpoint.tipIndex,
+      latency: endpoint.latency,
+      lastCheck: endpoint.lastCheck,
+    }));
+  }
+}
+
+module.exports = EndpointPool;
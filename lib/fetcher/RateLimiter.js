@@ -0,0 +1,191 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Token bucket rate limiter.
+ * Requests wait in FIFO order until a token is available or a throttle,
+ * e.g. requested by a 429 response, is over.
+ * @class RateLimiter
+ */
+
+const { FetcherError } = require('../errors');
+
+class RateLimiter {
+  /**
+   * @param {number} [rate = Infinity] - tokens added per second, Infinity to not limit requests.
+   * @param {number} [burst = max(1, rate)] - maximum number of tokens, i.e. requests sent at once.
+   * @throws {FetcherError} thrown if the rate is not positive or the burst is less than 1.
+   */
+  constructor({ rate = Infinity, burst = Math.max(1, rate) } = {}) {
+    if (!(rate > 0)) {
+      throw new FetcherError(`Invalid rate ${rate}, must be a positive number`);
+    }
+
+    if (!(burst >= 1)) {
+      throw new FetcherError(`Invalid burst ${burst}, must be at least 1`);
+    }
+
+    this.rate = rate;
+    this.burst = burst;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+
+    this.queue = [];
+    this.timer = null;
+
+    this.stats = {
+      requests: 0,
+      throttled: 0,
+      rateLimited: 0,
+    };
+  }
+
+  /**
+   * Wait until a request may be sent.
+   *
+   * @return {Promise<void>}
+   */
+  acquire() {
+    this.stats.requests++;
+
+    if (this.queue.length === 0 && this.take()) {
+      return Promise.resolve();
+    }
+
+    this.stats.throttled++;
+
+    return new Promise((fulfill) => {
+      this.queue.push(fulfill);
+      this.schedule();
+    });
+  }
+
+  /**
+   * Stop handing out tokens for a while, e.g. after a 429 response.
+   *
+   * @param {number} delayMs - time to wait in milliseconds.
+   */
+  throttle(delayMs) {
+    this.stats.rateLimited++;
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delayMs);
+
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.queue.length > 0) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Get the metrics of the limiter.
+   *
+   * @return {{requests: number, queued: number, throttled: number, rateLimited: number}} -
+   *     number of requests, requests currently waiting, requests that had to wait
+   *     and rate limit responses that throttled the limiter.
+   */
+  metrics() {
+    return {
+      requests: this.stats.requests,
+      queued: this.queue.length,
+      throttled: this.stats.throttled,
+      rateLimited: this.stats.rateLimited,
+    };
+  }
+
+  /**
+   * Take a token, if available.
+   *
+   * @return {boolean} - whether a token was taken.
+   */
+  take() {
+    if (Date.now() < this.blockedUntil) {
+      return false;
+    }
+
+    if (this.rate === Infinity) {
+      return true;
+    }
+
+    this.refill();
+
+    if (this.tokens >= 1) {
+      this.tokens--;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Add the tokens earned since the last refill.
+   */
+  refill() {
+    const now = Date.now();
+
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.rate / 1000);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wake up waiting requests once the next token is available.
+   */
+  schedule() {
+    if (this.timer != null) {
+      return;
+    }
+
+    const now = Date.now();
+    let delayMs = 0;
+
+    if (now < this.blockedUntil) {
+      delayMs = this.blockedUntil - now;
+    } else if (this.rate !== Infinity) {
+      this.refill();
+      delayMs = Math.max(0, Math.ceil((1 - this.tokens) * 1000 / this.rate));
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, delayMs);
+  }
+
+  /**
+   * Release waiting requests while tokens are available.
+   */
+  drain() {
+    while (this.queue.length > 0 && this.take()) {
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0) {
+      this.schedule();
+    }
+  }
+}
+
+module.exports = RateLimiter;
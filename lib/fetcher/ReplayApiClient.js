@@ -0,0 +1,155 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * ApiClient that serves the responses of a cassette written by CassetteRecorder,
+ * so that recorded node behaviour can be replayed offline, e.g. `new Fetcher({ apiClient })`.
+ * Requests are matched by endpoint and body. Responses to the same request are served
+ * in recorded order, the last one is repeated once all of them were served.
+ * @class ReplayApiClient
+ */
+
+const fs = require('fs');
+const { CanonicalJSON } = require('../utils');
+const { FetcherError } = require('../errors');
+
+/**
+ * Key of a request in the cassette.
+ *
+ * @param {string} endpoint - endpoint of the request.
+ * @param {object} request - body of the request.
+ * @returns {string}
+ */
+const requestKey = (endpoint, request) => {
+  const body = request == null ? null : JSON.parse(JSON.stringify(request));
+  return `${endpoint} ${CanonicalJSON(body)}`;
+};
+
+class ReplayApiClient {
+  /**
+   * @param {CassetteEntry[]} entries - entries of a cassette, see CassetteRecorder.
+   * @param {string} [basePath = 'replay'] - name of the client in metrics and errors.
+   */
+  constructor(entries, basePath = 'replay') {
+    this.basePath = basePath;
+    this.entries = new Map();
+    this.served = new Map();
+
+    for (const entry of entries) {
+      const key = requestKey(entry.endpoint, entry.request);
+
+      if (!this.entries.has(key)) {
+        this.entries.set(key, []);
+      }
+
+      this.entries.get(key).push(entry);
+    }
+  }
+
+  /**
+   * Load a cassette file.
+   *
+   * @param {string} path - JSONL file written by CassetteRecorder.
+   * @returns {ReplayApiClient}
+   * @throws {FetcherError} thrown if a line of the cassette is not valid JSON.
+   */
+  static fromFile(path) {
+    const lines = fs.readFileSync(path, 'utf8').split('\n').filter(line => line.trim() !== '');
+
+    const entries = lines.map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new FetcherError(`Invalid cassette ${path} at line ${i + 1}: ${e.message}`);
+      }
+    });
+
+    return new ReplayApiClient(entries, `replay://${path}`);
+  }
+
+  /**
+   * Serve the recorded response of a request.
+   * Recorded errors are thrown like errors of the client, with `status` and `response.body`.
+   *
+   * @param {string} endpoint - endpoint of the request, e.g. `/block`.
+   * @param {object} request - body of the request.
+   * @returns {object} - body of the recorded response.
+   * @throws {Error} thrown with status 404 if the request was not recorded.
+   */
+  replay(endpoint, request) {
+    const key = requestKey(endpoint, request);
+    const entries = this.entries.get(key);
+
+    if (entries == null) {
+      throw Object.assign(new Error(`No recorded response for ${endpoint}`), {
+        status: 404,
+        response: { status: 404, body: null, headers: {} },
+      });
+    }
+
+    const served = this.served.get(key) || 0;
+    const entry = entries[Math.min(served, entries.length - 1)];
+    this.served.set(key, served + 1);
+
+    if (entry.error != null) {
+      throw Object.assign(new Error(entry.error), {
+        status: entry.status,
+        response: entry.status == null ? undefined : { status: entry.status, body: entry.response, headers: {} },
+      });
+    }
+
+    return entry.response;
+  }
+
+  /**
+   * Implements `callApi` of the generated ApiClient, the response is deserialized into `returnType`.
+   * Calls `callback(error, data, response)` if the last argument is a callback,
+   * returns a Promise of `{data, response}` otherwise.
+   */
+  callApi(path, httpMethod, pathParams, queryParams, headerParams, formParams, bodyParam, authNames,
+    contentTypes, accepts, returnType, ...rest) {
+    const callback = typeof rest[rest.length - 1] === 'function' ? rest[rest.length - 1] : null;
+
+    let data;
+    let error = null;
+
+    try {
+      const body = this.replay(path, bodyParam);
+      data = returnType != null && typeof returnType.constructFromObject === 'function'
+        ? returnType.constructFromObject(body)
+        : body;
+    } catch (e) {
+      error = e;
+    }
+
+    const response = error != null ? error.response : { status: 200, body: data, headers: {} };
+
+    if (callback) {
+      setImmediate(() => callback(error, error != null ? null : data, response));
+      return undefined;
+    }
+
+    return error != null ? Promise.reject(error) : Promise.resolve({ data, response });
+  }
+}
+
+module.exports = ReplayApiClient;
@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Superagent plugin that parses compressed responses.
+ * Superagent only decodes gzip and deflate bodies, this plugin decodes
+ * brotli (`br`) bodies as well and parses JSON like the default parser.
+ * @module decompress
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Decode the body of a response.
+ *
+ * @param {string} encoding - Content-Encoding of the response.
+ * @param {Buffer} buffer - body of the response, gzip and deflate are decoded by superagent.
+ * @param {function(Error, Buffer): void} callback
+ */
+const decode = (encoding, buffer, callback) => {
+  if (/^\s*br\s*$/.test(encoding || '') && buffer.length > 0) {
+    zlib.brotliDecompress(buffer, callback);
+  } else {
+    callback(null, buffer);
+  }
+};
+
+/**
+ * Response parser, see `request.parse()` of superagent.
+ *
+ * @param {IncomingMessage} res - response stream.
+ * @param {function(Error, object): void} callback - called with the parsed body.
+ */
+const parse = (res, callback) => {
+  const chunks = [];
+
+  res.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  res.on('end', () => {
+    decode(res.headers['content-encoding'], Buffer.concat(chunks), (decodeError, buffer) => {
+      if (decodeError) {
+        callback(decodeError);
+        return;
+      }
+
+      res.text = buffer.toString('utf8');
+
+      if (!/[/+]json\b/.test(res.headers['content-type'] || '')) {
+        callback(null, undefined);
+        return;
+      }
+
+      let body;
+      let error = null;
+
+      try {
+        body = res.text && JSON.parse(res.text);
+      } catch (e) {
+        error = e;
+        // Same as the JSON parser of superagent
+        error.rawResponse = res.text || null;
+        error.statusCode = res.statusCode;
+      }
+
+      callback(error, body);
+    });
+  });
+};
+
+/**
+ * @param {Request} request - superagent request.
+ */
+const decompress = (request) => {
+  request.parse(parse);
+};
+
+decompress.ACCEPT_ENCODING = 'gzip, br';
+
+module.exports = decompress;
@@ -22,6 +22,7 @@
 
 /**
  *  Convenience Wrapper Class for `Client`
+ *  An Asserter is initialized and cached for each network the node serves.
  *  @class RosettaFetcher
  */
 
@@ -31,45 +32,276 @@ const Asserter = require('../asserter');
 const { backOff } = require('exponential-backoff');
 
 const PromisePool = require('../utils/PromisePool');
-const { FetcherError } = require('../errors');
+const RateLimiter = require('./RateLimiter');
+const EndpointPool = require('./EndpointPool');
+const CircuitBreaker = require('./CircuitBreaker');
+const ComparisonFetcher = require('./ComparisonFetcher');
+const BlockStream = require('./BlockStream');
+const ConnectionPool = require('./ConnectionPool');
+const decompress = require('./decompress');
+const CassetteRecorder = require('./CassetteRecorder');
+const ReplayApiClient = require('./ReplayApiClient');
+const { Hash } = require('../utils');
+const { FetcherError, AsserterError } = require('../errors');
+
+const ENDPOINT_FAMILIES = ['data', 'construction', 'mempool'];
+
+/**
+ * Get the family of an endpoint, rate limits are configured per family.
+ *
+ * @param {string} endpoint - endpoint, e.g. `/block`.
+ * @returns {string} - `construction`, `mempool` or `data`.
+ */
+const endpointFamily = (endpoint) => {
+  if (endpoint.startsWith('/construction/')) return 'construction';
+  if (endpoint.startsWith('/mempool')) return 'mempool';
+  return 'data';
+};
+
+/**
+ * Parse a Retry-After header.
+ *
+ * @param {string} retryAfter - delay in seconds or an HTTP date.
+ * @returns {number|null} - delay in milliseconds, null if the header is missing or invalid.
+ */
+const parseRetryAfter = (retryAfter) => {
+  if (retryAfter == null || retryAfter === '') {
+    return null;
+  }
+
+  if (/^[0-9]+$/.test(`${retryAfter}`)) {
+    return Number(retryAfter) * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Only errors that were classified as retriable by `decodeError` are retried.
+ *
+ * @param {Error} e - error thrown by a request.
+ * @returns {boolean} - whether the request should be retried.
+ */
+const isRetriable = (e) => {
+  return e instanceof FetcherError && e.retriable === true;
+};
+
+/**
+ * Transport failures and 5xx responses count against the circuit of an endpoint.
+ * Rosetta Errors and 429 responses mean the node is up and are not failed over.
+ *
+ * @param {FetcherError} e - error decoded by decodeError.
+ * @returns {boolean} - whether the request should be sent to another endpoint.
+ */
+const isEndpointFailure = (e) => {
+  return e.code == null && e.status !== 429 && e.retriable === true;
+};
 
 class RosettaFetcher {
   /**
    *
    * @param apiClient
    * @param [retryOptions = {}]
-   * @param [options = {}]
+   * @param [options = {}] - `promisePoolSize`, `validate` (default: true), which
+   *      can be overridden per call with `fetchOptions`, and `maxTipLag` (default: 2),
+   *      the blocks an endpoint may be behind the best tip to receive requests, and `transactionBatchSize`
+   *      (default: 100), the number of `other_transactions` of a block that are fetched at once.
    * @param [server = {}]
-   * @param [asserter = null]
+   * @param [endpoints = []] - several endpoints of the same network, either `server` options
+   *      or `{apiClient}`. Requests fail over between them, replaces `apiClient` and `server`.
+   * @param [circuitBreaker = {}] - `failureThreshold` and `resetTimeout` of the circuit of each endpoint.
+   * @param [asserter = null] - asserter used for networks without an initialized asserter.
+   * @param [rateLimits = {}] - rate limits of the endpoint families `data`, `construction` and `mempool`.
+   *      Either `{rate, burst}` options or a RateLimiter instance that is shared with other fetchers.
+   * @param [record = null] - path of a cassette every request and response is appended to, see startRecording.
    */
-  constructor({apiClient, retryOptions = {}, options = {}, server = {}, asserter = null} = {}) {
-    this.apiClient = apiClient || this.defaultApiClient(server);
+  constructor({apiClient, retryOptions = {}, options = {}, server = {}, asserter = null,
+    rateLimits = {}, endpoints = [], circuitBreaker = {}, record = null} = {}) {
+    // Connection pools of the clients created by defaultApiClient
+    this.connectionPools = new Map();
+
+    const apiClients = endpoints.length > 0
+      ? endpoints.map(endpoint => endpoint.apiClient || this.defaultApiClient(endpoint))
+      : [apiClient || this.defaultApiClient(server)];
+
+    this.apiClient = apiClients[0];
 
     this.backOffOptions = Object.assign({
       delayFirstAttempt: false,
       jitter: 'none',
       mayDelay: Infinity,
       numOfAttempts: 10,
-      retry: () => true,
+      retry: isRetriable,
       startingDelay: 100,
       timeMultiple: 2,
     }, retryOptions);
 
     this.options = Object.assign({
       promisePoolSize: 8,
+      validate: true,
+      maxTipLag: 2,
+      transactionBatchSize: 100,
     }, options);
 
+    this.endpointPool = new EndpointPool(apiClients, {
+      maxTipLag: this.options.maxTipLag,
+      circuitBreaker,
+    });
+    this.healthCheckTimer = null;
+
+    this.recorder = record != null ? new CassetteRecorder(record) : null;
+
     this.asserter = asserter;
+
+    // Network descriptions by hashed NetworkIdentifier
+    this.networkMap = new Map();
+
+    this.rateLimiters = {};
+    for (const family of ENDPOINT_FAMILIES) {
+      const limit = rateLimits[family];
+      this.rateLimiters[family] = limit instanceof RateLimiter ? limit : new RateLimiter(limit);
+    }
+  }
+
+  /**
+   * Get the rate limiter metrics of each endpoint family.
+   *
+   * @returns {Object<string, {requests: number, queued: number, throttled: number, rateLimited: number}>}
+   */
+  rateLimitMetrics() {
+    const metrics = {};
+
+    for (const family of ENDPOINT_FAMILIES) {
+      metrics[family] = this.rateLimiters[family].metrics();
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Fetch `/network/status` from each endpoint and record its tip and latency.
+   * Endpoints that are more than `maxTipLag` blocks behind the best tip stop receiving requests
+   * and a successful check closes the circuit of an endpoint.
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network to check.
+   * @returns {Promise<object[]>} - health of the endpoints, see endpointStatus.
+   */
+  async checkHealth(networkIdentifier) {
+    const networkRequest = new RosettaClient.NetworkRequest.constructFromObject({
+      network_identifier: networkIdentifier,
+      metadata: {},
+    });
+
+    return this.endpointPool.checkHealth(async (apiClient) => {
+      await this.rateLimiters.data.acquire();
+      return new RosettaClient.promises.NetworkApi(apiClient).networkStatus(networkRequest);
+    });
   }
 
   /**
-   * Initialize Asserter.
+   * Check the health of the endpoints periodically, see checkHealth.
+   * The timer does not keep the process alive.
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network to check.
+   * @param {number} [interval = 10000] - time between checks in milliseconds.
+   */
+  startHealthChecks(networkIdentifier, interval = 10000) {
+    this.stopHealthChecks();
+
+    this.healthCheckTimer = setInterval(() => {
+      this.checkHealth(networkIdentifier);
+    }, interval);
+
+    if (this.healthCheckTimer.unref) {
+      this.healthCheckTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the periodic health checks.
+   */
+  stopHealthChecks() {
+    if (this.healthCheckTimer != null) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * Describe the health of the endpoints.
+   *
+   * @returns {{basePath: string, state: string, failures: number, opened: number,
+   *      tipIndex: number|null, latency: number|null, lastCheck: number|null}[]} - endpoints in configured order.
+   */
+  endpointStatus() {
+    return this.endpointPool.status();
+  }
+
+  /**
+   * Append every request and its response to a JSONL cassette: endpoint, request body, status,
+   * response body or error, and latency. A ReplayApiClient serves the cassette offline.
+   *
+   * @param {string} path - file the cassette is appended to.
+   * @returns {Promise<void>} - resolves once a previous recording was closed.
+   */
+  async startRecording(path) {
+    await this.stopRecording();
+    this.recorder = new CassetteRecorder(path);
+  }
+
+  /**
+   * Stop recording and close the cassette.
+   *
+   * @returns {Promise<void>}
+   */
+  async stopRecording() {
+    if (this.recorder == null) {
+      return;
+    }
+
+    const recorder = this.recorder;
+    this.recorder = null;
+    await recorder.close();
+  }
+
+  /**
+   * Record a request of callApi, if recording.
+   *
+   * @param {object} context - endpoint and request, see callApi.
+   * @param {number} startedAt - time the request was sent.
+   * @param {object} [response] - response of the client.
+   * @param {FetcherError} [error] - decoded error of the request.
+   */
+  recordRequest({ endpoint, request }, startedAt, response, error) {
+    if (this.recorder == null) {
+      return;
+    }
+
+    const cause = error != null ? error.cause : null;
+    const errorBody = cause != null && cause.response != null ? cause.response.body : null;
+
+    // Write errors are thrown by stopRecording() and close(), not by the request
+    this.recorder.record({
+      endpoint,
+      request,
+      status: error != null ? error.status : 200,
+      response: error != null ? errorBody : response,
+      error: error != null ? (cause || error).message : null,
+      latency: Date.now() - startedAt,
+      timestamp: Date.now(),
+    }).catch(() => {});
+  }
+
+  /**
+   * Initialize an Asserter for each network returned by `/network/list`.
+   * The asserter of the first network is used as primary asserter (`fetcher.asserter`).
    *
    * @returns {Promise<{networkStatus: Rosetta:NetworkStatusResponse, primaryNetwork: Rosetta:NetworkIdentifier}>}
    * @throws {FetcherError} if the Asserter already initialized or no Networks available.
    */
   async initializeAsserter() {
-    if (this.asserter) {
+    if (this.asserter || this.networkMap.size > 0) {
       throw new FetcherError('Asserter already initialized');
     }
 
@@ -84,27 +316,220 @@ class RosettaFetcher {
       throw new FetcherError('No Networks available');
     }
 
+    const networkMap = new Map();
+
+    for (const networkIdentifier of networkList.network_identifiers) {
+      const networkStatus = await this.networkStatusRetry(networkIdentifier);
+      const networkOptions = await this.networkOptionsRetry(networkIdentifier);
+
+      const asserter = Asserter.NewClientWithResponses(
+        networkIdentifier,
+        networkStatus,
+        networkOptions,
+      );
+
+      networkMap.set(Hash(networkIdentifier), {
+        networkIdentifier,
+        networkStatus,
+        networkOptions,
+        asserter,
+      });
+    }
+
     const primaryNetwork = networkList.network_identifiers[0];
-    const networkStatus = await this.networkStatusRetry(primaryNetwork);
-    const networkOptions = await this.networkOptionsRetry(primaryNetwork);
+    const primary = networkMap.get(Hash(primaryNetwork));
 
-    this.asserter = Asserter.NewClientWithResponses(
+    this.networkMap = networkMap;
+    this.asserter = primary.asserter;
+
+    return {
       primaryNetwork,
+      networkStatus: primary.networkStatus,
+    };
+  }
+
+  /**
+   * Get the Asserter of a network.
+   * Falls back to the primary asserter if no asserter was initialized for the network.
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network to get the asserter for.
+   * @returns {RosettaAsserter|null} - asserter of the network, null if no asserter is available.
+   */
+  getAsserter(networkIdentifier) {
+    const network = this.networkMap.get(Hash(networkIdentifier));
+
+    if (network != null) {
+      return network.asserter;
+    }
+
+    return this.asserter;
+  }
+
+  /**
+   * Describe the networks the asserters were initialized for.
+   *
+   * @returns {{networkIdentifier: Rosetta:NetworkIdentifier, networkStatus: Rosetta:NetworkStatusResponse,
+   *      networkOptions: Rosetta:NetworkOptionsResponse}[]} - networks in the order of `/network/list`.
+   */
+  networks() {
+    return [...this.networkMap.values()].map(({ networkIdentifier, networkStatus, networkOptions }) => ({
+      networkIdentifier,
       networkStatus,
       networkOptions,
-    );
+    }));
+  }
+
+  /**
+   * Send a request once the rate limiter of the endpoint family allows it and decode its errors,
+   * see decodeError. A 429 response or a Retry-After header throttles the rate limiter
+   * of the endpoint family.
+   * The request is sent to the healthiest endpoint. If the endpoint fails on the transport level
+   * or with a 5xx status, the failure is recorded on its circuit and the request is sent to the next one.
+   *
+   * @param {object} context
+   * @param {string} context.endpoint - endpoint the request is sent to, e.g. `/block`.
+   * @param {object} context.request - request that is sent.
+   * @param {Rosetta:NetworkIdentifier} [context.networkIdentifier] - network the request is sent to.
+   * @param {function(Rosetta:ApiClient): Promise<object>} call - sends the request using the client of an endpoint.
+   * @returns {Promise<object>} - response of the client.
+   * @throws {FetcherError} thrown if the request failed, or retriable if no endpoint is available.
+   */
+  async callApi({ endpoint, request, networkIdentifier }, call) {
+    const rateLimiter = this.rateLimiters[endpointFamily(endpoint)];
+    const candidates = this.endpointPool.candidates();
+
+    if (candidates.length === 0) {
+      throw new FetcherError(`No endpoint available for ${endpoint}`, {
+        endpoint,
+        request,
+        retriable: true,
+      });
+    }
 
+    let error;
+
+    for (const candidate of candidates) {
+      await rateLimiter.acquire();
+      const startedAt = Date.now();
+
+      try {
+        const response = await call(candidate.apiClient);
+        this.endpointPool.recordSuccess(candidate, Date.now() - startedAt);
+        this.recordRequest({ endpoint, request }, startedAt, response);
+        return response;
+      } catch (e) {
+        error = this.decodeError({ endpoint, request, networkIdentifier }, e);
+        this.recordRequest({ endpoint, request }, startedAt, null, error);
+
+        if (error.retryAfter != null) {
+          rateLimiter.throttle(error.retryAfter);
+        } else if (error.status === 429) {
+          rateLimiter.throttle(this.backOffOptions.startingDelay);
+        }
+
+        if (!isEndpointFailure(error)) {
+          throw error;
+        }
+
+        this.endpointPool.recordFailure(candidate);
+      }
+    }
 
-    return {
-      primaryNetwork,
-      networkStatus,
-    };
+    throw error;
+  }
+
+  /**
+   * Turn an error of the client into a FetcherError.
+   * If the node returned a Rosetta Error, it is retriable if its `retriable` flag is set
+   * or if its code is retriable in the errors of `/network/options`.
+   * Other errors are retriable if the request failed on the transport level, with a 5xx status
+   * or with 429 (Too Many Requests).
+   *
+   * @param {object} context - see callApi.
+   * @param {Error} e - error thrown by the client.
+   * @returns {FetcherError}
+   */
+  decodeError({ endpoint, request, networkIdentifier }, e) {
+    if (e instanceof FetcherError) {
+      return e;
+    }
+
+    const status = e.status != null ? e.status : null;
+    const body = e.response != null ? e.response.body : null;
+    const headers = e.response != null && e.response.headers != null ? e.response.headers : {};
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+
+    if (body != null && typeof body.code === 'number') {
+      const asserter = networkIdentifier ? this.getAsserter(networkIdentifier) : this.asserter;
+      const errorType = asserter != null ? asserter.errorTypeMap[body.code] : null;
+
+      return new FetcherError(`Request to ${endpoint} failed: ${body.message}`, {
+        endpoint,
+        request,
+        cause: e,
+        code: body.code,
+        retriable: status === 429 || body.retriable === true ||
+          (errorType != null && errorType.retriable === true),
+        details: body.details || null,
+        status,
+        retryAfter,
+      });
+    }
+
+    return new FetcherError(`Request to ${endpoint} failed: ${e.message}`, {
+      endpoint,
+      request,
+      cause: e,
+      retriable: status == null || status >= 500 || status === 429,
+      status,
+      retryAfter,
+    });
+  }
+
+  /**
+   * Validate a response with the asserter of the network.
+   * Does nothing if validation is disabled or no asserter is available.
+   *
+   * @param {object} context
+   * @param {string} context.endpoint - endpoint that returned the response, e.g. `/block`.
+   * @param {object} context.request - request that was sent to the endpoint.
+   * @param {Rosetta:NetworkIdentifier} [context.networkIdentifier] - network the request was sent to.
+   * @param {boolean} [context.validate = true] - whether to validate the response.
+   * @param {function(RosettaAsserter): void} assertion - check that throws an AsserterError if the response is invalid.
+   * @throws {FetcherError} thrown if the response is invalid, wraps the AsserterError.
+   */
+  assertResponse({ endpoint, request, networkIdentifier, validate = true }, assertion) {
+    if (!validate) {
+      return;
+    }
+
+    const asserter = networkIdentifier ? this.getAsserter(networkIdentifier) : this.asserter;
+    if (asserter == null) {
+      return;
+    }
+
+    try {
+      assertion(asserter);
+    } catch (e) {
+      if (!(e instanceof AsserterError)) {
+        throw e;
+      }
+
+      throw new FetcherError(`Invalid response from ${endpoint}: ${e.message}`, {
+        endpoint,
+        request,
+        cause: e,
+      });
+    }
   }
 
   /**
    * Initialization of ApiClient.
+   * Unless a `requestAgent` is passed, requests are sent through a keep-alive ConnectionPool.
+   * Responses are requested and decoded with gzip or brotli compression.
    *
-   * @param options - connection options.
+   * @param options - connection options: `protocol`, `host`, `port`, `timeout`, `requestAgent`, `defaultHeaders`,
+   *      `keepAlive` (default: true), `maxSockets` (default: Infinity) and `compression` (default: true).
    * @returns {Rosetta:ApiClient} - new instance that manages low level client-server communications, parameter marshalling, etc.
    */
   defaultApiClient(options) {
@@ -117,16 +542,65 @@ class RosettaFetcher {
       timeout = 5000,
       requestAgent,
       defaultHeaders = {},
+      keepAlive = true,
+      maxSockets = Infinity,
+      compression = true,
     } = options;
 
     apiClient.basePath = `${protocol}://${host}:${port}`;
     apiClient.timeout = timeout;
     apiClient.requestAgent = requestAgent;
-    apiClient.defaultHeaders = defaultHeaders;
+    apiClient.defaultHeaders = Object.assign({}, defaultHeaders);
+
+    if (requestAgent == null && keepAlive) {
+      const connectionPool = new ConnectionPool({ protocol, maxSockets });
+      apiClient.requestAgent = connectionPool.agent;
+      this.connectionPools.set(apiClient, connectionPool);
+    }
+
+    if (compression) {
+      const hasAcceptEncoding = Object.keys(apiClient.defaultHeaders)
+        .some(header => header.toLowerCase() === 'accept-encoding');
+
+      if (!hasAcceptEncoding) {
+        apiClient.defaultHeaders['Accept-Encoding'] = decompress.ACCEPT_ENCODING;
+      }
+
+      apiClient.plugins = [...(apiClient.plugins || []), decompress];
+    }
 
     return apiClient;
   }
 
+  /**
+   * Get the metrics of the connection pool of each endpoint.
+   * Endpoints with a custom `apiClient` or `requestAgent` have no pool.
+   *
+   * @returns {{basePath: string, sockets: number, freeSockets: number, pending: number,
+   *      created: number, reused: number}[]} - see ConnectionPool.metrics.
+   */
+  connectionPoolMetrics() {
+    return [...this.connectionPools].map(([apiClient, connectionPool]) => Object.assign({
+      basePath: apiClient.basePath,
+    }, connectionPool.metrics()));
+  }
+
+  /**
+   * Stop the health checks, close the sockets of the connection pools and flush the cassette, if recording.
+   *
+   * @returns {Promise<void>} - resolves once the cassette was closed.
+   * @throws {Error} thrown if the cassette could not be written.
+   */
+  async close() {
+    this.stopHealthChecks();
+
+    for (const connectionPool of this.connectionPools.values()) {
+      connectionPool.destroy();
+    }
+
+    await this.stopRecording();
+  }
+
   /**
    * AccountBalance returns the validated response from the AccountBalance method.
    * If a block is provided, a historical lookup is performed.
@@ -134,25 +608,37 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with
    * @param {Rosetta:AccountIdentifier} accountIdentifier - uniquely identifies an account within a network
    * @param {Rosetta:PartialBlockIdentifier} partialBlockIdentifier - partial block identifier that was requested
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<{balances: Rosetta:Amount[], metadata: Object<string,any>, coins: Rosetta:Coin[], block: Rosetta:BlockIdentifier}>} - validated response from the AccountBalance method
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async accountBalance(networkIdentifier, accountIdentifier, partialBlockIdentifier) {
-    const accountApi = new RosettaClient.promises.AccountApi(this.apiClient);
-
+  async accountBalance(networkIdentifier, accountIdentifier, partialBlockIdentifier,
+    { validate = this.options.validate } = {}) {
     const accountBalanceRequest = new RosettaClient.AccountBalanceRequest(
       networkIdentifier,
       accountIdentifier,
       partialBlockIdentifier
     );
 
-    const response = await accountApi.accountBalance(accountBalanceRequest);
+    const response = await this.callApi({
+      endpoint: '/account/balance',
+      request: accountBalanceRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.AccountApi(apiClient).accountBalance(accountBalanceRequest));
+
+    this.assertResponse({
+      endpoint: '/account/balance',
+      request: accountBalanceRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.AccountBalanceResponse(partialBlockIdentifier, response));
+
     const block = response.block_identifier;
     const balances = response.balances;
     const metadata = response.metadata;
     const coins = response.coins;
 
-    // ToDo: assertion
-
     return {
       block: block,
       balances: balances,
@@ -169,11 +655,13 @@ class RosettaFetcher {
    * @param {Rosetta:AccountIdentifier} accountIdentifier - uniquely identifies an account within a network.
    * @param {Rosetta:PartialBlockIdentifier} partialBlockIdentifier - partial block identifier that was requested.
    * @param [retryOptions = {}]
+   * @param [fetchOptions = {}] - see accountBalance.
    * @returns {Promise<{balances: Rosetta:Amount[], metadata: Object<string,any>, coins: Rosetta:Coin[], block: Rosetta:BlockIdentifier}>} - validated response from the AccountBalance method.
    */
-  async accountBalanceRetry(networkIdentifier, accountIdentifier, partialBlockIdentifier, retryOptions = {}) {
+  async accountBalanceRetry(networkIdentifier, accountIdentifier, partialBlockIdentifier,
+    retryOptions = {}, fetchOptions = {}) {
     const response = await backOff(() =>
-      this.accountBalance(networkIdentifier, accountIdentifier, partialBlockIdentifier),
+      this.accountBalance(networkIdentifier, accountIdentifier, partialBlockIdentifier, fetchOptions),
       Object.assign({}, this.backOffOptions, retryOptions),
     );
 
@@ -186,57 +674,110 @@ class RosettaFetcher {
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:Block>} - validated response from the block method.
+   * @throws {FetcherError} thrown if the block is empty or invalid, or if one of its transactions cannot be fetched.
    */
-  async block(networkIdentifier, blockIdentifier) {
-    const blockApi = new RosettaClient.promises.BlockApi(this.apiClient);
-
+  async block(networkIdentifier, blockIdentifier, fetchOptions = {}) {
+    const { validate = this.options.validate } = fetchOptions;
     const blockRequest = new RosettaClient.BlockRequest(networkIdentifier, blockIdentifier);
-    const blockResponse = await blockApi.block(blockRequest);
+    const blockResponse = await this.callApi({
+      endpoint: '/block',
+      request: blockRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.BlockApi(apiClient).block(blockRequest));
+
+    if (blockResponse == null || blockResponse.block == null) {
+      throw new FetcherError('Invalid response from /block: the block is empty', {
+        endpoint: '/block',
+        request: blockRequest,
+      });
+    }
 
     if (typeof blockResponse.block.transactions === 'undefined') {
       delete blockResponse.block.transactions;
     }
 
-    if (blockResponse.other_transactions == null || blockResponse.other_transactions.length === 0) {
-      return blockResponse.block;
+    if (blockResponse.other_transactions != null && blockResponse.other_transactions.length > 0) {
+      const transactions = await this.transactions(
+        networkIdentifier,
+        blockResponse.block.block_identifier,
+        blockResponse.other_transactions,
+        fetchOptions,
+      );
+
+      if (!!blockResponse.block.transactions) {
+        blockResponse.block.transactions = [...blockResponse.block.transactions, ...transactions];
+      } else {
+        blockResponse.block.transactions = transactions;
+      }
     }
 
-    const transactions = await this.transactions(
+    this.assertResponse({
+      endpoint: '/block',
+      request: blockRequest,
       networkIdentifier,
-      blockIdentifier,
-      blockResponse.other_transactions
-    );
+      validate,
+    }, asserter => asserter.Block(blockResponse.block));
 
-    if (!!blockResponse.block.transactions) {
-      blockResponse.block.transactions = [...blockResponse.block.transactions, ...transactions];
-    } else {
-      blockResponse.block.transactions = transactions;
-    }
     return blockResponse.block;
   }
 
   /**
    * Get information for each block transaction.
+   * Transactions are fetched with retries in batches of `transactionBatchSize` and returned in the order of `hashes`.
+   * All batches are fetched even if a transaction fails, so that every failed hash is reported.
+   * The thrown error is not retriable, as each transaction has already been retried.
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
    * @param {Rosetta:TransactionIdentifier[]} hashes - array of items that uniquely identifies a transaction in a particular network and block or in the mempool.
+   * @param [fetchOptions = {}] - see transaction.
    * @returns {Promise<Rosetta:BlockTransactionResponse.transaction[]>} - array of information about transactions.
+   * @throws {FetcherError} thrown if any transaction cannot be fetched, `details.failed_transactions`
+   *      lists the hash and error of each of them.
    */
-  async transactions(networkIdentifier, blockIdentifier, hashes) {
-    // Resolve other transactions
-    const promiseArguments = hashes.map((otherTx) => {
-      return [networkIdentifier, blockIdentifier, otherTx.hash];
-    });
+  async transactions(networkIdentifier, blockIdentifier, hashes, fetchOptions = {}) {
+    const transactions = [];
+    const failed = [];
+
+    for (let i = 0; i < hashes.length; i += this.options.transactionBatchSize) {
+      const batch = hashes.slice(i, i + this.options.transactionBatchSize);
+
+      const results = await PromisePool.create(
+        this.options.promisePoolSize,
+        batch,
+        async ({ hash }) => {
+          try {
+            return { hash, transaction: await this.transactionRetry(networkIdentifier, blockIdentifier, hash, {},
+              fetchOptions) };
+          } catch (error) {
+            return { hash, error };
+          }
+        },
+      );
+
+      for (const { hash, transaction, error } of results) {
+        if (error != null) {
+          failed.push({ hash, error });
+        } else {
+          transactions.push(transaction);
+        }
+      }
+    }
 
-    // Wait for all transactions to be fetched
-    const transactions = await PromisePool.create(
-      this.options.promisePoolSize,
-      promiseArguments,
-      this.transaction.bind(this),
-      PromisePool.arrayApplier,
-    );
+    if (failed.length > 0) {
+      throw new FetcherError(
+        `Unable to fetch ${failed.length} of ${hashes.length} transactions of block ${blockIdentifier.index}`, {
+          endpoint: '/block/transaction',
+          cause: failed[0].error,
+          details: {
+            block_identifier: blockIdentifier,
+            failed_transactions: failed.map(({ hash, error }) => ({ hash, error: error.message })),
+          },
+        });
+    }
 
     return transactions;
   }
@@ -247,35 +788,72 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
    * @param {Rosetta:TransactionIdentifier} hash - uniquely identifies a transaction in a particular network and block or in the mempool.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:BlockTransactionResponse.transaction>} - information about a block transaction.
+   * @throws {FetcherError} thrown if the transaction is invalid.
    */
-  async transaction(networkIdentifier, blockIdentifier, hash) {
-    const blockApi = new RosettaClient.promises.BlockApi(this.apiClient);
-
+  async transaction(networkIdentifier, blockIdentifier, hash, { validate = this.options.validate } = {}) {
     const transactionIdentifier = new RosettaClient.TransactionIdentifier(hash);
     const blockTransactionRequest = new RosettaClient.BlockTransactionRequest.constructFromObject({
       network_identifier: networkIdentifier,
       block_identifier: blockIdentifier,
       transaction_identifier: transactionIdentifier,
     });
-    const transactionResponse = await blockApi.blockTransaction(blockTransactionRequest);
+    const transactionResponse = await this.callApi({
+      endpoint: '/block/transaction',
+      request: blockTransactionRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.BlockApi(apiClient).blockTransaction(blockTransactionRequest));
 
-    // ToDo: Client-side type assertion
+    this.assertResponse({
+      endpoint: '/block/transaction',
+      request: blockTransactionRequest,
+      networkIdentifier,
+      validate,
+    }, (asserter) => {
+      asserter.Transaction(transactionResponse.transaction);
+
+      if (transactionResponse.transaction.transaction_identifier.hash !== hash) {
+        throw new AsserterError(`Transaction ${transactionResponse.transaction.transaction_identifier.hash} ` +
+          `does not match the requested transaction ${hash}`);
+      }
+    });
 
     return transactionResponse.transaction;
   }
 
+  /**
+   * TransactionRetry retrieves a validated block transaction with a specified number of retries and max elapsed time.
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
+   * @param {string} hash - hash of the transaction.
+   * @param [retryOptions = {}]
+   * @param [fetchOptions = {}] - see transaction.
+   * @returns {Promise<Rosetta:BlockTransactionResponse.transaction>} - information about a block transaction.
+   */
+  async transactionRetry(networkIdentifier, blockIdentifier, hash, retryOptions = {}, fetchOptions = {}) {
+    const response = await backOff(() =>
+      this.transaction(networkIdentifier, blockIdentifier, hash, fetchOptions),
+      Object.assign({}, this.backOffOptions, retryOptions),
+    );
+
+    return response;
+  }
+
   /**
    * BlockRetry retrieves a validated Block with a specified number of retries and max elapsed time.
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
    * @param [retryOptions = {}]
+   * @param [fetchOptions = {}] - see block.
    * @returns {Promise<Rosetta:Block>} - validated response from the block method.
    */
-  async blockRetry(networkIdentifier, blockIdentifier, retryOptions = {}) {
+  async blockRetry(networkIdentifier, blockIdentifier, retryOptions = {}, fetchOptions = {}) {
     const response = await backOff(() =>
-      this.block(networkIdentifier, blockIdentifier),
+      this.block(networkIdentifier, blockIdentifier, fetchOptions),
       Object.assign({}, this.backOffOptions, retryOptions),
     );
 
@@ -290,15 +868,16 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {number} startIndex - index from first block
    * @param {number} endIndex - index from last block
+   * @param [fetchOptions = {}] - see block.
    * @returns {Promise<Rosetta:Block[]>} - array of validated response from the block method.
    */
-  async blockRange(networkIdentifier, startIndex, endIndex) {
+  async blockRange(networkIdentifier, startIndex, endIndex, fetchOptions = {}) {
     const ret = [];
     const promiseArguments = [];
 
     for (let i = startIndex; i <= endIndex; ++i) {
       const partialBlockIdentifier = RosettaClient.PartialBlockIdentifier.constructFromObject({ index: i });
-      promiseArguments.push([networkIdentifier, partialBlockIdentifier]);
+      promiseArguments.push([networkIdentifier, partialBlockIdentifier, {}, fetchOptions]);
     }
 
     // Wait for all blocks to be fetched
@@ -312,23 +891,56 @@ class RosettaFetcher {
     return blocks;
   }
 
+  /**
+   * Blocks iterates over the blocks from `from` to `to` without keeping them in memory.
+   * At most `concurrency` blocks are fetched ahead and blocks are yielded in index order.
+   * As in blockRange, a direct path between the blocks may not exist during a re-org.
+   *
+   * @example
+   * for await (const block of fetcher.blocks(networkIdentifier, { from: 0, to: 'tip' })) { ... }
+   *
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
+   * @param {object} [options = {}]
+   * @param {number} [options.from = 0] - index of the first block.
+   * @param {number|string} [options.to = 'tip'] - index of the last block (inclusive), or `tip` to poll
+   *      for new blocks until the stream is cancelled.
+   * @param {number} [options.concurrency] - blocks fetched ahead, defaults to `promisePoolSize`.
+   * @param {number} [options.pollInterval = 1000] - time in milliseconds between polls of the tip.
+   * @param {AbortSignal} [options.signal] - signal that cancels the stream when aborted.
+   * @param {object} [options.fetchOptions = {}] - see block.
+   * @returns {BlockStream} - async iterator of validated blocks, `cancel()` stops it.
+   * @throws {FetcherError} thrown if `from` or `to` is invalid.
+   */
+  blocks(networkIdentifier, options = {}) {
+    return new BlockStream(this, networkIdentifier, options);
+  }
+
   /**
    * Mempool returns the validated response from the Mempool method.
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:TransactionIdentifier[]>} - uniquely identifies a transaction in a
    *      particular network and block or in the mempool.
-   * @throws {FetcherError} thrown if mempool is empty.
+   * @throws {FetcherError} thrown if mempool is empty or the response is invalid.
    */
-  async mempool(networkIdentifier) {
-    const mempoolApi = new RosettaClient.promises.MempoolApi(this.apiClient);
-
-    const response = await mempoolApi.mempool(networkIdentifier);
+  async mempool(networkIdentifier, { validate = this.options.validate } = {}) {
+    const response = await this.callApi({
+      endpoint: '/mempool',
+      request: networkIdentifier,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.MempoolApi(apiClient).mempool(networkIdentifier));
     if (response.transaction_identifiers == null || response.transaction_identifiers.length === 0) {
       throw new FetcherError('Mempool is empty');
     }
 
-    // ToDo: Assertion
+    this.assertResponse({
+      endpoint: '/mempool',
+      request: networkIdentifier,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.MempoolTransactions(response.transaction_identifiers));
 
     return response.transaction_identifiers;
   }
@@ -338,19 +950,29 @@ class RosettaFetcher {
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:TransactionIdentifier} transactionIdentifier - uniquely identifies a transaction in a particular network and block or in the mempool.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:Transaction>} - transaction
+   * @throws {FetcherError} thrown if the transaction is invalid.
    */
-  async mempoolTransaction(networkIdentifier, transactionIdentifier) {
-    const mempoolApi = new RosettaClient.promises.MempoolApi(this.apiClient);
-
+  async mempoolTransaction(networkIdentifier, transactionIdentifier, { validate = this.options.validate } = {}) {
     const mempoolTransactionRequest = new RosettaClient.MempoolTransactionRequest(
       networkIdentifier,
       transactionIdentifier
     );
 
-    const response = await mempoolApi.mempoolTransaction(mempoolTransactionRequest);
+    const response = await this.callApi({
+      endpoint: '/mempool/transaction',
+      request: mempoolTransactionRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.MempoolApi(apiClient).mempoolTransaction(mempoolTransactionRequest));
 
-    // ToDo: Type Assertion
+    this.assertResponse({
+      endpoint: '/mempool/transaction',
+      request: mempoolTransactionRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.Transaction(response.transaction));
 
     return response.transaction;
   }
@@ -360,18 +982,29 @@ class RosettaFetcher {
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {object} [metadata = {}] - metadata
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:NetworkStatusResponse>} - returns the current status of the network requested.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async networkStatus(networkIdentifier, metadata = {}) {
-    const networkApi = new RosettaClient.promises.NetworkApi(this.apiClient);
-
+  async networkStatus(networkIdentifier, metadata = {}, { validate = this.options.validate } = {}) {
     const networkRequest = new RosettaClient.NetworkRequest.constructFromObject({
       network_identifier: networkIdentifier,
       metadata: metadata,
     });
 
-    const networkStatus = await networkApi.networkStatus(networkRequest);
-    // ToDo: Type Assertion
+    const networkStatus = await this.callApi({
+      endpoint: '/network/status',
+      request: networkRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.NetworkApi(apiClient).networkStatus(networkRequest));
+
+    this.assertResponse({
+      endpoint: '/network/status',
+      request: networkRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.NetworkStatusResponse(networkStatus));
 
     return networkStatus;
   }
@@ -382,11 +1015,12 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {object} [metadata = {}] - metadata
    * @param {object} [retryOptions = {}]
+   * @param {object} [fetchOptions = {}] - see networkStatus.
    * @returns {Promise<Rosetta:NetworkStatusResponse>} - returns the current status of the network requested.
    */
-  async networkStatusRetry(networkIdentifier, metadata = {}, retryOptions = {}) {
+  async networkStatusRetry(networkIdentifier, metadata = {}, retryOptions = {}, fetchOptions = {}) {
     const response = await backOff(() =>
-      this.networkStatus(networkIdentifier, metadata),
+      this.networkStatus(networkIdentifier, metadata, fetchOptions),
       Object.assign({}, this.backOffOptions, retryOptions),
     );
 
@@ -397,17 +1031,26 @@ class RosettaFetcher {
    * NetworkList returns the validated response from the NetworkList method.
    *
    * @param {object} [metadata = {}] - metadata
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:NetworkListResponse>} - returns a list of NetworkIdentifiers that the Rosetta server supports.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async networkList(metadata = {}) {
-    const networkApi = new RosettaClient.promises.NetworkApi(this.apiClient);
-
+  async networkList(metadata = {}, { validate = this.options.validate } = {}) {
     const metadataRequest = RosettaClient.MetadataRequest.constructFromObject({
       metadata,
     });
 
-    const networkList = await networkApi.networkList(metadataRequest);
-    // ToDo: Type Assertion
+    const networkList = await this.callApi({
+      endpoint: '/network/list',
+      request: metadataRequest,
+    }, apiClient => new RosettaClient.promises.NetworkApi(apiClient).networkList(metadataRequest));
+
+    this.assertResponse({
+      endpoint: '/network/list',
+      request: metadataRequest,
+      validate,
+    }, asserter => asserter.NetworkListResponse(networkList));
 
     return networkList;
   }
@@ -417,11 +1060,12 @@ class RosettaFetcher {
    *
    * @param {object} [metadata = {}] - metadata
    * @param {object} [retryOptions = {}]
+   * @param {object} [fetchOptions = {}] - see networkList.
    * @returns {Promise<Rosetta:NetworkListResponse>} - returns a list of NetworkIdentifiers that the Rosetta server supports.
    */
-  async networkListRetry(metadata = {}, retryOptions = {}) {
+  async networkListRetry(metadata = {}, retryOptions = {}, fetchOptions = {}) {
     const response = await backOff(() =>
-      this.networkList(metadata),
+      this.networkList(metadata, fetchOptions),
       Object.assign({}, this.backOffOptions, retryOptions),
     );
 
@@ -433,24 +1077,31 @@ class RosettaFetcher {
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {object} [metadata = {}] - metadata
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:NetworkOptionsResponse>} - return information about the versioning of the node and the allowed operation statuses, operation types, and errors.
+   * @throws {FetcherError} thrown if the request fails or if the response is invalid.
    */
-  async networkOptions(networkIdentifier, metadata = {}) {
-    const networkApi = new RosettaClient.promises.NetworkApi(this.apiClient);
-
+  async networkOptions(networkIdentifier, metadata = {}, { validate = this.options.validate } = {}) {
     const networkRequest = new RosettaClient.NetworkRequest.constructFromObject({
       network_identifier: networkIdentifier,
       metadata,
     });
 
-    try {
-      const networkOptions = await networkApi.networkOptions(networkRequest);
-      // ToDo: Type Assertion
+    const networkOptions = await this.callApi({
+      endpoint: '/network/options',
+      request: networkRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.NetworkApi(apiClient).networkOptions(networkRequest));
 
-      return networkOptions;
-    } catch(e) {
-      console.error(e);
-    }
+    this.assertResponse({
+      endpoint: '/network/options',
+      request: networkRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.NetworkOptionsResponse(networkOptions));
+
+    return networkOptions;
   }
 
   /**
@@ -459,11 +1110,12 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {object} [metadata = {}] - metadata
    * @param {object} [retryOptions = {}]
+   * @param {object} [fetchOptions = {}] - see networkOptions.
    * @returns {Promise<Rosetta:NetworkOptionsResponse>} - return information about the versioning of the node and the allowed operation statuses, operation types, and errors.
    */
-  async networkOptionsRetry(networkIdentifier, metadata = {}, retryOptions = {}) {
+  async networkOptionsRetry(networkIdentifier, metadata = {}, retryOptions = {}, fetchOptions = {}) {
     const response = await backOff(() =>
-      this.networkOptions(networkIdentifier, metadata),
+      this.networkOptions(networkIdentifier, metadata, fetchOptions),
       Object.assign({}, this.backOffOptions, retryOptions),
     );
 
@@ -476,19 +1128,29 @@ class RosettaFetcher {
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {object} [options = {}] - some blockchains require different metadata for different types of transaction construction (ex: delegation versus a transfer).
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:ConstructionMetadataResponse>} - metadata returned here could be a recent hash to use, an account sequence number, or even arbitrary chain state.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionMetadata(networkIdentifier, options = {}) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionMetadata(networkIdentifier, options = {}, { validate = this.options.validate } = {}) {
     const constructionMetadataRequest = new RosettaClient.ConstructionMetadataRequest(
       networkIdentifier,
       options,
     );
 
-    const response = await constructionApi.constructionMetadata(constructionMetadataRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/metadata',
+      request: constructionMetadataRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionMetadata(constructionMetadataRequest));
 
-    // ToDo: Client-side Type Assertion
+    this.assertResponse({
+      endpoint: '/construction/metadata',
+      request: constructionMetadataRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.ConstructionMetadataResponse(response));
 
     return response.metadata;
   }
@@ -498,19 +1160,29 @@ class RosettaFetcher {
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {string} signedTransaction - signed transaction.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<{metadata: object, transactionIdentifier: Rosetta:TransactionIdentifier}>} - validated response from the ConstructionSubmit method
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionSubmit(networkIdentifier, signedTransaction) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionSubmit(networkIdentifier, signedTransaction, { validate = this.options.validate } = {}) {
     const constructionSubmitRequest = new RosettaClient.ConstructionSubmitRequest(
       networkIdentifier,
       signedTransaction
     );
 
-    const response = await constructionApi.constructionSubmit(constructionSubmitRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/submit',
+      request: constructionSubmitRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionSubmit(constructionSubmitRequest));
 
-    // ToDo: Client-side Type Assertion
+    this.assertResponse({
+      endpoint: '/construction/submit',
+      request: constructionSubmitRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.TransactionIdentifierResponse(response));
 
     return {
       transactionIdentifier: response.transaction_identifier,
@@ -524,20 +1196,30 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {string} unsignedTransaction - unsigned transaction.
    * @param {Rosetta:Signature[]} signatureArray - required signatures to create a network transaction.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<string>} - signed transaction.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionCombine(networkIdentifier, unsignedTransaction, signatureArray) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionCombine(networkIdentifier, unsignedTransaction, signatureArray, { validate = this.options.validate } = {}) {
     const constructionCombineRequest = new RosettaClient.ConstructionCombineRequest(
       networkIdentifier,
       unsignedTransaction,
       signatureArray,
     );
 
-    const response = await constructionApi.constructionCombine(constructionCombineRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/combine',
+      request: constructionCombineRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionCombine(constructionCombineRequest));
 
-    // ToDo: Client-side Assertions
+    this.assertResponse({
+      endpoint: '/construction/combine',
+      request: constructionCombineRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.ConstructionCombineResponse(response));
 
     return response.signed_transaction;
   }
@@ -548,20 +1230,30 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:PublicKey} publicKey - contains a public key byte array for a particular CurveType encoded in hex.
    * @param {Object<string,any>} metadataMap - array of metadata.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<{metadata: object, address: string}>} - Derive returns the network-specific address associated with a public key.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionDerive(networkIdentifier, publicKey, metadataMap) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionDerive(networkIdentifier, publicKey, metadataMap, { validate = this.options.validate } = {}) {
     const constructionDeriveRequest = new RosettaClient.ConstructionDeriveRequest(
       networkIdentifier,
       publicKey,
       metadataMap,
     );
 
-    const response = await constructionApi.constructionDerive(constructionDeriveRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/derive',
+      request: constructionDeriveRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionDerive(constructionDeriveRequest));
 
-    // ToDo: Client-side Assertions
+    this.assertResponse({
+      endpoint: '/construction/derive',
+      request: constructionDeriveRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.ConstructionDeriveResponse(response));
 
     return {
       address: response.address,
@@ -574,19 +1266,29 @@ class RosettaFetcher {
    *
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {string} signedTransaction - signed transaction.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<Rosetta:TransactionIdentifier>} - network-specific transaction hash for a signed transaction.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionHash(networkIdentifier, signedTransaction) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionHash(networkIdentifier, signedTransaction, { validate = this.options.validate } = {}) {
     const constructionHashRequest = new RosettaClient.ConstructionHashRequest(
       networkIdentifier,
       signedTransaction,
     );
 
-    const response = await constructionApi.constructionHash(constructionHashRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/hash',
+      request: constructionHashRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionHash(constructionHashRequest));
 
-    // ToDo: Client-side Assertions
+    this.assertResponse({
+      endpoint: '/construction/hash',
+      request: constructionHashRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.TransactionIdentifierResponse(response));
 
     return response.transaction_identifier;
   }
@@ -597,20 +1299,30 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {boolean} signed - indicating whether the transaction is signed.
    * @param {string} transaction - this must be either the unsigned transaction blob.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<{signers: string[], operations: Rosetta:Operation[]}>} - contains an array of operations that occur in a transaction blob.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionParse(networkIdentifier, signed, transaction) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionParse(networkIdentifier, signed, transaction, { validate = this.options.validate } = {}) {
     const constructionParseRequest = new RosettaClient.ConstructionParseRequest(
       networkIdentifier,
       signed,
       transaction,
     );
 
-    const response = await constructionApi.constructionParse(constructionParseRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/parse',
+      request: constructionParseRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionParse(constructionParseRequest));
 
-    // ToDo: Client-side Assertions
+    this.assertResponse({
+      endpoint: '/construction/parse',
+      request: constructionParseRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.ConstructionParseResponse(response, signed));
 
     return {
       operations: response.operations,
@@ -625,13 +1337,14 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:Operation[]} operationArray - array of operations.
    * @param {Object<string,any>} metadataMap - array of metadata.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
    * @returns {Promise<{unsigned_transaction: string, payloads: Rosetta:SigningPayload[]}>} - returns an
    *      unsigned transaction blob and a collection of payloads that must
    *      be signed by particular addresses using a certain SignatureType.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionPayloads(networkIdentifier, operationArray, metadataMap) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionPayloads(networkIdentifier, operationArray, metadataMap, { validate = this.options.validate } = {}) {
     const constructionPayloadsRequest = new RosettaClient.ConstructionPayloadsRequest(
       networkIdentifier,
       operationArray,
@@ -639,9 +1352,18 @@ class RosettaFetcher {
 
     constructionPayloadsRequest.metadata = metadataMap;
 
-    const response = await constructionApi.constructionPayloads(constructionPayloadsRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/payloads',
+      request: constructionPayloadsRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionPayloads(constructionPayloadsRequest));
 
-    // ToDo: Client-side Assertions
+    this.assertResponse({
+      endpoint: '/construction/payloads',
+      request: constructionPayloadsRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.ConstructionPayloadsResponse(response));
 
     return {
       unsigned_transaction: response.unsigned_transaction,
@@ -656,11 +1378,12 @@ class RosettaFetcher {
    * @param {Rosetta:NetworkIdentifier} networkIdentifier - specifies which network a particular object is associated with.
    * @param {Rosetta:Operation[]} operationArray - array of operations.
    * @param {Object<string,any>} metadataMap - array of metadata.
-   * @returns {Promise<Rosetta:Operation[]>} - contains an array of operations that occur in a transaction blob.
+   * @param {object} [fetchOptions = {}]
+   * @param {boolean} [fetchOptions.validate = true] - whether to validate the response with the asserter.
+   * @returns {Promise<Object<string,any>>} - the options to pass to `/construction/metadata`.
+   * @throws {FetcherError} thrown if the response is invalid.
    */
-  async constructionPreprocess(networkIdentifier, operationArray, metadataMap) {
-    const constructionApi = new RosettaClient.promises.ConstructionApi(this.apiClient);
-
+  async constructionPreprocess(networkIdentifier, operationArray, metadataMap, { validate = this.options.validate } = {}) {
     const constructionPreprocessRequest = new RosettaClient.ConstructionPreprocessRequest(
       networkIdentifier,
       operationArray,
@@ -668,13 +1391,31 @@ class RosettaFetcher {
 
     constructionPreprocessRequest.metadata = metadataMap;
 
-    const response = await constructionApi.constructionPreprocess(constructionPreprocessRequest);
+    const response = await this.callApi({
+      endpoint: '/construction/preprocess',
+      request: constructionPreprocessRequest,
+      networkIdentifier,
+    }, apiClient => new RosettaClient.promises.ConstructionApi(apiClient).constructionPreprocess(constructionPreprocessRequest));
 
-    // ToDo: Client-side Assertions
+    this.assertResponse({
+      endpoint: '/construction/preprocess',
+      request: constructionPreprocessRequest,
+      networkIdentifier,
+      validate,
+    }, asserter => asserter.ConstructionPreprocessResponse(response));
 
     return response.options;
   }
 
 }
 
+RosettaFetcher.RateLimiter = RateLimiter;
+RosettaFetcher.CircuitBreaker = CircuitBreaker;
+RosettaFetcher.EndpointPool = EndpointPool;
+RosettaFetcher.ComparisonFetcher = ComparisonFetcher;
+RosettaFetcher.BlockStream = BlockStream;
+RosettaFetcher.ConnectionPool = ConnectionPool;
+RosettaFetcher.CassetteRecorder = CassetteRecorder;
+RosettaFetcher.ReplayApiClient = ReplayApiClient;
+
 module.exports = RosettaFetcher;
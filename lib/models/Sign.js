@@ -34,13 +34,13 @@ const NEGATIVE = '-';
 class Sign {
   /**
    * @constructor
-   * @param {number|string} input
+   * @param {number|bigint|string} input
    */
   constructor(input) {
     if ([ANY, POSITIVE, NEGATIVE].includes(input)) {
       this.type = input;
 
-    } else if (typeof input == 'number') {
+    } else if (typeof input == 'number' || typeof input == 'bigint') {
       switch(this.sign(input)) {
         case -1: this.type = NEGATIVE; break;
         case +1: this.type = POSITIVE; break;
@@ -53,11 +53,11 @@ class Sign {
 
   /**
    * Check is a positive or negative amount.
-   * @param {number} number - amount
+   * @param {number|bigint} number - amount
    * @returns {number}
    */
   sign(number) {
-    if (typeof number !== 'number') {
+    if (typeof number !== 'number' && typeof number !== 'bigint') {
       throw new InternalError(`n in sign(n) must be a number`);
     }
 
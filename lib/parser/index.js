@@ -33,6 +33,7 @@ const {
   Hash,
   AmountValue,
   NegateValue,
+  Amount,
 } = require('../utils');
 
 const { Sign } = require('../models');
@@ -51,7 +52,7 @@ class Match {
    * Constructs a Match object that holds operations and their corresponding amounts.
    * @constructor
    * @param {Rosetta:Operation[]} operations - Array of operations.
-   * @param {number[]} amounts - Corresponding amounts to the operations, can be null if not available.
+   * @param {bigint[]} amounts - Corresponding amounts to the operations, can be null if not available.
    */
   constructor({operations = [], amounts = []} = {}) {
     this.operations = operations;
@@ -60,7 +61,7 @@ class Match {
 
   /**
    * Returns the first operation and its corresponding amount if available.
-   * @returns {{operation: Rosetta:Operation|null, amount: number|null}} The first operation and amount.
+   * @returns {{operation: Rosetta:Operation|null, amount: bigint|null}} The first operation and amount.
    */
   first() {
     return this.operations.length > 0 ? { operation: this.operations[0], amount: this.amounts[0] } : { operation: null, amount: null };
@@ -522,7 +523,7 @@ class RosettaParser {
       throw new ParserError(`${valA} and ${valB} have the same sign`);
     }
 
-    if (Math.abs(valA) !== Math.abs(valB)) {
+    if (Amount.compare(valA, Amount.negate(valB)) !== 0) {
       throw new ParserError(`${valA} and ${valB} are not equal`);
     }
   }
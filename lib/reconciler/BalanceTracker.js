@@ -0,0 +1,261 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * BalanceTracker computes account balances from the operations of synced blocks,
+ * for nodes that cannot look up historical balances (`lookupBalanceByBlock: false`).
+ *
+ * Pass it as `handler` to the Syncer: added blocks are parsed into balance changes,
+ * stored in a BalanceStorage and queued for reconciliation; removed blocks restore
+ * the previous balances. Pass it as `helper` to the Reconciler to compare the
+ * computed balances with the balances of the node.
+ *
+ * @class BalanceTracker
+ */
+
+const fs = require('fs');
+
+const BalanceStorage = require('../storage/BalanceStorage');
+const Logger = require('../logger');
+const { ReconcilerError } = require('../errors');
+const { Amount } = require('../utils');
+
+// Set once the balances were bootstrapped or the first block was added
+const BOOTSTRAP_KEY = 'balance/bootstrap';
+
+class BalanceTracker {
+  /**
+   * @param {KeyValueStorage} [storage] - storage of the balances, required unless balanceStorage is passed.
+   * @param {BalanceStorage} [balanceStorage] - balance storage to use instead of a new one on storage.
+   * @param {RosettaParser} parser - parser that computes the balance changes of blocks.
+   * @param {RosettaReconciler} [reconciler = null] - reconciler the balance changes are queued to.
+   */
+  constructor({ storage, balanceStorage, parser, reconciler = null } = {}) {
+    if (parser == null) {
+      throw new ReconcilerError('BalanceTracker requires a parser');
+    }
+
+    this.balanceStorage = balanceStorage || new BalanceStorage({ storage });
+    this.parser = parser;
+    this.reconciler = reconciler;
+
+    this.initialized = false;
+
+    // Bootstraps and added blocks are written one at a time
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Syncer hook: apply the balance changes of an added block and queue them for reconciliation.
+   *
+   * @param {Rosetta:Block} block - block that was added.
+   * @return {Promise<void>}
+   */
+  async blockAdded(block) {
+    const balanceChanges = this.parser.balanceChanges(block, false);
+
+    await this.serialize(async () => {
+      const operations = await this.balanceStorage.addBlockOperations(block, balanceChanges);
+
+      // The first block ends the bootstrap
+      if (!await this.isInitialized()) {
+        operations.push({ type: 'set', key: BOOTSTRAP_KEY, value: { block: block.block_identifier, balances: 0 } });
+      }
+
+      await this.balanceStorage.storage.batch(operations);
+      this.initialized = true;
+    });
+
+    if (this.reconciler != null) {
+      await this.reconciler.queueChanges(block.block_identifier, balanceChanges);
+    }
+  }
+
+  /**
+   * Syncer hook: restore the balances a removed block changed.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block that was removed.
+   * @return {Promise<void>}
+   */
+  async blockRemoved(blockIdentifier) {
+    await this.balanceStorage.removeBlock(blockIdentifier);
+  }
+
+  /**
+   * Reconciler helper: get the most recently added block.
+   *
+   * @return {Promise<Rosetta:BlockIdentifier>}
+   */
+  async currentBlock() {
+    return this.balanceStorage.currentBlock();
+  }
+
+  /**
+   * Reconciler helper: check if a block is part of the synced canonical chain.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block to look up.
+   * @return {Promise<boolean>}
+   */
+  async blockExists(blockIdentifier) {
+    return this.balanceStorage.blockExists(blockIdentifier);
+  }
+
+  /**
+   * Reconciler helper: get the computed balance of an account.
+   *
+   * @param {Rosetta:AccountIdentifier} accountIdentifier - account.
+   * @param {Rosetta:Currency} currency - currency.
+   * @param {Rosetta:BlockIdentifier} headBlock - current head block.
+   * @return {Promise<{cachedBalance: Rosetta:Amount, balanceBlock: Rosetta:BlockIdentifier}>}
+   */
+  async accountBalance(accountIdentifier, currency, headBlock) {
+    return this.balanceStorage.accountBalance(accountIdentifier, currency, headBlock);
+  }
+
+  /**
+   * Get the computed balance of an account.
+   *
+   * @param {Rosetta:AccountIdentifier} accountIdentifier - account.
+   * @param {Rosetta:Currency} currency - currency.
+   * @return {Promise<string>} - balance, 0 if the account has no balance.
+   */
+  async getBalance(accountIdentifier, currency) {
+    const balance = await this.balanceStorage.getBalance(accountIdentifier, currency);
+    return balance != null ? balance.value : '0';
+  }
+
+  /**
+   * Seed the balances of the genesis block, before any block was synced.
+   * The balances are written together with a bootstrap marker and only if neither a bootstrap
+   * nor a block was written yet, so calling it again after a restart is safe.
+   *
+   * @param {{account_identifier: Rosetta:AccountIdentifier, currency: Rosetta:Currency, value: string}[]} balances
+   * @param {Rosetta:BlockIdentifier} genesisBlock - block at which the balances are valid.
+   * @return {Promise<boolean>} - whether the balances were written.
+   * @throws {ReconcilerError} thrown if a balance is invalid or an account is listed twice.
+   */
+  async bootstrap(balances, genesisBlock) {
+    if (!Array.isArray(balances)) {
+      throw new ReconcilerError('Bootstrap balances must be an array');
+    }
+
+    const operations = [];
+    const keys = new Set();
+
+    balances.forEach((balance, i) => {
+      const { account_identifier, currency, value } = balance || {};
+
+      if (account_identifier == null || account_identifier.address == null) {
+        throw new ReconcilerError(`Bootstrap balance ${i} has no account_identifier`);
+      }
+
+      if (currency == null || currency.symbol == null || currency.decimals == null) {
+        throw new ReconcilerError(`Bootstrap balance ${i} has no valid currency`);
+      }
+
+      try {
+        if (Amount.sign(value) === -1) {
+          throw new Error(`${value} is negative`);
+        }
+      } catch (e) {
+        throw new ReconcilerError(`Bootstrap balance ${i} has an invalid value: ${e.message}`);
+      }
+
+      const key = BalanceStorage.balanceKey(account_identifier, currency);
+      if (keys.has(key)) {
+        throw new ReconcilerError(`Bootstrap balance ${i} is a duplicate of ` +
+          `${JSON.stringify(account_identifier)} ${currency.symbol}`);
+      }
+
+      keys.add(key);
+      operations.push({
+        type: 'set',
+        key,
+        value: { account_identifier, currency, value: `${value}`, block: genesisBlock },
+      });
+    });
+
+    return this.serialize(async () => {
+      if (await this.isInitialized()) {
+        Logger.info('Skipping balance bootstrap, balances were bootstrapped or blocks were synced already');
+        return false;
+      }
+
+      await this.balanceStorage.storage.batch([
+        ...operations,
+        { type: 'set', key: BOOTSTRAP_KEY, value: { block: genesisBlock, balances: operations.length } },
+      ]);
+      this.initialized = true;
+
+      Logger.info(`Bootstrapped ${operations.length} balances at block ${genesisBlock.index}`);
+      return true;
+    });
+  }
+
+  /**
+   * Seed the genesis balances from a JSON file, see bootstrap().
+   *
+   * @param {string} path - path of a JSON file with an array of
+   *  `{account_identifier, currency, value}` entries.
+   * @param {Rosetta:BlockIdentifier} genesisBlock - block at which the balances are valid.
+   * @return {Promise<boolean>} - whether the balances were written.
+   * @throws {ReconcilerError} thrown if the file cannot be read or is invalid.
+   */
+  async bootstrapFromFile(path, genesisBlock) {
+    let balances;
+
+    try {
+      balances = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+    } catch (e) {
+      throw new ReconcilerError(`Unable to read bootstrap balances ${path}: ${e.message}`);
+    }
+
+    return this.bootstrap(balances, genesisBlock);
+  }
+
+  /**
+   * @return {Promise<boolean>} - whether the balances were bootstrapped or a block was added.
+   */
+  async isInitialized() {
+    if (!this.initialized) {
+      this.initialized = (await this.balanceStorage.storage.get(BOOTSTRAP_KEY)) != null;
+    }
+
+    return this.initialized;
+  }
+
+  /**
+   * Run a write after the previous ones.
+   *
+   * @param {function(): Promise<any>} write
+   * @return {Promise<any>} - result of the write.
+   */
+  serialize(write) {
+    const result = this.writeQueue.then(write);
+
+    // Keep the queue alive if a write fails.
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = BalanceTracker;
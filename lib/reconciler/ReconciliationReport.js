@@ -0,0 +1,207 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Aggregated statistics of a reconciliation run.
+ * Tracks the accounts seen and reconciled, failures with their differences,
+ * skipped reconciliations and the coverage, i.e. the share of seen accounts
+ * that were reconciled at least once, over time.
+ * Use `toJSON()` (or JSON.stringify) to export it and `summary()` for a readable summary.
+ * @class ReconciliationReport
+ */
+
+const { Hash } = require('../utils');
+
+class ReconciliationReport {
+  /**
+   * @param {number} [maxFailures = 1000] - number of failures kept with their details, all failures are counted.
+   * @param {number} [sampleInterval = 60000] - minimum time between coverage samples in milliseconds.
+   */
+  constructor({ maxFailures = 1000, sampleInterval = 60000 } = {}) {
+    this.maxFailures = maxFailures;
+    this.sampleInterval = sampleInterval;
+
+    this.startedAt = Date.now();
+
+    this.seen = new Set();
+    this.covered = new Set();
+
+    this.reconciliations = {
+      active: 0,
+      inactive: 0,
+    };
+
+    this.failureCount = 0;
+    this.failures = [];
+
+    this.skips = {};
+
+    this.samples = [];
+    this.lastSampleAt = null;
+  }
+
+  /**
+   * Count an account currency as seen.
+   *
+   * @param {RosettaReconciler.AccountCurrency} accountCurrency - account and its currency.
+   */
+  accountSeen(accountCurrency) {
+    this.seen.add(Hash(accountCurrency));
+  }
+
+  /**
+   * Count a successful reconciliation.
+   *
+   * @param {string} type - ACTIVE or INACTIVE.
+   * @param {RosettaReconciler.AccountCurrency} accountCurrency - account and its currency.
+   */
+  reconciled(type, accountCurrency) {
+    const hash = Hash(accountCurrency);
+
+    this.seen.add(hash);
+    this.covered.add(hash);
+    this.reconciliations[type === 'INACTIVE' ? 'inactive' : 'active']++;
+  }
+
+  /**
+   * Record a reconciliation whose computed balance differs from the live balance.
+   *
+   * @param {string} type - ACTIVE or INACTIVE.
+   * @param {RosettaReconciler.AccountCurrency} accountCurrency - account and its currency.
+   * @param {string} computedBalance - balance computed from the operations.
+   * @param {string} liveBalance - balance returned by the node.
+   * @param {string} difference - computed balance minus live balance.
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block the balances were compared at.
+   */
+  failed(type, accountCurrency, computedBalance, liveBalance, difference, blockIdentifier) {
+    this.seen.add(Hash(accountCurrency));
+    this.failureCount++;
+
+    if (this.failures.length < this.maxFailures) {
+      this.failures.push({
+        type,
+        account: accountCurrency.account,
+        currency: accountCurrency.currency,
+        computedBalance,
+        liveBalance,
+        difference,
+        block: blockIdentifier,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Count a skipped reconciliation.
+   *
+   * @param {string} reason - type of the ReconcilerError, e.g. BLOCK_GONE or ACCOUNT_UPDATED.
+   */
+  skipped(reason) {
+    this.skips[reason] = (this.skips[reason] || 0) + 1;
+  }
+
+  /**
+   * Share of the seen account currencies that were reconciled at least once.
+   *
+   * @return {number} - coverage in percent.
+   */
+  coverage() {
+    return this.seen.size === 0 ? 0 : this.covered.size / this.seen.size * 100;
+  }
+
+  /**
+   * Record a coverage sample if sampleInterval has passed since the last one.
+   *
+   * @param {number} [blockIndex = null] - index of the last queued block.
+   * @param {boolean} [force = false] - record the sample regardless of the interval.
+   */
+  sample(blockIndex = null, force = false) {
+    const now = Date.now();
+
+    if (!force && this.lastSampleAt != null && now - this.lastSampleAt < this.sampleInterval) {
+      return;
+    }
+
+    this.lastSampleAt = now;
+    this.samples.push({
+      timestamp: new Date(now).toISOString(),
+      blockIndex,
+      seen: this.seen.size,
+      reconciled: this.covered.size,
+      coverage: this.coverage(),
+    });
+  }
+
+  /**
+   * @return {object} - the report as plain object.
+   */
+  toJSON() {
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      durationMs: Date.now() - this.startedAt,
+      accounts: {
+        seen: this.seen.size,
+        reconciled: this.covered.size,
+        coverage: this.coverage(),
+      },
+      reconciliations: Object.assign({}, this.reconciliations),
+      failureCount: this.failureCount,
+      failures: this.failures.slice(),
+      skipped: Object.assign({}, this.skips),
+      coverage: this.samples.slice(),
+    };
+  }
+
+  /**
+   * @return {string} - human-readable summary of the report.
+   */
+  summary() {
+    const report = this.toJSON();
+    const accountName = ({ address, sub_account }) =>
+      sub_account != null ? `${address}:${sub_account.address}` : `${address}`;
+
+    const lines = [
+      `Reconciliation report (${Math.round(report.durationMs / 1000)}s)`,
+      `  Accounts: ${report.accounts.seen} seen, ${report.accounts.reconciled} reconciled ` +
+        `(${report.accounts.coverage.toFixed(2)}% coverage)`,
+      `  Reconciliations: ${report.reconciliations.active} active, ${report.reconciliations.inactive} inactive`,
+      `  Failures: ${report.failureCount}`,
+    ];
+
+    for (const failure of report.failures) {
+      lines.push(`    ${failure.type} ${accountName(failure.account)} ${failure.currency.symbol} ` +
+        `at block ${failure.block.index}: computed ${failure.computedBalance}, live ${failure.liveBalance}, ` +
+        `difference ${failure.difference}`);
+    }
+
+    if (report.failures.length < report.failureCount) {
+      lines.push(`    ... ${report.failureCount - report.failures.length} more`);
+    }
+
+    const skipped = Object.entries(report.skipped).map(([reason, count]) => `${count} ${reason}`);
+    lines.push(`  Skipped: ${skipped.length > 0 ? skipped.join(', ') : 0}`);
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,51 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module ReconcilerEvents
+ */
+
+/**
+ * Reconciler started event, emitted once the persisted state
+ * was restored and the workers were started
+ * @type {string}
+ */
+const RECONCILER_STARTED = 'RECONCILER_STARTED';
+
+/**
+ * Reconciler idle event, emitted when all queued balance changes were reconciled
+ * @type {string}
+ */
+const RECONCILER_IDLE = 'RECONCILER_IDLE';
+
+/**
+ * Reconciler stopped event, emitted after the in-flight reconciliations
+ * were drained, with the error that stopped the Reconciler or null
+ * @type {string}
+ */
+const RECONCILER_STOPPED = 'RECONCILER_STOPPED';
+
+module.exports = {
+  RECONCILER_STARTED,
+  RECONCILER_IDLE,
+  RECONCILER_STOPPED,
+};
@@ -22,9 +22,13 @@
 
 // Reconciler: index.js
 
+const EventEmitter = require('events');
 const Logger = require('../logger');
 const { ReconcilerError } = require('../errors');
 const sleep = require('../utils/sleep');
+const ReconcilerEvents = require('./events');
+const ReconciliationReport = require('./ReconciliationReport');
+const BalanceTracker = require('./BalanceTracker');
 const {
   SubtractValues,
   constructPartialBlockIdentifier,
@@ -42,8 +46,18 @@ const defaults = {
   waitToCheckDiffSleep: 5000,
   inactiveFrequency: RECONCILIATION_INACTIVE_FREQUENCY_BLOCK_COUNT,
   withSeenAccounts: [],
+  stateStorage: null,
+  statePrefix: 'reconciler/',
+  activeConcurrency: 8,
+  inactiveConcurrency: 4,
+  reportOptions: {},
 };
 
+// Keys of the persisted state, relative to statePrefix
+const SEEN_KEY = 'seen/';
+const INACTIVE_KEY = 'inactive/';
+const CHANGE_KEY = 'change/';
+
 const RECONCILIATION_ACTIVE = 'ACTIVE';
 const RECONCILIATION_INACTIVE = 'INACTIVE';
 
@@ -51,8 +65,27 @@ const RECONCILIATION_ERROR_HEAD_BEHIND_LIVE = 'ERROR_HEAD_BEHIND_LIVE';
 const RECONCILIATION_ERROR_ACCOUNT_UPDATED = 'ACCOUNT_UPDATED';
 const RECONCILIATION_ERROR_BLOCK_GONE = 'BLOCK_GONE';
 
-class RosettaReconciler {
+/**
+ * RosettaReconciler
+ * Emits RECONCILER_STARTED, RECONCILER_IDLE and RECONCILER_STOPPED,
+ * see start() and stop().
+ *
+ * @class RosettaReconciler
+ * @extends EventEmitter
+ */
+class RosettaReconciler extends EventEmitter {
+  /**
+   * @param {object} [args = {}] - see `RosettaReconciler.defaults` for the options and their defaults.
+   * @param {KeyValueStorage} [args.stateStorage = null] - storage the seen accounts, the inactive queue
+   *     and pending changes are persisted to, so that reconciliation resumes after a restart.
+   * @param {string} [args.statePrefix = 'reconciler/'] - prefix of the keys in stateStorage.
+   * @param {number} [args.activeConcurrency = 8] - number of workers reconciling balance changes.
+   * @param {number} [args.inactiveConcurrency = 4] - number of workers reconciling inactive accounts.
+   * @param {object} [args.reportOptions = {}] - options of the ReconciliationReport in `reconciler.report`.
+   */
   constructor(args = {}) {
+    super();
+
     const { networkIdentifier, helper, handler, fetcher } = args;
     const configuration = Object.assign({}, defaults, args);
 
@@ -61,9 +94,11 @@ class RosettaReconciler {
     this.handler = handler;
     this.fetcher = fetcher;
 
-    this.highWaterMark = configuration.lookupBalanceByBlock;
+    this.highWaterMark = configuration.highWaterMark;
     this.lookupBalanceByBlock = configuration.lookupBalanceByBlock;
 
+    this.report = new ReconciliationReport(configuration.reportOptions);
+
     this.interestingAccounts = configuration.interestingAccounts || [];
     this.inactiveQueue = [];
     this.seenAccounts = this.handleSeenAccounts(configuration.withSeenAccounts);
@@ -74,6 +109,161 @@ class RosettaReconciler {
     this.inactiveFrequency = configuration.inactiveFrequency;
 
     this.changeQueue = [];
+
+    this.stateStorage = configuration.stateStorage;
+    this.statePrefix = configuration.statePrefix;
+    this.stateRestored = null;
+    this.changeKeys = new WeakMap();
+    this.nextChangeSequence = 0;
+
+    this.activeConcurrency = configuration.activeConcurrency;
+    this.inactiveConcurrency = configuration.inactiveConcurrency;
+
+    // Account currencies that are being reconciled, by hash
+    this.inFlight = new Set();
+    this.activeInFlight = 0;
+
+    // Balance lookups share the promise pool of the fetcher
+    this.balanceLookups = 0;
+    this.balanceLookupQueue = [];
+
+    this.running = false;
+    this.stopRequested = false;
+    this.idle = false;
+    this.reconcileDone = Promise.resolve();
+    this.resolveReconcileDone = null;
+
+    // Workers waiting for new work, see waitForWork()
+    this.workWaiters = [];
+  }
+
+  /**
+   * Restore the seen accounts, the inactive queue and pending changes from the state storage.
+   * Seen accounts passed as `withSeenAccounts` that were not persisted yet are persisted.
+   * Called once before changes are queued or reconciled.
+   *
+   * @return {Promise<boolean>} - whether any state was restored.
+   */
+  restoreState() {
+    if (this.stateRestored == null) {
+      this.stateRestored = this.loadState();
+    }
+
+    return this.stateRestored;
+  }
+
+  /**
+   * Load the persisted state, see restoreState.
+   *
+   * @return {Promise<boolean>}
+   */
+  async loadState() {
+    if (this.stateStorage == null) {
+      return false;
+    }
+
+    const seen = await this.stateStorage.scan(this.stateKey(SEEN_KEY));
+    const inactive = await this.stateStorage.scan(this.stateKey(INACTIVE_KEY));
+    const changes = await this.stateStorage.scan(this.stateKey(CHANGE_KEY));
+
+    const operations = [];
+
+    // Persist seen accounts of the configuration, restored entries replace their queue entries.
+    for (const { entry } of this.inactiveQueue) {
+      const hash = Hash(entry);
+
+      if (!seen.some(({ key }) => key === this.stateKey(SEEN_KEY, hash))) {
+        operations.push({ type: 'set', key: this.stateKey(SEEN_KEY, hash), value: entry });
+        operations.push({ type: 'set', key: this.stateKey(INACTIVE_KEY, hash), value: { entry, last_check: null } });
+      }
+    }
+
+    for (const { value } of seen) {
+      this.seenAccounts[Hash(value)] = {};
+      this.report.accountSeen(value);
+    }
+
+    const restoredQueue = inactive.map(({ value }) => value);
+    const restoredHashes = new Set(restoredQueue.map(({ entry }) => Hash(entry)));
+
+    this.inactiveQueue = [
+      ...this.inactiveQueue.filter(({ entry }) => !restoredHashes.has(Hash(entry))),
+      ...restoredQueue.sort((a, b) => RosettaReconciler.lastCheckIndex(a) - RosettaReconciler.lastCheckIndex(b)),
+    ];
+
+    const restoredChanges = changes.map(({ key, value }) => {
+      this.changeKeys.set(value, key);
+      return value;
+    });
+
+    this.changeQueue = [...restoredChanges, ...this.changeQueue];
+
+    if (changes.length > 0) {
+      const lastKey = changes[changes.length - 1].key;
+      this.nextChangeSequence = Number(lastKey.slice(this.stateKey(CHANGE_KEY).length)) + 1;
+    }
+
+    if (operations.length > 0) {
+      await this.stateStorage.batch(operations);
+    }
+
+    if (seen.length > 0 || inactive.length > 0 || changes.length > 0) {
+      Logger.info(`Restored reconciler state: ${seen.length} seen accounts, ` +
+        `${inactive.length} inactive accounts, ${changes.length} pending changes`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the key of a state entry.
+   *
+   * @param {string} type - type of the entry, e.g. `seen/`.
+   * @param {string} [id = ''] - id of the entry.
+   * @return {string}
+   */
+  stateKey(type, id = '') {
+    return `${this.statePrefix}${type}${id}`;
+  }
+
+  /**
+   * Write state operations, if a state storage is configured.
+   *
+   * @param {{type: string, key: string, value: any}[]} operations - batch operations.
+   * @return {Promise<void>}
+   */
+  async persistState(operations) {
+    if (this.stateStorage == null || operations.length === 0) {
+      return;
+    }
+
+    await this.stateStorage.batch(operations);
+  }
+
+  /**
+   * Remove a reconciled change from the persisted pending changes.
+   *
+   * @param {BalanceChange} change - change taken from the changeQueue.
+   * @return {Promise<void>}
+   */
+  async completeChange(change) {
+    const key = this.changeKeys.get(change);
+
+    if (key != null) {
+      this.changeKeys.delete(change);
+      await this.persistState([{ type: 'delete', key }]);
+    }
+  }
+
+  /**
+   * Index of the last check of an inactive queue entry, -1 if it was never checked.
+   *
+   * @param {{entry: RosettaReconciler.AccountCurrency, last_check: Rosetta:BlockIdentifier}} queued
+   * @return {number}
+   */
+  static lastCheckIndex(queued) {
+    return queued.last_check != null ? queued.last_check.index : -1;
   }
 
   handleSeenAccounts(seenAccounts) {
@@ -81,6 +271,7 @@ class RosettaReconciler {
 
     seenAccounts.forEach(s => {
       this.inactiveQueue.push({ entry: s });
+      this.report.accountSeen(s);
       seen[Hash(s)] = {};
     });
 
@@ -91,15 +282,18 @@ class RosettaReconciler {
    * QueueChanges enqueues a slice of BalanceChanges for reconciliation.
    *
    * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
-   * @param {Rosetta:BalanceChange[]} balanceChangesArray - array of BalanceChanges
+   * @param {Rosetta:BalanceChange[]} balanceChangesArray - array of BalanceChanges, as computed by
+   *  `Parser.balanceChanges()`: `{account_identifier, currency, block_identifier, difference}`.
    * @return {Promise<void>}
    */
   async queueChanges(blockIdentifier, balanceChangesArray) {
+    await this.restoreState();
+
     for (let account of this.interestingAccounts) {
       let skipAccount = false;
 
       for (let change of balanceChangesArray) {
-        if (Hash(account) === Hash(change)) {
+        if (Hash(account) === Hash(new RosettaReconciler.AccountCurrency(change.account_identifier, change.currency))) {
           skipAccount = true;
           break;
         }
@@ -110,28 +304,39 @@ class RosettaReconciler {
       balanceChangesArray.push({
         account_identifier: account.account,
         currency: account.currency,
-        block: blockIdentifier,
+        block_identifier: blockIdentifier,
         difference: "0",
       });
     }
 
+    // Changes of a block are persisted together
+    const operations = [];
+
     for (let change of balanceChangesArray) {
       await this.inactiveAccountQueue(
         false,
-        new RosettaReconciler.AccountCurrency(change.account_identifier.account, change.currency),
-        blockIdentifier
+        new RosettaReconciler.AccountCurrency(change.account_identifier, change.currency),
+        blockIdentifier,
+        operations,
       );
 
-      if (!this.lookupBalanceByBlock) {
-        if (blockIdentifier.index < this.highWaterMark) {
-          continue;
-        }
+      if (!this.lookupBalanceByBlock && blockIdentifier.index < this.highWaterMark) {
+        continue;
+      }
 
-        this.changeQueue.push(change);
-      } else {
-        this.changeQueue.push(change);
+      this.changeQueue.push(change);
+      this.idle = false;
+
+      if (this.stateStorage != null) {
+        const key = this.stateKey(CHANGE_KEY, `${this.nextChangeSequence++}`.padStart(16, '0'));
+        this.changeKeys.set(change, key);
+        operations.push({ type: 'set', key, value: change });
       }
     }
+
+    await this.persistState(operations);
+    this.report.sample(blockIdentifier.index);
+    this.notifyWork();
   }
 
   /**
@@ -148,19 +353,22 @@ class RosettaReconciler {
    * @param {Rosetta:Amount} amount - amount.
    * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
    * @return {Promise<{cachedBalance: string, difference: string, headIndex: number}>}
-   * @throws {ReconcilerError} thrown if live block higher than head block or live block gone.
+   * @throws {ReconcilerError} thrown if live block higher than head block (with its `headIndex`) or live block gone.
    */
   async compareBalance(accountIdentifier, currency, amount, blockIdentifier) {
     const head = await this.helper.currentBlock();
 
     if (blockIdentifier.index > head.index) {
-      throw new ReconcilerError(
+      const error = new ReconcilerError(
         `Live block ${blockIdentifier.index} > head block ${head.index}`,
         RECONCILIATION_ERROR_HEAD_BEHIND_LIVE,
       );
+
+      error.headIndex = head.index;
+      throw error;
     }
 
-    const exists = this.helper.blockExists(blockIdentifier);
+    const exists = await this.helper.blockExists(blockIdentifier);
     if (!exists) {
       throw new ReconcilerError(
         `Block gone! Block hash = ${blockIdentifier.hash}`,
@@ -194,17 +402,55 @@ class RosettaReconciler {
    * @return {Promise<{block: *, value: *}|undefined>}
    */
   async bestBalance(accountIdentifier, currency, partialBlockIdentifier) {
-    if (this.lookupBalanceByBlock) {
+    if (!this.lookupBalanceByBlock) {
       partialBlockIdentifier = null;
     }
 
-    return await this.getCurrencyBalance(
-      this.fetcher,
-      this.network,
-      accountIdentifier,
-      currency,
-      partialBlockIdentifier,
-    );
+    await this.acquireBalanceLookup();
+
+    try {
+      return await this.getCurrencyBalance(
+        this.fetcher,
+        this.network,
+        accountIdentifier,
+        currency,
+        partialBlockIdentifier,
+      );
+    } finally {
+      this.releaseBalanceLookup();
+    }
+  }
+
+  /**
+   * Wait until a balance lookup may be sent. Workers never send more concurrent lookups
+   * than the `promisePoolSize` of the fetcher, whose rate limits apply to every lookup.
+   *
+   * @return {Promise<void>}
+   */
+  acquireBalanceLookup() {
+    const limit = this.fetcher && this.fetcher.options ? this.fetcher.options.promisePoolSize : Infinity;
+
+    if (this.balanceLookups < limit) {
+      this.balanceLookups++;
+      return Promise.resolve();
+    }
+
+    return new Promise((fulfill) => {
+      this.balanceLookupQueue.push(fulfill);
+    });
+  }
+
+  /**
+   * Hand a finished balance lookup to the next waiting worker.
+   */
+  releaseBalanceLookup() {
+    const next = this.balanceLookupQueue.shift();
+
+    if (next) {
+      next();
+    } else {
+      this.balanceLookups--;
+    }
   }
 
   /**
@@ -244,15 +490,11 @@ class RosettaReconciler {
    * @throws {Error} thrown if the provided AccountAndCurrency's live balance cannot be reconciled with the computed balance.
    */
   async accountReconciliation(accountIdentifier, currency, amount, blockIdentifier, isInactive) {
-    const accountCurrency = {
-      account_identifier: accountIdentifier,
-      currency: currency,
-    };
+    const accountCurrency = new RosettaReconciler.AccountCurrency(accountIdentifier, currency);
 
     while (true) {
       let difference;
       let cachedBalance;
-      let headIndex;
 
       try {
         const result = await this.compareBalance(
@@ -262,7 +504,7 @@ class RosettaReconciler {
           blockIdentifier,
         );
 
-        ({ difference, cachedBalance, headIndex } = result);
+        ({ difference, cachedBalance } = result);
       } catch (e) {
         if (e instanceof ReconcilerError) {
           switch (e.type) {
@@ -271,7 +513,7 @@ class RosettaReconciler {
               // is disabled and the syncer is behind the current block of
               // the node. This error should never occur when
               // lookupBalanceByBlock is enabled.
-              const diff = blockIdentifier.index - headIndex;
+              const diff = blockIdentifier.index - e.headIndex;
               if (diff < this.waitToCheckDiff) {
                 await sleep(this.waitToCheckDiffSleep);
                 continue;
@@ -284,7 +526,7 @@ class RosettaReconciler {
               // Set a highWaterMark to not accept any new
               // reconciliation requests unless they happened
               // after this new highWaterMark.
-              this.highWaterMark = partialBlockIdentifier.index;
+              this.highWaterMark = blockIdentifier.index;
               break;
             }
 
@@ -301,9 +543,11 @@ class RosettaReconciler {
             }
 
             default:
-              break;
+              throw e;
           }
 
+          this.report.skipped(e.type);
+          return;
         } else {
           throw e;
         }
@@ -316,9 +560,11 @@ class RosettaReconciler {
       }
 
       if (difference != "0") {
+        this.report.failed(reconciliationType, accountCurrency, cachedBalance, amount, difference, blockIdentifier);
+
         const error = await this.handler.reconciliationFailed(
           reconciliationType,
-          accountCurrency.account_identifier,
+          accountCurrency.account,
           accountCurrency.currency,
           cachedBalance,
           amount,
@@ -326,13 +572,19 @@ class RosettaReconciler {
         );
 
         if (error) throw error;
+        return;
       }
 
-      await this.inactiveAccountQueue(isInactive, accountCurrency, blockIdentifier);
+      this.report.reconciled(reconciliationType, accountCurrency);
+
+      // Inactive accounts are enqueued again by reconcileInactiveAccounts
+      if (!isInactive) {
+        await this.inactiveAccountQueue(isInactive, accountCurrency, blockIdentifier);
+      }
 
       return await this.handler.reconciliationSucceeded(
         reconciliationType,
-        accountCurrency.account_identifier,
+        accountCurrency.account,
         accountCurrency.currency,
         amount,
         blockIdentifier,
@@ -358,50 +610,116 @@ class RosettaReconciler {
    * @param {boolean} isInactive - indicate inactive account.
    * @param {RosettaReconciler.AccountCurrency} accountCurrency - account and its currency.
    * @param {Rosetta:BlockIdentifier} blockIdentifier - uniquely identifies a block in a particular network.
+   * @param {object[]} [operations = null] - state operations are added to this batch instead of being written.
    * @return {Promise<void>}
    */
-  async inactiveAccountQueue(isInactive, accountCurrency, blockIdentifier) {
+  async inactiveAccountQueue(isInactive, accountCurrency, blockIdentifier, operations = null) {
     // Only enqueue the first time we see an account on an active reconciliation.
     let shouldEnqueueInactive = false;
+    const stateOperations = [];
+    const hash = Hash(accountCurrency);
 
     if (!isInactive && !RosettaReconciler.ContainsAccountCurrency(this.seenAccounts, accountCurrency)) {
-      this.seenAccounts[Hash(accountCurrency)] = {};
+      this.seenAccounts[hash] = {};
+      this.report.accountSeen(accountCurrency);
       shouldEnqueueInactive = true;
+      stateOperations.push({ type: 'set', key: this.stateKey(SEEN_KEY, hash), value: accountCurrency });
     }
 
     if (isInactive || shouldEnqueueInactive) {
-      this.inactiveQueue.push({
+      const queued = {
         entry: accountCurrency,
         last_check: blockIdentifier,
-      });
+      };
+
+      this.inactiveQueue.push(queued);
+      stateOperations.push({ type: 'set', key: this.stateKey(INACTIVE_KEY, hash), value: queued });
+    }
+
+    if (operations != null) {
+      operations.push(...stateOperations);
+    } else {
+      await this.persistState(stateOperations);
     }
   }
 
+  /**
+   * Take the first change of the changeQueue whose account currency is not being reconciled,
+   * and mark it in flight. Changes of an account currency are reconciled in order.
+   *
+   * @return {Rosetta:BalanceChange|undefined}
+   */
+  takeChange() {
+    const index = this.changeQueue.findIndex(change => !this.inFlight.has(
+      Hash(new RosettaReconciler.AccountCurrency(change.account_identifier, change.currency))));
+
+    if (index === -1) {
+      return undefined;
+    }
+
+    const [change] = this.changeQueue.splice(index, 1);
+    this.inFlight.add(Hash(new RosettaReconciler.AccountCurrency(change.account_identifier, change.currency)));
+    return change;
+  }
+
   /**
    * Selects an account from the Reconciler account queue and reconciles the balance. This is useful
    * for detecting if balance changes in operations were correct.
+   * Several workers may run concurrently, see `activeConcurrency`.
    *
    * @return {Promise<void>}
    */
   async reconcileActiveAccounts(isInfinite = true) {
-    while (true) {
-      const balanceChange = this.changeQueue.shift();
-      if (!balanceChange || balanceChange.block.index < this.highWaterMark) continue;
+    await this.restoreState();
+
+    while (!this.stopRequested) {
+      const balanceChange = this.takeChange();
+      if (!balanceChange) {
+        if (!this.idle && this.changeQueue.length === 0 && this.activeInFlight === 0) {
+          this.idle = true;
+          this.emit(ReconcilerEvents.RECONCILER_IDLE);
+        }
 
-      const { block, value } = await this.bestBalance(
-        balanceChange.account_identifier.account,
-        balanceChange.currency,
-        constructPartialBlockIdentifier(balanceChange.block),
-      );
+        await this.waitForWork();
+        continue;
+      }
+
+      this.activeInFlight++;
 
-      await this.accountReconciliation(
-        balanceChange.account_identifier.account,
+      const accountCurrency = new RosettaReconciler.AccountCurrency(
+        balanceChange.account_identifier,
         balanceChange.currency,
-        value,
-        block,
-        false,
       );
 
+      try {
+        if (balanceChange.block_identifier.index < this.highWaterMark) {
+          await this.completeChange(balanceChange);
+          continue;
+        }
+
+        const { block, value } = await this.bestBalance(
+          accountCurrency.account,
+          accountCurrency.currency,
+          constructPartialBlockIdentifier(balanceChange.block_identifier),
+        );
+
+        await this.accountReconciliation(
+          accountCurrency.account,
+          accountCurrency.currency,
+          value,
+          block,
+          false,
+        );
+
+        await this.completeChange(balanceChange);
+      } finally {
+        this.activeInFlight--;
+        this.inFlight.delete(Hash(accountCurrency));
+
+        // Changes of this account currency may be taken now
+        this.notifyWork();
+      }
+
       if (!isInfinite) {
         break;
       }
@@ -411,14 +729,17 @@ class RosettaReconciler {
   /**
    * Selects a random account from all previously seen accounts and reconciles
    * the balance. This is useful for detecting balance changes that were not returned in operations.
+   * Several workers may run concurrently, see `inactiveConcurrency`.
    *
    * @return {Promise<void>}
    */
   async reconcileInactiveAccounts(isInfinite = true) {
-    while (true) {
+    await this.restoreState();
+
+    while (!this.stopRequested) {
       const { shouldAttempt, head } = await this.shouldAttemptInactiveReconciliation();
       if (!shouldAttempt) {
-        await sleep(RECONCILIATION_INACTIVE_SLEEP_MS);
+        await this.waitForWork(RECONCILIATION_INACTIVE_SLEEP_MS);
         continue;
       }
 
@@ -428,38 +749,46 @@ class RosettaReconciler {
           this.logger.verbose('No accounts ready for inactive reconciliation (0 accounts in queue)');
         }
 
-        await sleep(RECONCILIATION_INACTIVE_SLEEP_MS);
+        await this.waitForWork(RECONCILIATION_INACTIVE_SLEEP_MS);
         continue;
       }
 
-      const nextAccount = this.inactiveQueue[0];
+      // Skip accounts that another worker is reconciling
+      const nextIndex = this.inactiveQueue.findIndex(({ entry }) => !this.inFlight.has(Hash(entry)));
+      const nextAccount = this.inactiveQueue[nextIndex];
       let nextValidIndex = -1;
 
-      if (nextAccount.last_check != null) {
+      if (nextAccount != null && nextAccount.last_check != null) {
         nextValidIndex = nextAccount.last_check.index + this.inactiveFrequency;
       }
 
-      if (nextValidIndex <= head.index) {
-        this.inactiveQueue.shift();
-
-        const { block, value } = await this.bestBalance(
-          nextAccount.entry.account,
-          nextAccount.entry.currency,
-          constructPartialBlockIdentifier(head),
-        );
-
-        await this.accountReconciliation(
-          nextAccount.entry.account,
-          nextAccount.entry.currency,
-          value,
-          block,
-          true,
-        );
-
-        // Always re-enqueue accounts after they have been inactively
-        // reconciled. If we don't re-enqueue, we will never check
-        // these accounts again.
-        this.inactiveAccountQueue(true, nextAccount.entry, block);
+      if (nextAccount != null && nextValidIndex <= head.index) {
+        this.inactiveQueue.splice(nextIndex, 1);
+        this.inFlight.add(Hash(nextAccount.entry));
+
+        try {
+          const { block, value } = await this.bestBalance(
+            nextAccount.entry.account,
+            nextAccount.entry.currency,
+            constructPartialBlockIdentifier(head),
+          );
+
+          await this.accountReconciliation(
+            nextAccount.entry.account,
+            nextAccount.entry.currency,
+            value,
+            block,
+            true,
+          );
+
+          // Always re-enqueue accounts after they have been inactively
+          // reconciled. If we don't re-enqueue, we will never check
+          // these accounts again.
+          await this.inactiveAccountQueue(true, nextAccount.entry, block);
+        } finally {
+          this.inFlight.delete(Hash(nextAccount.entry));
+          this.notifyWork();
+        }
 
       } else {
         if (this.debugLogging) {
@@ -467,7 +796,7 @@ class RosettaReconciler {
             `(${queueLen} account(s) in queue, will reconcile next account at index ${nextValidIndex})`);
         }
 
-        await sleep(RECONCILIATION_INACTIVE_SLEEP_MS);
+        await this.waitForWork(RECONCILIATION_INACTIVE_SLEEP_MS);
       }
 
       if (!isInfinite) {
@@ -477,17 +806,119 @@ class RosettaReconciler {
   }
 
   /**
-   * Reconcile starts the active and inactive Reconciler goroutines.
-   * If any goroutine errors, the function will return an error.
+   * Start `activeConcurrency` active and `inactiveConcurrency` inactive Reconciler workers.
+   * Idle workers wait until changes are queued instead of polling.
+   *
+   * @return {Promise<void>} - resolves when the Reconciler was stopped using `stop()` and
+   *  in-flight reconciliations were drained. Rejects with the first error of a worker,
+   *  after the other workers were drained.
+   */
+  async start() {
+    if (this.running) {
+      throw new ReconcilerError('Reconciler is already running');
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+    this.reconcileDone = new Promise(fulfill => {
+      this.resolveReconcileDone = fulfill;
+    });
+
+    let error = null;
+
+    const worker = reconcileAccounts => reconcileAccounts().catch((e) => {
+      // Stop the other workers, the first error is thrown
+      if (error == null) error = e;
+      this.stopRequested = true;
+      this.notifyWork();
+    });
+
+    const workers = (count, reconcileAccounts) =>
+      Array.from({ length: Math.max(1, count) }, () => worker(reconcileAccounts));
+
+    try {
+      await this.restoreState();
+      this.emit(ReconcilerEvents.RECONCILER_STARTED);
+
+      await Promise.all([
+        ...workers(this.activeConcurrency, () => this.reconcileActiveAccounts()),
+        ...workers(this.inactiveConcurrency, () => this.reconcileInactiveAccounts()),
+      ]);
+    } catch (e) {
+      error = e;
+    } finally {
+      this.running = false;
+
+      this.report.sample(null, true);
+      Logger.info(this.report.summary());
+
+      this.emit(ReconcilerEvents.RECONCILER_STOPPED, error);
+      this.resolveReconcileDone();
+    }
+
+    if (error != null) {
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the workers once their in-flight reconciliations are done.
+   * Queued changes that were not reconciled stay in the state storage.
+   *
+   * @return {Promise<void>} - resolves when start() has returned.
+   */
+  stop() {
+    if (!this.running) {
+      return Promise.resolve();
+    }
+
+    this.stopRequested = true;
+    this.notifyWork();
+
+    return this.reconcileDone;
+  }
+
+  /**
+   * Reconcile starts the Reconciler workers, see start().
+   * If any worker errors, the function will return an error.
    *
    * @return {Promise<void>}
    */
   async reconcile() {
-    // ToDo: Multithreading support (worker?)
-    await Promise.all([
-      this.reconcileActiveAccounts(),
-      this.reconcileInactiveAccounts(),
-    ]);
+    await this.start();
+  }
+
+  /**
+   * Wait until work is queued, a reconciliation finished or stop() is called.
+   *
+   * @param {number} [timeoutMs = Infinity] - maximum time to wait in milliseconds.
+   * @return {Promise<void>}
+   */
+  waitForWork(timeoutMs = Infinity) {
+    if (this.stopRequested) {
+      return Promise.resolve();
+    }
+
+    return new Promise((fulfill) => {
+      const timer = timeoutMs === Infinity ? null : setTimeout(() => waiter(), timeoutMs);
+
+      const waiter = () => {
+        clearTimeout(timer);
+        this.workWaiters = this.workWaiters.filter(w => w !== waiter);
+        fulfill();
+      };
+
+      this.workWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * Wake up all workers waiting for work.
+   */
+  notifyWork() {
+    for (const waiter of [...this.workWaiters]) {
+      waiter();
+    }
   }
 
   /**
@@ -560,5 +991,8 @@ RosettaReconciler.AccountCurrency = class AccountCurrency {
 };
 
 RosettaReconciler.defaults = defaults;
+RosettaReconciler.Events = ReconcilerEvents;
+RosettaReconciler.ReconciliationReport = ReconciliationReport;
+RosettaReconciler.BalanceTracker = BalanceTracker;
 
 module.exports = RosettaReconciler;
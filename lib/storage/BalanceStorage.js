@@ -0,0 +1,244 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * BalanceStorage keeps computed account balances on top of a KeyValueStorage.
+ * Blocks and their balance changes are written atomically together with the
+ * BlockStorage of the same storage, and every block keeps an undo record,
+ * so removed (orphaned) blocks restore the previous balances exactly.
+ * Undo records are pruned once a block is `finalityDepth` blocks deep.
+ *
+ * It implements the complete Reconciler helper contract
+ * (`currentBlock`, `blockExists` and `accountBalance`).
+ *
+ * @class BalanceStorage
+ */
+
+const BlockStorage = require('./BlockStorage');
+const { StorageError } = require('../errors');
+const { Hash, Amount } = require('../utils');
+
+const BALANCE_PREFIX = 'balance/account/';
+const UNDO_PREFIX = 'balance/undo/';
+
+class BalanceStorage {
+  /**
+   * @param {KeyValueStorage} storage - storage backend.
+   * @param {number} [finalityDepth = 1000] - number of blocks on top of a block after which
+   *     it can no longer be removed, same as the Syncer's default maxReorgDepth.
+   * @throws {StorageError} thrown if the storage is missing or the finality depth is not a positive integer.
+   */
+  constructor({ storage, finalityDepth = 1000 } = {}) {
+    if (storage == null) {
+      throw new StorageError('BalanceStorage requires a storage');
+    }
+
+    if (!Number.isInteger(finalityDepth) || finalityDepth < 1) {
+      throw new StorageError(`Invalid finality depth ${finalityDepth}, must be a positive integer`);
+    }
+
+    this.storage = storage;
+    this.finalityDepth = finalityDepth;
+    this.blockStorage = new BlockStorage({ storage });
+  }
+
+  /**
+   * Get the key of an account and currency pair.
+   *
+   * @param {Rosetta:AccountIdentifier} accountIdentifier - account.
+   * @param {Rosetta:Currency} currency - currency.
+   * @return {string}
+   */
+  static balanceKey(accountIdentifier, currency) {
+    return `${BALANCE_PREFIX}${Hash({ account: accountIdentifier, currency })}`;
+  }
+
+  /**
+   * Get the most recently added block.
+   *
+   * @return {Promise<Rosetta:BlockIdentifier>}
+   * @throws {StorageError} thrown if no block was added yet.
+   */
+  async currentBlock() {
+    return this.blockStorage.currentBlock();
+  }
+
+  /**
+   * Check if a block is part of the stored canonical chain.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block to look up.
+   * @return {Promise<boolean>}
+   */
+  async blockExists(blockIdentifier) {
+    return this.blockStorage.blockExists(blockIdentifier);
+  }
+
+  /**
+   * Get the stored balance of an account.
+   *
+   * @param {Rosetta:AccountIdentifier} accountIdentifier - account.
+   * @param {Rosetta:Currency} currency - currency.
+   * @return {Promise<{account_identifier: Rosetta:AccountIdentifier, currency: Rosetta:Currency, value: string, block: Rosetta:BlockIdentifier}|null>}
+   */
+  async getBalance(accountIdentifier, currency) {
+    return this.storage.get(BalanceStorage.balanceKey(accountIdentifier, currency));
+  }
+
+  /**
+   * Set the balance of an account, e.g. to bootstrap genesis balances.
+   * This write can not be undone by removing blocks.
+   *
+   * @param {Rosetta:AccountIdentifier} accountIdentifier - account.
+   * @param {Rosetta:Amount} amount - balance.
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block at which the balance is valid.
+   * @return {Promise<void>}
+   */
+  async setBalance(accountIdentifier, amount, blockIdentifier) {
+    Amount.parse(amount.value);
+
+    await this.storage.set(BalanceStorage.balanceKey(accountIdentifier, amount.currency), {
+      account_identifier: accountIdentifier,
+      currency: amount.currency,
+      value: amount.value,
+      block: blockIdentifier,
+    });
+  }
+
+  /**
+   * AccountBalance returns the computed balance of an account
+   * and the block at which it was last updated. Accounts without any
+   * stored balance have a balance of 0 at the head block.
+   *
+   * @param {Rosetta:AccountIdentifier} accountIdentifier - account.
+   * @param {Rosetta:Currency} currency - currency.
+   * @param {Rosetta:BlockIdentifier} headBlock - current head block.
+   * @return {Promise<{cachedBalance: Rosetta:Amount, balanceBlock: Rosetta:BlockIdentifier}>}
+   */
+  async accountBalance(accountIdentifier, currency, headBlock) {
+    const balance = await this.getBalance(accountIdentifier, currency);
+
+    if (balance == null) {
+      return {
+        cachedBalance: { value: '0', currency },
+        balanceBlock: headBlock,
+      };
+    }
+
+    return {
+      cachedBalance: { value: balance.value, currency: balance.currency },
+      balanceBlock: balance.block,
+    };
+  }
+
+  /**
+   * Add a block and apply its balance changes.
+   * The undo record of the block that becomes `finalityDepth` blocks deep is deleted in the same batch.
+   *
+   * @param {Rosetta:Block} block - block to add.
+   * @param {BalanceChange[]} balanceChanges - balance changes of the block, see Parser.balanceChanges.
+   * @return {Promise<void>}
+   * @throws {StorageError} thrown if the block does not extend the head or a balance would become negative.
+   */
+  async addBlock(block, balanceChanges = []) {
+    await this.storage.batch(await this.addBlockOperations(block, balanceChanges));
+  }
+
+  /**
+   * Get the batch operations that add a block and apply its balance changes,
+   * so callers can combine them with their own writes.
+   *
+   * @param {Rosetta:Block} block - block to add.
+   * @param {BalanceChange[]} balanceChanges - balance changes of the block, see Parser.balanceChanges.
+   * @return {Promise<{type: string, key: string, value: any}[]>}
+   * @throws {StorageError} thrown if the block does not extend the head or a balance would become negative.
+   */
+  async addBlockOperations(block, balanceChanges = []) {
+    const blockIdentifier = block.block_identifier;
+    const operations = await this.blockStorage.addBlockOperations(block);
+
+    // Blocks are only added to and removed from the head, so the index identifies the undo record
+    operations.push({ type: 'delete', key: `${UNDO_PREFIX}${blockIdentifier.index - this.finalityDepth}` });
+
+    const updated = new Map();
+    const undo = [];
+
+    for (const change of balanceChanges) {
+      const key = BalanceStorage.balanceKey(change.account_identifier, change.currency);
+
+      let previous = updated.get(key);
+      if (previous === undefined) {
+        previous = await this.storage.get(key);
+        undo.push({ key, previous });
+      }
+
+      const value = Amount.add(previous != null ? previous.value : '0', change.difference);
+      if (Amount.sign(value) === -1) {
+        throw new StorageError(`Balance of ${JSON.stringify(change.account_identifier)} ` +
+          `would become negative (${value}) at block ${blockIdentifier.hash}`);
+      }
+
+      updated.set(key, {
+        account_identifier: change.account_identifier,
+        currency: change.currency,
+        value,
+        block: blockIdentifier,
+      });
+    }
+
+    for (const [key, value] of updated) {
+      operations.push({ type: 'set', key, value });
+    }
+
+    operations.push({ type: 'set', key: `${UNDO_PREFIX}${blockIdentifier.index}`, value: undo });
+    return operations;
+  }
+
+  /**
+   * Remove the head block and restore the balances it changed.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - head block to remove.
+   * @return {Promise<void>}
+   * @throws {StorageError} thrown if the block is not the head block or if it is final.
+   */
+  async removeBlock(blockIdentifier) {
+    const operations = await this.blockStorage.removeBlockOperations(blockIdentifier);
+    const undoKey = `${UNDO_PREFIX}${blockIdentifier.index}`;
+    const undo = await this.storage.get(undoKey);
+
+    if (undo == null) {
+      throw new StorageError(`Block ${blockIdentifier.hash} is final, its balance changes cannot be undone`);
+    }
+
+    for (const { key, previous } of undo) {
+      if (previous == null) {
+        operations.push({ type: 'delete', key });
+      } else {
+        operations.push({ type: 'set', key, value: previous });
+      }
+    }
+
+    operations.push({ type: 'delete', key: undoKey });
+    await this.storage.batch(operations);
+  }
+}
+
+module.exports = BalanceStorage;
@@ -0,0 +1,197 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * BlockStorage keeps track of the canonical chain of synced blocks on top of
+ * a KeyValueStorage. It implements the `currentBlock` and `blockExists`
+ * methods of the Reconciler helper and can restore the Syncer's
+ * `pastBlocks` after a restart.
+ *
+ * @class BlockStorage
+ */
+
+const { StorageError } = require('../errors');
+const { Hash } = require('../utils');
+
+const HEAD_KEY = 'block/head';
+const HASH_PREFIX = 'block/hash/';
+
+class BlockStorage {
+  /**
+   * @param {KeyValueStorage} storage - storage backend.
+   */
+  constructor({ storage } = {}) {
+    if (storage == null) {
+      throw new StorageError('BlockStorage requires a storage');
+    }
+
+    this.storage = storage;
+  }
+
+  /**
+   * Get the most recently added block.
+   *
+   * @return {Promise<Rosetta:BlockIdentifier>} - head block identifier.
+   * @throws {StorageError} thrown if no block was added yet.
+   */
+  async currentBlock() {
+    const head = await this.storage.get(HEAD_KEY);
+
+    if (head == null) {
+      throw new StorageError('Head block not found');
+    }
+
+    return head;
+  }
+
+  /**
+   * Get a stored block by its identifier.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block to look up.
+   * @return {Promise<{block_identifier: Rosetta:BlockIdentifier, parent_block_identifier: Rosetta:BlockIdentifier}|null>}
+   */
+  async getBlock(blockIdentifier) {
+    const stored = await this.storage.get(`${HASH_PREFIX}${blockIdentifier.hash}`);
+
+    if (stored == null || Hash(stored.block_identifier) !== Hash(blockIdentifier)) {
+      return null;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Check if a block is part of the stored canonical chain.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block to look up.
+   * @return {Promise<boolean>}
+   */
+  async blockExists(blockIdentifier) {
+    return (await this.getBlock(blockIdentifier)) != null;
+  }
+
+  /**
+   * Add a block on top of the current head.
+   *
+   * @param {Rosetta:Block} block - block to add.
+   * @return {Promise<void>}
+   * @throws {StorageError} thrown if the block does not extend the current head.
+   */
+  async addBlock(block) {
+    await this.storage.batch(await this.addBlockOperations(block));
+  }
+
+  /**
+   * Get the batch operations that add a block, so callers can
+   * combine them with their own writes.
+   *
+   * @param {Rosetta:Block} block - block to add.
+   * @return {Promise<{type: string, key: string, value: any}[]>}
+   * @throws {StorageError} thrown if the block does not extend the current head.
+   */
+  async addBlockOperations(block) {
+    const head = await this.storage.get(HEAD_KEY);
+    const blockIdentifier = block.block_identifier;
+
+    if (head != null && Hash(block.parent_block_identifier) !== Hash(head)) {
+      throw new StorageError(`Block ${blockIdentifier.hash} does not extend head ${head.hash}`);
+    }
+
+    return [
+      {
+        type: 'set',
+        key: `${HASH_PREFIX}${blockIdentifier.hash}`,
+        value: {
+          block_identifier: blockIdentifier,
+          parent_block_identifier: block.parent_block_identifier,
+        },
+      },
+      { type: 'set', key: HEAD_KEY, value: blockIdentifier },
+    ];
+  }
+
+  /**
+   * Remove the head block, making its parent the new head.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - head block to remove.
+   * @return {Promise<void>}
+   * @throws {StorageError} thrown if the block is not the current head.
+   */
+  async removeBlock(blockIdentifier) {
+    await this.storage.batch(await this.removeBlockOperations(blockIdentifier));
+  }
+
+  /**
+   * Get the batch operations that remove the head block.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - head block to remove.
+   * @return {Promise<{type: string, key: string, value: any}[]>}
+   * @throws {StorageError} thrown if the block is not the current head.
+   */
+  async removeBlockOperations(blockIdentifier) {
+    const head = await this.currentBlock();
+
+    if (Hash(head) !== Hash(blockIdentifier)) {
+      throw new StorageError(`Block ${blockIdentifier.hash} is not the head block ${head.hash}`);
+    }
+
+    const stored = await this.getBlock(blockIdentifier);
+    const parent = stored.parent_block_identifier;
+    const operations = [{ type: 'delete', key: `${HASH_PREFIX}${blockIdentifier.hash}` }];
+
+    if (parent != null && Hash(parent) !== Hash(blockIdentifier) && await this.blockExists(parent)) {
+      operations.push({ type: 'set', key: HEAD_KEY, value: parent });
+    } else {
+      operations.push({ type: 'delete', key: HEAD_KEY });
+    }
+
+    return operations;
+  }
+
+  /**
+   * Get the identifiers of the last stored blocks by walking back from the head.
+   * The result can be passed as `pastBlocks` to the Syncer.
+   *
+   * @param {number} count - maximum number of identifiers to return.
+   * @return {Promise<Rosetta:BlockIdentifier[]>} - identifiers, oldest first.
+   */
+  async pastBlocks(count) {
+    const result = [];
+    let current = await this.storage.get(HEAD_KEY);
+
+    while (current != null && result.length < count) {
+      const stored = await this.getBlock(current);
+      if (stored == null) break;
+
+      result.unshift(current);
+
+      const parent = stored.parent_block_identifier;
+      if (parent == null || Hash(parent) === Hash(current)) break;
+
+      current = parent;
+    }
+
+    return result;
+  }
+}
+
+module.exports = BlockStorage;
@@ -0,0 +1,260 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * FileStorage persists entries in a directory using an append-only log
+ * (`log.jsonl`) and periodic snapshots (`snapshot.json`). All entries are
+ * kept in memory, every write is appended to the log as a single line,
+ * and once the log contains `snapshotInterval` lines a new snapshot is
+ * written and the log is truncated.
+ *
+ * A partially written last line (e.g. after a crash) is ignored on open.
+ *
+ * @class FileStorage
+ * @extends KeyValueStorage
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KeyValueStorage = require('./KeyValueStorage');
+const MemoryStorage = require('./MemoryStorage');
+const { StorageError } = require('../errors');
+
+const LOG_FILE = 'log.jsonl';
+const SNAPSHOT_FILE = 'snapshot.json';
+
+class FileStorage extends KeyValueStorage {
+  /**
+   * @param {string} directory - directory to store the files in. Created if it does not exist.
+   * @param {number} [snapshotInterval = 10000] - number of log lines after which a snapshot is taken.
+   * @param {boolean} [fsync = false] - flush every write to disk before resolving.
+   */
+  constructor({ directory, snapshotInterval = 10000, fsync = false } = {}) {
+    super();
+
+    if (typeof directory !== 'string' || directory.length === 0) {
+      throw new StorageError('FileStorage requires a directory');
+    }
+
+    this.directory = directory;
+    this.snapshotInterval = snapshotInterval;
+    this.fsync = fsync;
+
+    this.logPath = path.join(directory, LOG_FILE);
+    this.snapshotPath = path.join(directory, SNAPSHOT_FILE);
+
+    this.memory = new MemoryStorage();
+    this.logLines = 0;
+    this.logHandle = null;
+
+    this.opening = null;
+
+    // Writes are serialized, so log lines never interleave.
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the snapshot and replay the log. Called implicitly by every method.
+   *
+   * @return {Promise<void>}
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = this.load();
+    }
+
+    return this.opening;
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const snapshot = await FileStorage.readFile(this.snapshotPath);
+    if (snapshot != null) {
+      let entries;
+      try {
+        entries = JSON.parse(snapshot);
+      } catch (e) {
+        throw new StorageError(`Snapshot ${this.snapshotPath} is corrupted: ${e.message}`);
+      }
+
+      MemoryStorage.apply(this.memory.entries, entries.map(([key, value]) => ({ type: 'set', key, value })));
+    }
+
+    const log = await FileStorage.readFile(this.logPath);
+    if (log != null) {
+      const lines = log.split('\n').filter(line => line.length > 0);
+
+      for (let i = 0; i < lines.length; ++i) {
+        let operations;
+        try {
+          operations = JSON.parse(lines[i]);
+        } catch (e) {
+          if (i === lines.length - 1) {
+            // The last write did not complete.
+            break;
+          }
+
+          throw new StorageError(`Log ${this.logPath} is corrupted at line ${i + 1}: ${e.message}`);
+        }
+
+        MemoryStorage.apply(this.memory.entries, operations);
+        this.logLines++;
+      }
+
+      // Rewrite the log if the last line was incomplete.
+      if (this.logLines !== lines.length || (log.length > 0 && !log.endsWith('\n'))) {
+        await this.snapshot();
+      }
+    }
+
+    this.logHandle = await fs.promises.open(this.logPath, 'a');
+  }
+
+  async get(key) {
+    await this.open();
+    return this.memory.get(key);
+  }
+
+  async has(key) {
+    await this.open();
+    return this.memory.has(key);
+  }
+
+  async scan(prefix) {
+    await this.open();
+    return this.memory.scan(prefix);
+  }
+
+  async batch(operations) {
+    KeyValueStorage.validateOperations(operations);
+    await this.open();
+
+    if (operations.length === 0) {
+      return;
+    }
+
+    const write = this.writeQueue.then(async () => {
+      if (this.logHandle == null) {
+        throw new StorageError('FileStorage is closed');
+      }
+
+      await this.logHandle.appendFile(`${JSON.stringify(operations)}\n`);
+      if (this.fsync) {
+        await this.logHandle.sync();
+      }
+
+      MemoryStorage.apply(this.memory.entries, operations);
+      this.logLines++;
+
+      if (this.logLines >= this.snapshotInterval) {
+        await this.snapshot();
+      }
+    });
+
+    // Keep the queue alive if a write fails.
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write all entries to a new snapshot and truncate the log.
+   * The snapshot and its rename are flushed to disk before the log is truncated,
+   * regardless of the fsync option, so a crash never loses the truncated entries.
+   *
+   * @return {Promise<void>}
+   */
+  async snapshot() {
+    const entries = [...this.memory.entries.entries()];
+    const temporaryPath = `${this.snapshotPath}.tmp`;
+
+    const snapshotHandle = await fs.promises.open(temporaryPath, 'w');
+    try {
+      await snapshotHandle.writeFile(JSON.stringify(entries));
+      await snapshotHandle.sync();
+    } finally {
+      await snapshotHandle.close();
+    }
+
+    await fs.promises.rename(temporaryPath, this.snapshotPath);
+    await FileStorage.syncDirectory(this.directory);
+
+    if (this.logHandle != null) {
+      await this.logHandle.truncate(0);
+    } else {
+      await fs.promises.writeFile(this.logPath, '');
+    }
+
+    this.logLines = 0;
+  }
+
+  async close() {
+    if (!this.opening) {
+      return;
+    }
+
+    await this.opening;
+    await this.writeQueue;
+
+    if (this.logHandle != null) {
+      await this.logHandle.close();
+      this.logHandle = null;
+    }
+  }
+
+  /**
+   * Flush the entries of a directory, e.g. a rename, to disk.
+   *
+   * @param {string} directory - path of the directory.
+   * @return {Promise<void>}
+   */
+  static async syncDirectory(directory) {
+    const handle = await fs.promises.open(directory, 'r');
+
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read a file if it exists.
+   *
+   * @param {string} filePath - path of the file.
+   * @return {Promise<string|null>} - file content or null if the file does not exist.
+   */
+  static async readFile(filePath) {
+    try {
+      return await fs.promises.readFile(filePath, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return null;
+      }
+
+      throw e;
+    }
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * KeyValueStorage describes the interface every storage backend implements.
+ * Keys are strings and values must be JSON-serializable. All methods
+ * return Promises, so backends are free to perform I/O.
+ *
+ * @class KeyValueStorage
+ */
+
+const { StorageError } = require('../errors');
+
+class KeyValueStorage {
+  /**
+   * Get the value stored for a key.
+   *
+   * @param {string} key - key to look up.
+   * @return {Promise<any|null>} - stored value or null if the key does not exist.
+   */
+  async get(key) {
+    throw new StorageError(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * Store a value for a key.
+   *
+   * @param {string} key - key to write.
+   * @param {any} value - JSON-serializable value.
+   * @return {Promise<void>}
+   */
+  async set(key, value) {
+    await this.batch([{ type: 'set', key, value }]);
+  }
+
+  /**
+   * Delete a key.
+   *
+   * @param {string} key - key to delete.
+   * @return {Promise<void>}
+   */
+  async delete(key) {
+    await this.batch([{ type: 'delete', key }]);
+  }
+
+  /**
+   * Check if a key exists.
+   *
+   * @param {string} key - key to look up.
+   * @return {Promise<boolean>}
+   */
+  async has(key) {
+    return (await this.get(key)) != null;
+  }
+
+  /**
+   * Get all entries whose key starts with prefix, sorted by key.
+   *
+   * @param {string} prefix - key prefix.
+   * @return {Promise<{key: string, value: any}[]>}
+   */
+  async scan(prefix) {
+    throw new StorageError(`${this.constructor.name} does not implement scan`);
+  }
+
+  /**
+   * Apply several writes atomically.
+   *
+   * @param {{type: string, key: string, value: any}[]} operations - `set` or `delete` operations.
+   * @return {Promise<void>}
+   */
+  async batch(operations) {
+    throw new StorageError(`${this.constructor.name} does not implement batch`);
+  }
+
+  /**
+   * Release all resources held by the storage.
+   *
+   * @return {Promise<void>}
+   */
+  async close() {
+  }
+
+  /**
+   * Validate a list of batch operations.
+   *
+   * @param {{type: string, key: string, value: any}[]} operations - operations to validate.
+   * @throws {StorageError} thrown if an operation is invalid.
+   */
+  static validateOperations(operations) {
+    if (!Array.isArray(operations)) {
+      throw new StorageError('Operations must be an array');
+    }
+
+    for (const operation of operations) {
+      if (operation == null || typeof operation.key !== 'string') {
+        throw new StorageError('Operation key must be a string');
+      }
+
+      if (operation.type !== 'set' && operation.type !== 'delete') {
+        throw new StorageError(`Invalid operation type ${operation.type}`);
+      }
+
+      if (operation.type === 'set' && operation.value === undefined) {
+        throw new StorageError(`Value for ${operation.key} must not be undefined`);
+      }
+    }
+  }
+}
+
+module.exports = KeyValueStorage;
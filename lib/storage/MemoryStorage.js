@@ -0,0 +1,102 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * MemoryStorage keeps all entries in a Map. Values are cloned
+ * on the way in and out, so callers can not mutate stored state.
+ *
+ * @class MemoryStorage
+ * @extends KeyValueStorage
+ */
+
+const KeyValueStorage = require('./KeyValueStorage');
+const { StorageError } = require('../errors');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class MemoryStorage extends KeyValueStorage {
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return null;
+    }
+
+    return clone(this.entries.get(key));
+  }
+
+  async has(key) {
+    // Like KeyValueStorage, a key whose value is null does not exist
+    return this.entries.get(key) != null;
+  }
+
+  async scan(prefix) {
+    const keys = [...this.entries.keys()]
+      .filter(key => key.startsWith(prefix))
+      .sort();
+
+    return keys.map(key => ({
+      key,
+      value: clone(this.entries.get(key)),
+    }));
+  }
+
+  async batch(operations) {
+    KeyValueStorage.validateOperations(operations);
+    MemoryStorage.apply(this.entries, operations);
+  }
+
+  /**
+   * Apply batch operations to a Map. All values are cloned before the map is modified,
+   * so a batch with a value that is not JSON-serializable leaves the map unchanged.
+   *
+   * @param {Map<string, any>} entries - map to modify.
+   * @param {{type: string, key: string, value: any}[]} operations - validated operations.
+   * @throws {StorageError} thrown if a value is not JSON-serializable.
+   */
+  static apply(entries, operations) {
+    const values = operations.map(({ type, key, value }) => {
+      if (type !== 'set') {
+        return null;
+      }
+
+      try {
+        return clone(value);
+      } catch (e) {
+        throw new StorageError(`Unable to store ${key}: ${e.message}`);
+      }
+    });
+
+    operations.forEach(({ type, key }, i) => {
+      if (type === 'set') {
+        entries.set(key, values[i]);
+      } else {
+        entries.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = MemoryStorage;
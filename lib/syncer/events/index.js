@@ -37,13 +37,59 @@ const BLOCK_ADDED = 'BLOCK_ADDED';
 const BLOCK_REMOVED = 'BLOCK_REMOVED';
 
 /**
- * Synchronization cancelled event
+ * Block finalized event, emitted with the block once it is
+ * confirmationDepth blocks deep
+ * @type {string}
+ */
+const BLOCK_FINALIZED = 'BLOCK_FINALIZED';
+
+/**
+ * Re-org event, emitted with the common ancestor, the orphaned block identifiers
+ * and the block identifiers of the new branch (both oldest first)
+ * after the orphaned blocks were removed
+ * @type {string}
+ */
+const REORG = 'REORG';
+
+/**
+ * Progress event, emitted after each synced range with syncer.getStatus()
+ * @type {string}
+ */
+const PROGRESS = 'PROGRESS';
+
+/**
+ * Synchronization cancelled event.
+ * Emitted together with SYNC_STOPPED.
  * @type {string}
  */
 const SYNC_CANCELLED = 'SYNC_CANCELLED';
 
+/**
+ * Synchronization stopped event, emitted with the next index to sync
+ * @type {string}
+ */
+const SYNC_STOPPED = 'SYNC_STOPPED';
+
+/**
+ * Synchronization paused event, emitted with the next index to sync
+ * @type {string}
+ */
+const SYNC_PAUSED = 'SYNC_PAUSED';
+
+/**
+ * Synchronization resumed event, emitted with the next index to sync
+ * @type {string}
+ */
+const SYNC_RESUMED = 'SYNC_RESUMED';
+
 module.exports = {
   BLOCK_ADDED,
   BLOCK_REMOVED,
+  BLOCK_FINALIZED,
+  REORG,
+  PROGRESS,
   SYNC_CANCELLED,
+  SYNC_STOPPED,
+  SYNC_PAUSED,
+  SYNC_RESUMED,
 };
@@ -23,7 +23,13 @@
 /**
  * RosettaSyncer
  * Emits blockAdded and blockRemoved Events during sync.
- * Emits cancel if sync was cancelled.
+ * An optional handler with async blockAdded and blockRemoved hooks
+ * is awaited before the syncer advances to the next block.
+ * With a confirmationDepth, blockFinalized is emitted once a block
+ * is buried deep enough to not be re-orged anymore.
+ * Emits progress after each synced range, see getStatus().
+ * Emits syncStopped, syncPaused and syncResumed when the sync is controlled
+ * using stop(), pause() and resume().
  *
  * @class RosettaSyncer
  * @extends EventEmitter
@@ -34,20 +40,82 @@ const EventEmitter = require('events');
 const { SyncerError } = require('../errors');
 const { Hash } = require('../utils');
 const SyncEvents = require('./events');
-const sleep = require('../utils/sleep');
 const logger = require('../logger');
 
+const DEFAULT_CHECKPOINT_KEY = 'syncer/checkpoint';
+const DEFAULT_MAX_REORG_DEPTH = 1000;
+
+// Weight of a new latency sample in the moving average.
+const LATENCY_SMOOTHING = 0.2;
+
 class RosettaSyncer extends EventEmitter {
+  /**
+   * @param {Rosetta:NetworkIdentifier} networkIdentifier - network to sync.
+   * @param {RosettaFetcher} fetcher - fetcher used to download blocks.
+   * @param {Rosetta:BlockIdentifier[]} [pastBlocks = []] - last processed block identifiers, oldest first.
+   * @param {number} [maxSync = 999] - maximum number of blocks synced per range.
+   * @param {number} [pastBlockSize = 40] - number of block identifiers kept to detect re-orgs.
+   * @param {number} [defaultSyncSleep = 2000] - time to wait for new blocks at the tip, in milliseconds.
+   * @param {Rosetta:BlockIdentifier} [genesisBlock = null] - genesis block of the network.
+   * @param {KeyValueStorage} [checkpointStorage = null] - storage the sync progress is persisted to after each block.
+   * @param {string} [checkpointKey = 'syncer/checkpoint'] - key of the checkpoint in checkpointStorage.
+   * @param {number} [concurrency = 8] - initial number of blocks fetched ahead of nextIndex.
+   * @param {number} [minConcurrency = 1] - lower bound for the adaptive concurrency.
+   * @param {number} [maxConcurrency = 32] - upper bound for the adaptive concurrency.
+   * @param {number} [targetLatency = 1000] - block fetch latency in milliseconds above which concurrency is reduced.
+   * @param {object} [handler = null] - object with optional `blockAdded(block)`, `blockRemoved(blockIdentifier)`
+   * and `blockFinalized(block)` hooks. Returned promises are awaited before the syncer advances.
+   * @param {BlockStorage} [blockStorage = null] - persisted block history used to find
+   * the common ancestor of re-orgs deeper than pastBlockSize.
+   * @param {number} [maxReorgDepth = 1000] - maximum number of blocks a re-org may remove.
+   * @param {number} [confirmationDepth = null] - number of blocks on top of a block before
+   * BLOCK_FINALIZED is emitted for it. Finalized blocks cannot be removed by a re-org.
+   * No BLOCK_FINALIZED events are emitted if null.
+   */
   constructor({ networkIdentifier, fetcher, pastBlocks = [],
-    maxSync = 999, pastBlockSize = 40, defaultSyncSleep = 2000, genesisBlock = null }) {
+    maxSync = 999, pastBlockSize = 40, defaultSyncSleep = 2000, genesisBlock = null,
+    checkpointStorage = null, checkpointKey = DEFAULT_CHECKPOINT_KEY,
+    concurrency = 8, minConcurrency = 1, maxConcurrency = 32, targetLatency = 1000,
+    handler = null, blockStorage = null, maxReorgDepth = DEFAULT_MAX_REORG_DEPTH,
+    confirmationDepth = null }) {
     super();
 
     this.networkIdentifier = networkIdentifier;
     this.fetcher = fetcher;
     this.pastBlocks = pastBlocks;
     this.genesisBlock = genesisBlock;
+    this.handler = handler;
+    this.blockStorage = blockStorage;
+    this.maxReorgDepth = maxReorgDepth;
+
+    this.confirmationDepth = confirmationDepth;
+    this.pendingBlocks = [];
+    this.finalizedIndex = -1;
+
+    this.checkpointStorage = checkpointStorage;
+    this.checkpointKey = checkpointKey;
+
+    this.minConcurrency = Math.max(1, minConcurrency);
+    this.maxConcurrency = Math.max(this.minConcurrency, maxConcurrency);
+    this.concurrency = Math.min(Math.max(concurrency, this.minConcurrency), this.maxConcurrency);
+    this.targetLatency = targetLatency;
+    this.averageLatency = null;
+
+    this.syncing = false;
+    this.paused = false;
+    this.stopRequested = false;
+    this.pauseRequested = false;
+    this.syncDone = Promise.resolve();
+    this.resolveSyncDone = null;
+    this.wakeUpWaiter = null;
 
     this.nextIndex = null;
+    this.tipIndex = null;
+
+    // Progress of the current sync, time spent waiting at the tip is not counted.
+    this.syncedBlocks = 0;
+    this.syncedTransactions = 0;
+    this.syncTime = 0;
 
     this.maxSync = maxSync;
     this.pastBlockSize = pastBlockSize;
@@ -56,19 +124,149 @@ class RosettaSyncer extends EventEmitter {
     // ToDo: Type checks
   }
 
+  /**
+   * setStart determines the index to start syncing from.
+   * A stored checkpoint takes precedence over startIndex.
+   *
+   * @param {number} [startIndex = -1] - index to start from, -1 to start at genesis.
+   * @return {Promise<void>}
+   */
   async setStart(startIndex = -1) {
     const networkStatus = await this.fetcher.networkStatusRetry(this.networkIdentifier);
 
+    if (this.genesisBlock == null) {
+      this.genesisBlock = networkStatus.genesis_block_identifier;
+    }
+
+    if (await this.restoreCheckpoint()) {
+      return;
+    }
+
     if (startIndex != -1) {
       this.nextIndex = startIndex;
       return;
     }
 
-    this.gensesisBlock = networkStatus.genesis_block_identifier;
     this.nextIndex = networkStatus.genesis_block_identifier.index;
     return;
   }
 
+  /**
+   * Persist nextIndex and pastBlocks to the checkpoint storage, if configured.
+   *
+   * @return {Promise<void>}
+   */
+  async saveCheckpoint() {
+    if (this.checkpointStorage == null) {
+      return;
+    }
+
+    const checkpoint = {
+      next_index: this.nextIndex,
+      past_blocks: this.pastBlocks,
+    };
+
+    if (this.confirmationDepth != null) {
+      checkpoint.finalized_index = this.finalizedIndex;
+    }
+
+    await this.checkpointStorage.set(this.checkpointKey, checkpoint);
+  }
+
+  /**
+   * Restore nextIndex and pastBlocks from the checkpoint storage and
+   * verify that the restored head is still canonical.
+   *
+   * @return {Promise<boolean>} - whether a checkpoint was restored.
+   */
+  async restoreCheckpoint() {
+    if (this.checkpointStorage == null) {
+      return false;
+    }
+
+    const checkpoint = await this.checkpointStorage.get(this.checkpointKey);
+    if (checkpoint == null) {
+      return false;
+    }
+
+    this.nextIndex = checkpoint.next_index;
+    this.pastBlocks = checkpoint.past_blocks.slice(-this.pastBlockSize);
+
+    // Checkpoints without a finalized index have no pending blocks.
+    this.finalizedIndex = checkpoint.finalized_index != null
+      ? checkpoint.finalized_index
+      : this.nextIndex - 1;
+
+    logger.info(`Restored sync checkpoint at index ${this.nextIndex}`);
+
+    await this.verifyCheckpoint();
+    await this.restorePendingBlocks();
+    return true;
+  }
+
+  /**
+   * Refetch the blocks that were processed but not finalized before the checkpoint was saved.
+   *
+   * @return {Promise<void>}
+   */
+  async restorePendingBlocks() {
+    this.pendingBlocks = [];
+
+    if (this.confirmationDepth == null) {
+      return;
+    }
+
+    for (let index = this.finalizedIndex + 1; index < this.nextIndex; index++) {
+      const partialBlockIdentifier = RosettaClient.PartialBlockIdentifier.constructFromObject({
+        index,
+      });
+
+      this.pendingBlocks.push(
+        await this.fetcher.blockRetry(this.networkIdentifier, partialBlockIdentifier)
+      );
+    }
+  }
+
+  /**
+   * Make sure the last processed block is still part of the canonical chain.
+   * Blocks that were orphaned while the syncer was not running are removed,
+   * re-orgs deeper than the restored pastBlocks are resolved like in reorg().
+   *
+   * @return {Promise<void>}
+   * @throws {SyncerError} thrown if no common ancestor was found within maxReorgDepth.
+   */
+  async verifyCheckpoint() {
+    if (this.pastBlocks.length === 0) {
+      return;
+    }
+
+    const lastBlock = this.pastBlocks[this.pastBlocks.length - 1];
+
+    const canonicalBlock = await this.fetcher.blockRetry(
+      this.networkIdentifier,
+      RosettaClient.PartialBlockIdentifier.constructFromObject({
+        index: lastBlock.index,
+      }),
+    );
+
+    if (Hash(canonicalBlock.block_identifier) === Hash(lastBlock)) {
+      return;
+    }
+
+    const canonicalBlocks = new Map([
+      [canonicalBlock.block_identifier.index, canonicalBlock.block_identifier],
+      [canonicalBlock.parent_block_identifier.index, canonicalBlock.parent_block_identifier],
+    ]);
+
+    const { commonAncestor, orphaned } = await this.findCommonAncestor(canonicalBlock, canonicalBlocks);
+
+    logger.info(
+      `Checkpoint re-org at ${commonAncestor.index}: removing ${orphaned.length} block(s)`
+    );
+
+    await this.removeOrphaned(commonAncestor, orphaned);
+  }
+
   /**
    * nextSyncableRange returns the next range of indexes to sync.
    *
@@ -88,6 +286,8 @@ class RosettaSyncer extends EventEmitter {
     try {
       networkStatus = await this.fetcher.networkStatusRetry(this.networkIdentifier);
 
+      this.tipIndex = networkStatus.current_block_identifier.index;
+
       if (endIndex == -1 || endIndex > networkStatus.current_block_identifier.index) {
         endIndex = networkStatus.current_block_identifier.index;
       }
@@ -159,16 +359,17 @@ class RosettaSyncer extends EventEmitter {
 
     if (shouldRemove) {
       // Notify observers that a block was removed
-      this.emit(SyncEvents.BLOCK_REMOVED, lastBlock);
+      await this.notifyBlockRemoved(lastBlock);
 
       // Remove the block internally
       this.pastBlocks.pop();
       this.nextIndex = lastBlock.index;
+      await this.saveCheckpoint();
       return;
     }
 
     // Notify observers that a block was added
-    this.emit(SyncEvents.BLOCK_ADDED, block);
+    await this.notifyBlockAdded(block);
 
     // Add the block internally
     this.pastBlocks.push(block.block_identifier);
@@ -177,13 +378,120 @@ class RosettaSyncer extends EventEmitter {
     }
 
     this.nextIndex = block.block_identifier.index + 1;
+    this.syncedBlocks++;
+    this.syncedTransactions += (block.transactions || []).length;
+
+    await this.finalizeBlocks(block);
+    await this.saveCheckpoint();
+  }
+
+  /**
+   * Emit BLOCK_FINALIZED for the pending blocks that are
+   * confirmationDepth blocks below the new head.
+   *
+   * @param {Rosetta:Block} head - block that was just added.
+   * @return {Promise<void>}
+   */
+  async finalizeBlocks(head) {
+    if (this.confirmationDepth == null) {
+      return;
+    }
+
+    this.pendingBlocks.push(head);
+
+    const finalizedIndex = head.block_identifier.index - this.confirmationDepth;
+
+    while (this.pendingBlocks.length > 0 &&
+      this.pendingBlocks[0].block_identifier.index <= finalizedIndex) {
+      const block = this.pendingBlocks.shift();
+
+      await this.notifyBlockFinalized(block);
+      this.finalizedIndex = block.block_identifier.index;
+    }
+  }
+
+  /**
+   * Make sure a block can still be removed.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block to remove.
+   * @throws {SyncerError} thrown if the block was already finalized.
+   */
+  checkNotFinalized(blockIdentifier) {
+    if (this.confirmationDepth != null && blockIdentifier.index <= this.finalizedIndex) {
+      throw new SyncerError(
+        `Unable to remove finalized block ${blockIdentifier.index}`, blockIdentifier
+      );
+    }
   }
 
-  blockArrayToMap(blockArray) {
-    return blockArray.reduce((a, c) => {
-      a[c.block_identifier.index] = c;
-      return a;
-    }, {});
+  /**
+   * Await the handler's blockAdded hook and emit BLOCK_ADDED.
+   *
+   * @param {Rosetta:Block} block - block that was added.
+   * @return {Promise<void>}
+   * @throws {SyncerError} thrown if the handler or a listener failed, carries the block.
+   */
+  async notifyBlockAdded(block) {
+    try {
+      if (this.handler && this.handler.blockAdded) {
+        await this.handler.blockAdded(block);
+      }
+
+      this.emit(SyncEvents.BLOCK_ADDED, block);
+    } catch (e) {
+      throw new SyncerError(
+        `Unable to handle added block ${block.block_identifier.index}: ${e.message}`, block
+      );
+    }
+  }
+
+  /**
+   * Await the handler's blockRemoved hook and emit BLOCK_REMOVED.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - identifier of the block that was removed.
+   * @return {Promise<void>}
+   * @throws {SyncerError} thrown if the block was finalized or the handler or a listener failed,
+   * carries the block identifier.
+   */
+  async notifyBlockRemoved(blockIdentifier) {
+    this.checkNotFinalized(blockIdentifier);
+
+    this.pendingBlocks = this.pendingBlocks.filter(
+      block => block.block_identifier.index < blockIdentifier.index
+    );
+
+    try {
+      if (this.handler && this.handler.blockRemoved) {
+        await this.handler.blockRemoved(blockIdentifier);
+      }
+
+      this.emit(SyncEvents.BLOCK_REMOVED, blockIdentifier);
+    } catch (e) {
+      throw new SyncerError(
+        `Unable to handle removed block ${blockIdentifier.index}: ${e.message}`, blockIdentifier
+      );
+    }
+  }
+
+  /**
+   * Await the handler's blockFinalized hook and emit BLOCK_FINALIZED.
+   *
+   * @param {Rosetta:Block} block - block that was finalized.
+   * @return {Promise<void>}
+   * @throws {SyncerError} thrown if the handler or a listener failed, carries the block.
+   */
+  async notifyBlockFinalized(block) {
+    try {
+      if (this.handler && this.handler.blockFinalized) {
+        await this.handler.blockFinalized(block);
+      }
+
+      this.emit(SyncEvents.BLOCK_FINALIZED, block);
+    } catch (e) {
+      throw new SyncerError(
+        `Unable to handle finalized block ${block.block_identifier.index}: ${e.message}`, block
+      );
+    }
   }
 
   /**
@@ -191,66 +499,355 @@ class RosettaSyncer extends EventEmitter {
    * (from syncer.nextIndex to endIndex, inclusive)
    * with syncer.concurrency.
    *
+   * Up to syncer.concurrency blocks are fetched ahead of nextIndex
+   * while blocks are processed in order as soon as they arrive.
+   * Prefetched blocks are discarded after a re-org,
+   * as they may belong to the orphaned chain.
+   *
    * @param {number} endIndex - end index.
    * @return {Promise<void>}
    */
   async syncRange(endIndex) {
-    const nextIndex = this.nextIndex;
+    const prefetched = new Map();
+    let fetchIndex = this.nextIndex;
+
+    while (this.nextIndex <= endIndex) {
+      while (prefetched.size < this.concurrency && fetchIndex <= endIndex) {
+        prefetched.set(fetchIndex, this.prefetchBlock(fetchIndex));
+        fetchIndex++;
+      }
+
+      const index = this.nextIndex;
+      const block = await prefetched.get(index);
+      prefetched.delete(index);
+
+      const { shouldRemove } = await this.checkRemove(block);
 
-    const blockArray = await this.fetcher.blockRange(
+      if (shouldRemove) {
+        await this.reorg(block);
+      } else {
+        await this.processBlock(block);
+      }
+
+      if (this.nextIndex <= index) {
+        // Re-org happened. Refetch everything from the new nextIndex.
+        prefetched.clear();
+        fetchIndex = this.nextIndex;
+      }
+    }
+  }
+
+  /**
+   * Handle a block that does not extend the current head.
+   * All blocks after the common ancestor are removed (newest first)
+   * before a single REORG event is emitted.
+   * The block may have been prefetched before the chain moved on, so it is fetched
+   * again and the common ancestor is only searched with freshly fetched blocks.
+   * If the head is still canonical nothing is removed and nextIndex is kept.
+   *
+   * @param {Rosetta:Block} prefetchedBlock - block whose parent is not the current head.
+   * @return {Promise<void>}
+   * @throws {SyncerError} thrown if no common ancestor was found within maxReorgDepth.
+   */
+  async reorg(prefetchedBlock) {
+    const block = await this.fetcher.blockRetry(
       this.networkIdentifier,
-      nextIndex,
-      endIndex
+      RosettaClient.PartialBlockIdentifier.constructFromObject({
+        index: prefetchedBlock.block_identifier.index,
+      }),
     );
 
-    const blockMap = this.blockArrayToMap(blockArray);
+    const canonicalBlocks = new Map([
+      [block.block_identifier.index, block.block_identifier],
+      [block.parent_block_identifier.index, block.parent_block_identifier],
+    ]);
 
-    while (this.nextIndex <= endIndex) {
-      // ToDo: Map?
-      let block = blockMap[this.nextIndex];
+    const { commonAncestor, orphaned } = await this.findCommonAncestor(block, canonicalBlocks);
+
+    if (orphaned.length === 0) {
+      logger.verbose(`Block ${block.block_identifier.index} was stale, the head is still canonical`);
+      return;
+    }
+
+    const newBranch = [];
+    for (let index = commonAncestor.index + 1; index < block.block_identifier.index; index++) {
+      newBranch.push(await this.canonicalBlockIdentifier(index, canonicalBlocks));
+    }
+    newBranch.push(block.block_identifier);
+
+    logger.info(
+      `Re-org at ${commonAncestor.index}: removing ${orphaned.length} block(s)`
+    );
+
+    await this.removeOrphaned(commonAncestor, orphaned);
+
+    this.emit(SyncEvents.REORG, {
+      commonAncestor,
+      orphaned,
+      newBranch,
+    });
+  }
+
+  /**
+   * Remove the orphaned blocks (newest first) and continue syncing after the common ancestor.
+   *
+   * @param {Rosetta:BlockIdentifier} commonAncestor - last processed block that is still canonical.
+   * @param {Rosetta:BlockIdentifier[]} orphaned - processed blocks after the common ancestor, oldest first.
+   * @return {Promise<void>}
+   * @throws {SyncerError} thrown if an orphaned block was already finalized.
+   */
+  async removeOrphaned(commonAncestor, orphaned) {
+    this.checkNotFinalized(orphaned[0]);
+
+    for (let i = orphaned.length - 1; i >= 0; i--) {
+      await this.notifyBlockRemoved(orphaned[i]);
+    }
+
+    this.pastBlocks = this.pastBlocks.filter(b => b.index <= commonAncestor.index);
+    if (this.pastBlocks.length === 0) {
+      this.pastBlocks.push(commonAncestor);
+    }
+
+    this.nextIndex = commonAncestor.index + 1;
+    await this.saveCheckpoint();
+  }
+
+  /**
+   * Find the last processed block that is still canonical.
+   * The pastBlocks window is searched linearly, newest first, as most re-orgs are shallow.
+   * Deeper re-orgs are resolved with a binary search over the history in blockStorage.
+   *
+   * @param {Rosetta:Block} block - block whose parent is not the current head.
+   * @param {Map<number, Rosetta:BlockIdentifier>} canonicalBlocks - cache of canonical block identifiers by index.
+   * @return {Promise<{commonAncestor: Rosetta:BlockIdentifier, orphaned: Rosetta:BlockIdentifier[]}>} -
+   * common ancestor and the orphaned block identifiers, oldest first.
+   * @throws {SyncerError} thrown if the re-org is deeper than maxReorgDepth or the available history.
+   */
+  async findCommonAncestor(block, canonicalBlocks) {
+    const head = this.pastBlocks[this.pastBlocks.length - 1];
+    const minIndex = head.index - this.maxReorgDepth;
+
+    const isCanonical = async (blockIdentifier) => {
+      const canonical = await this.canonicalBlockIdentifier(blockIdentifier.index, canonicalBlocks);
+      return Hash(canonical) === Hash(blockIdentifier);
+    };
+
+    for (let i = this.pastBlocks.length - 1; i >= 0; i--) {
+      const candidate = this.pastBlocks[i];
 
-      if (!block) {
-        // Re-org happened. Refetch the next block.
-        const partialBlockIdentifier = RosettaClient.PartialBlockIdentifier.constructFromObject({
-          index: this.nextIndex,
-        });
+      if (candidate.index < minIndex) {
+        break;
+      }
+
+      if (await isCanonical(candidate)) {
+        return {
+          commonAncestor: candidate,
+          orphaned: this.pastBlocks.slice(i + 1),
+        };
+      }
+
+      if (Hash(candidate) === Hash(this.genesisBlock)) {
+        throw new SyncerError('Cannot remove genesis block', block);
+      }
+    }
+
+    // History below the window, oldest first.
+    const history = await this.loadHistory(this.pastBlocks[0], minIndex);
 
-        block = await this.fetcher.blockRetry(
-          this.networkIdentifier,
-          partialBlockIdentifier,
-        );
+    if (history.length === 0 || !(await isCanonical(history[0]))) {
+      throw new SyncerError(
+        `Unable to find a common ancestor for block ${block.block_identifier.index} ` +
+        `within ${this.maxReorgDepth} blocks`, block
+      );
+    }
 
+    // history[low] is canonical, history[high] is not.
+    let low = 0;
+    let high = history.length;
+
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+
+      if (await isCanonical(history[mid])) {
+        low = mid;
       } else {
-        // We are going to refetch the block.
-        // Delete the current version of it.
-        delete blockMap[this.nextIndex];
+        high = mid;
       }
+    }
+
+    return {
+      commonAncestor: history[low],
+      orphaned: history.slice(low + 1).concat(this.pastBlocks),
+    };
+  }
+
+  /**
+   * Load the identifiers of the ancestors of a block from blockStorage.
+   *
+   * @param {Rosetta:BlockIdentifier} blockIdentifier - block to start from (not included).
+   * @param {number} minIndex - lowest index to load.
+   * @return {Promise<Rosetta:BlockIdentifier[]>} - ancestors, oldest first.
+   */
+  async loadHistory(blockIdentifier, minIndex) {
+    const history = [];
+
+    if (this.blockStorage == null) {
+      return history;
+    }
+
+    let current = blockIdentifier;
+
+    while (current.index > minIndex) {
+      const stored = await this.blockStorage.getBlock(current);
+      if (stored == null) break;
+
+      const parent = stored.parent_block_identifier;
+      if (parent == null || Hash(parent) === Hash(current)) break;
+
+      history.unshift(parent);
+      current = parent;
+    }
+
+    return history;
+  }
+
+  /**
+   * Get the identifier of the canonical block at an index from the node.
+   *
+   * @param {number} index - block index.
+   * @param {Map<number, Rosetta:BlockIdentifier>} canonicalBlocks - cache of canonical block identifiers by index.
+   * @return {Promise<Rosetta:BlockIdentifier>}
+   */
+  async canonicalBlockIdentifier(index, canonicalBlocks) {
+    if (!canonicalBlocks.has(index)) {
+      const partialBlockIdentifier = RosettaClient.PartialBlockIdentifier.constructFromObject({
+        index,
+      });
+
+      const block = await this.fetcher.blockRetry(this.networkIdentifier, partialBlockIdentifier);
+      canonicalBlocks.set(index, block.block_identifier);
+    }
+
+    return canonicalBlocks.get(index);
+  }
+
+  /**
+   * Start fetching a block and observe its latency.
+   * The returned promise is marked as handled, so a discarded
+   * prefetch that fails does not cause an unhandled rejection.
+   *
+   * @param {number} index - index of the block to fetch.
+   * @return {Promise<Rosetta:Block>}
+   */
+  prefetchBlock(index) {
+    const partialBlockIdentifier = RosettaClient.PartialBlockIdentifier.constructFromObject({
+      index,
+    });
+
+    const startedAt = Date.now();
+    const promise = this.fetcher.blockRetry(this.networkIdentifier, partialBlockIdentifier)
+      .then((block) => {
+        this.observeLatency(Date.now() - startedAt);
+        return block;
+      });
+
+    promise.catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Adapt the number of concurrent block fetches to the observed latency.
+   * Concurrency is reduced while the average latency is above targetLatency
+   * and increased while it is below half of it.
+   *
+   * @param {number} latencyMs - latency of a block fetch in milliseconds.
+   */
+  observeLatency(latencyMs) {
+    if (this.averageLatency == null) {
+      this.averageLatency = latencyMs;
+    } else {
+      this.averageLatency = (1 - LATENCY_SMOOTHING) * this.averageLatency + LATENCY_SMOOTHING * latencyMs;
+    }
 
-      await this.processBlock(block);
+    if (this.averageLatency > this.targetLatency && this.concurrency > this.minConcurrency) {
+      this.concurrency--;
+    } else if (this.averageLatency < this.targetLatency / 2 && this.concurrency < this.maxConcurrency) {
+      this.concurrency++;
     }
   }
 
   /** Syncs the blockchain in the requested range.
-   *  Endless cycle unless an error happens or the requested range was synced successfully.
+   *  Endless cycle unless an error happens, the requested range was synced successfully
+   *  or the sync was stopped using `stop()` or the abort signal.
    *
    * @param {number} startIndex - Index to start sync from.
    * @param {number} endIndex - Index to end sync at (inclusive).
+   * @param {object} [options = {}]
+   * @param {AbortSignal} [options.signal] - signal that stops the sync when aborted.
+   * @return {Promise<void>} - resolves when the range was synced or the sync was stopped.
    */
-  async sync(startIndex, endIndex) {
+  async sync(startIndex, endIndex, { signal } = {}) {
     if (startIndex == null || endIndex == null ||
       isNaN(startIndex) || isNaN(endIndex)) {
       throw new SyncerError(`Arguments startIndex and endIndex must be a valid number`);
     }
 
-    this.emit(SyncEvents.SYNC_CANCELLED);
+    if (this.syncing) {
+      throw new SyncerError('Sync is already running');
+    }
+
+    this.syncing = true;
+    this.stopRequested = false;
+    this.syncedBlocks = 0;
+    this.syncedTransactions = 0;
+    this.syncTime = 0;
+    this.syncDone = new Promise(fulfill => {
+      this.resolveSyncDone = fulfill;
+    });
+
+    const onAbort = () => this.stop();
+    if (signal) {
+      if (signal.aborted) this.stopRequested = true;
+      signal.addEventListener('abort', onAbort);
+    }
+
+    try {
+      await this.syncLoop(startIndex, endIndex);
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      this.syncing = false;
+      this.pauseRequested = false;
+      this.resolveSyncDone();
+    }
+  }
 
+  /**
+   * Sync loop of sync(), returns when the range was synced or a stop was requested.
+   *
+   * @param {number} startIndex - Index to start sync from.
+   * @param {number} endIndex - Index to end sync at (inclusive).
+   * @return {Promise<void>}
+   */
+  async syncLoop(startIndex, endIndex) {
     try {
       await this.setStart(startIndex);
     } catch (e) {
-      throw new SyncerError(`Unable to set sync start index: ${e.message}`);
+      throw new SyncerError(`Unable to set sync start index: ${e.message}`, e.block);
     }
 
     while (true) {
+      await this.waitWhilePaused();
+
+      if (this.stopRequested) {
+        logger.info(`Stopped Syncing at ${this.nextIndex}`);
+        this.emit(SyncEvents.SYNC_STOPPED, this.nextIndex);
+        this.emit(SyncEvents.SYNC_CANCELLED);
+        return;
+      }
+
       let rangeEnd;
       let halt;
 
@@ -268,7 +865,7 @@ class RosettaSyncer extends EventEmitter {
           break;
         }
 
-        await sleep(this.defaultSyncSleep);
+        await this.wait(this.defaultSyncSleep);
         continue;
       }
 
@@ -278,13 +875,17 @@ class RosettaSyncer extends EventEmitter {
         logger.verbose(`Syncing ${this.nextIndex}`);
       }
 
+      const rangeStartedAt = Date.now();
+
       try {
         await this.syncRange(rangeEnd);
       } catch (e) {
-        console.error(e);
-
-        throw new SyncerError(`Unable to sync to ${rangeEnd}: ${e.message}`);
+        throw new SyncerError(`Unable to sync to ${rangeEnd}: ${e.message}`, e.block);
+      } finally {
+        this.syncTime += Date.now() - rangeStartedAt;
       }
+
+      this.emit(SyncEvents.PROGRESS, this.getStatus());
     }
 
     if (startIndex == -1) {
@@ -293,6 +894,132 @@ class RosettaSyncer extends EventEmitter {
 
     logger.info(`Finished Syncing ${startIndex}-${endIndex}`);
   }
+
+  /**
+   * Get the sync progress. Rates are averaged over the current sync.
+   *
+   * @return {{
+   *   syncing: boolean,
+   *   paused: boolean,
+   *   currentIndex: number|null,
+   *   tipIndex: number|null,
+   *   blocksPerSecond: number,
+   *   transactionsPerSecond: number,
+   *   etaSeconds: number|null
+   * }} - etaSeconds is the estimated time to reach the tip, null if unknown.
+   */
+  getStatus() {
+    const seconds = this.syncTime / 1000;
+    const blocksPerSecond = seconds > 0 ? this.syncedBlocks / seconds : 0;
+    const transactionsPerSecond = seconds > 0 ? this.syncedTransactions / seconds : 0;
+
+    const currentIndex = this.nextIndex == null ? null : this.nextIndex - 1;
+    let etaSeconds = null;
+
+    if (currentIndex != null && this.tipIndex != null) {
+      const remaining = Math.max(0, this.tipIndex - currentIndex);
+
+      if (remaining === 0) {
+        etaSeconds = 0;
+      } else if (blocksPerSecond > 0) {
+        etaSeconds = remaining / blocksPerSecond;
+      }
+    }
+
+    return {
+      syncing: this.syncing,
+      paused: this.paused,
+      currentIndex,
+      tipIndex: this.tipIndex,
+      blocksPerSecond,
+      transactionsPerSecond,
+      etaSeconds,
+    };
+  }
+
+  /**
+   * Stop syncing after the current range was processed.
+   *
+   * @return {Promise<void>} - resolves when sync() has returned.
+   */
+  stop() {
+    if (!this.syncing) {
+      return Promise.resolve();
+    }
+
+    this.stopRequested = true;
+    this.wakeUp();
+
+    return this.syncDone;
+  }
+
+  /**
+   * Pause syncing after the current range was processed.
+   * Emits SYNC_PAUSED once the syncer is paused.
+   */
+  pause() {
+    this.pauseRequested = true;
+  }
+
+  /**
+   * Resume a paused sync.
+   * Emits SYNC_RESUMED if the syncer was paused.
+   */
+  resume() {
+    this.pauseRequested = false;
+    this.wakeUp();
+  }
+
+  /**
+   * Wait until resume() or stop() is called, if a pause was requested.
+   *
+   * @return {Promise<void>}
+   */
+  async waitWhilePaused() {
+    if (!this.pauseRequested || this.stopRequested) {
+      return;
+    }
+
+    this.paused = true;
+    this.emit(SyncEvents.SYNC_PAUSED, this.nextIndex);
+
+    while (this.pauseRequested && !this.stopRequested) {
+      await this.wait(Infinity);
+    }
+
+    this.paused = false;
+
+    if (!this.stopRequested) {
+      this.emit(SyncEvents.SYNC_RESUMED, this.nextIndex);
+    }
+  }
+
+  /**
+   * Sleep that is interrupted by stop() and resume().
+   *
+   * @param {number} timeoutMs - time to wait in milliseconds, Infinity to wait until woken up.
+   * @return {Promise<void>}
+   */
+  wait(timeoutMs) {
+    return new Promise((fulfill) => {
+      const timer = timeoutMs === Infinity ? null : setTimeout(() => this.wakeUp(), timeoutMs);
+
+      this.wakeUpWaiter = () => {
+        clearTimeout(timer);
+        this.wakeUpWaiter = null;
+        fulfill();
+      };
+    });
+  }
+
+  /**
+   * Interrupt the current wait, if any.
+   */
+  wakeUp() {
+    if (this.wakeUpWaiter) {
+      this.wakeUpWaiter();
+    }
+  }
 }
 
 RosettaSyncer.Events = SyncEvents;
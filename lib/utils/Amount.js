@@ -0,0 +1,201 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Arbitrary-precision arithmetic for Rosetta amount values.
+ * Values are accepted as integer strings, BigInts or safe integers
+ * and results are returned as integer strings, which is how Rosetta
+ * transports amounts.
+ * @module Amount
+ */
+
+const { InputError } = require('../errors');
+
+const INTEGER_REGEX = /^-?[0-9]+$/;
+const DECIMAL_REGEX = /^(-?)([0-9]+)(?:\.([0-9]+))?$/;
+
+/**
+ * Parses an amount value into a BigInt.
+ * Unlike parseInt, partial matches like `12abc` or `1.5` are rejected.
+ *
+ * @param {string|bigint|number} value - integer value to parse.
+ * @param {string} [label = 'Value'] - name of the value used in error messages.
+ * @return {bigint} - parsed value.
+ * @throws {InputError} thrown if value is not an integer.
+ */
+function parse(value, label = 'Value') {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+
+  if (typeof value === 'string' && INTEGER_REGEX.test(value)) {
+    return BigInt(value);
+  }
+
+  throw new InputError(`${label} is NaN`);
+}
+
+/**
+ * Adds two amount values.
+ *
+ * @param {string|bigint|number} a - first value.
+ * @param {string|bigint|number} b - second value.
+ * @return {string} - a+b
+ * @throws {InputError} thrown if one of the values is not an integer.
+ */
+function add(a, b) {
+  return `${parse(a, 'Value A') + parse(b, 'Value B')}`;
+}
+
+/**
+ * Subtracts two amount values.
+ *
+ * @param {string|bigint|number} a - first value.
+ * @param {string|bigint|number} b - second value.
+ * @return {string} - a-b
+ * @throws {InputError} thrown if one of the values is not an integer.
+ */
+function subtract(a, b) {
+  return `${parse(a, 'Value A') - parse(b, 'Value B')}`;
+}
+
+/**
+ * Flips the sign of an amount value.
+ *
+ * @param {string|bigint|number} value - value to negate.
+ * @return {string} - -value
+ * @throws {InputError} thrown if value is not an integer.
+ */
+function negate(value) {
+  return `${-parse(value)}`;
+}
+
+/**
+ * Multiplies an amount value by an integer factor.
+ *
+ * @param {string|bigint|number} value - value to multiply.
+ * @param {string|bigint|number} factor - integer factor.
+ * @return {string} - value*factor
+ * @throws {InputError} thrown if value or factor is not an integer.
+ */
+function multiply(value, factor) {
+  return `${parse(value) * parse(factor, 'Factor')}`;
+}
+
+/**
+ * Compares two amount values.
+ *
+ * @param {string|bigint|number} a - first value.
+ * @param {string|bigint|number} b - second value.
+ * @return {number} - -1 if a < b, 0 if a == b and 1 if a > b.
+ * @throws {InputError} thrown if one of the values is not an integer.
+ */
+function compare(a, b) {
+  const parsedA = parse(a, 'Value A');
+  const parsedB = parse(b, 'Value B');
+
+  if (parsedA < parsedB) return -1;
+  if (parsedA > parsedB) return 1;
+  return 0;
+}
+
+/**
+ * Returns the sign of an amount value.
+ *
+ * @param {string|bigint|number} value - value to check.
+ * @return {number} - -1 if negative, 0 if zero and 1 if positive.
+ * @throws {InputError} thrown if value is not an integer.
+ */
+function sign(value) {
+  return compare(value, 0n);
+}
+
+/**
+ * Formats an integer amount value as a decimal string,
+ * e.g. format('-12345', 2) returns '-123.45'.
+ *
+ * @param {string|bigint|number} value - integer value in the smallest unit.
+ * @param {number} [decimals = 0] - number of decimals of the currency.
+ * @return {string} - decimal representation of the value.
+ * @throws {InputError} thrown if value is not an integer or decimals is invalid.
+ */
+function format(value, decimals = 0) {
+  if (!Number.isSafeInteger(decimals) || decimals < 0) {
+    throw new InputError(`Decimals must be a non-negative integer, got ${decimals}`);
+  }
+
+  const parsed = parse(value);
+  const negative = parsed < 0n;
+  const digits = `${negative ? -parsed : parsed}`.padStart(decimals + 1, '0');
+
+  let result = digits;
+  if (decimals > 0) {
+    const split = digits.length - decimals;
+    result = `${digits.slice(0, split)}.${digits.slice(split)}`;
+  }
+
+  return negative ? `-${result}` : result;
+}
+
+/**
+ * Parses a decimal string into an integer amount value,
+ * e.g. parseDecimal('-123.45', 2) returns '-12345'.
+ *
+ * @param {string} value - decimal value.
+ * @param {number} [decimals = 0] - number of decimals of the currency.
+ * @return {string} - integer value in the smallest unit.
+ * @throws {InputError} thrown if value is not a decimal or has more fractional digits than decimals.
+ */
+function parseDecimal(value, decimals = 0) {
+  if (!Number.isSafeInteger(decimals) || decimals < 0) {
+    throw new InputError(`Decimals must be a non-negative integer, got ${decimals}`);
+  }
+
+  const match = typeof value === 'string' ? DECIMAL_REGEX.exec(value) : null;
+  if (match == null) {
+    throw new InputError(`Value ${value} is not a decimal`);
+  }
+
+  const [, minus, integerPart, fractionPart = ''] = match;
+  if (fractionPart.length > decimals) {
+    throw new InputError(`Value ${value} has more than ${decimals} decimals`);
+  }
+
+  const parsed = BigInt(`${integerPart}${fractionPart.padEnd(decimals, '0')}`);
+  return `${minus ? -parsed : parsed}`;
+}
+
+module.exports = {
+  parse,
+  add,
+  subtract,
+  negate,
+  multiply,
+  compare,
+  sign,
+  format,
+  parseDecimal,
+};
@@ -24,53 +24,33 @@
  * @module Utils
  */
 
+const crypto = require('crypto');
 const RosettaClient = require('rosetta-node-sdk-client');
 const { InputError } = require('../errors');
+const Amount = require('./Amount');
 
 /**
- * AddValues adds string amounts using
+ * AddValues adds string amounts using arbitrary precision.
  *
  * @param {string} a - first value
  * @param {string} b - second value
- * @return {string} - string amounts using
- * @throws {AsserterError} thrown if SupportedNetworks not an array
+ * @return {string} - sum of a+b
+ * @throws {InputError} thrown if one of the values is not an integer
  */
 function AddValues(a, b) {
-  const parsedA = parseInt(a);
-  const parsedB = parseInt(b);
-
-  if (isNaN(parsedA)) {
-    throw new InputError('Value A is NaN');
-  }
-
-  if (isNaN(parsedB)) {
-    throw new InputError('Value B is NaN');
-  }
-
-  return `${parsedA + parsedB}`;
+  return Amount.add(a, b);
 }
 
 /**
- * SubtractValues subtracts a-b using
+ * SubtractValues subtracts a-b using arbitrary precision.
  *
  * @param {string} a - first value
  * @param {string} b - second value
  * @return {string} - subtract of a-b
- * @throws {AsserterError} thrown if SupportedNetworks not an array
+ * @throws {InputError} thrown if one of the values is not an integer
  */
 function SubtractValues(a, b) {
-  const parsedA = parseInt(a);
-  const parsedB = parseInt(b);
-
-  if (isNaN(parsedA)) {
-    throw new InputError('Value A is NaN');
-  }
-
-  if (isNaN(parsedB)) {
-    throw new InputError('Value B is NaN');
-  }
-
-  return `${parsedA - parsedB}`;
+  return Amount.subtract(a, b);
 }
 
 /**
@@ -90,62 +70,83 @@ function constructPartialBlockIdentifier(blockIdentifier) {
   });
 }
 
-// http://werxltd.com/wp/2010/05/13/javascript-implementation-of-javas-string-hashcode-method/
-Object.defineProperty(String.prototype, 'hashCode', {
-  value: function() {
-    var hash = 0, i, chr;
-    for (i = 0; i < this.length; i++) {
-      chr   = this.charCodeAt(i);
-      hash  = ((hash << 5) - hash) + chr;
-      hash |= 0; // Convert to 32bit integer
+/**
+ * Serializes any JSON-like value to a canonical JSON string.
+ * Object keys are sorted, properties set to undefined are omitted
+ * and undefined array items or top-level values are serialized as null.
+ * Bigints are serialized as strings, like Rosetta encodes amount values.
+ * Array ordering is preserved, so arrays with a different ordering
+ * do not serialize equally.
+ *
+ * @param {any} input - value to serialize
+ * @return {string} - canonical JSON representation of the value
+ * @throws {InputError} thrown if the value contains non-finite numbers, functions or symbols
+ */
+function CanonicalJSON(input) {
+  if (input == null) {
+    return 'null';
+  }
+
+  if (typeof input.toJSON === 'function') {
+    return CanonicalJSON(input.toJSON());
+  }
+
+  switch (typeof input) {
+    case 'string':
+    case 'boolean':
+      return JSON.stringify(input);
+
+    case 'number':
+      if (!Number.isFinite(input)) {
+        throw new InputError(`Cannot serialize non-finite number ${input}`);
+      }
+      return JSON.stringify(input);
+
+    case 'bigint':
+      return JSON.stringify(input.toString());
+
+    case 'object': {
+      if (Array.isArray(input)) {
+        return `[${input.map(item => CanonicalJSON(item)).join(',')}]`;
+      }
+
+      const entries = Object.keys(input)
+        .filter(key => input[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${CanonicalJSON(input[key])}`);
+
+      return `{${entries.join(',')}}`;
     }
-    return hash;
+
+    default:
+      throw new InputError(`Invalid type ${typeof input} for CanonicalJSON`);
   }
-});
+}
 
 /**
  * Get deterministic hash for any interface.
+ * The hash is the SHA-256 digest of the canonical JSON representation
+ * of the input, so equal hashes imply equal values.
  * It is important to note that any interface that is a slice
  * or contains slices will not be equal if the slice ordering is
  * different.
  *
- * @param {object|number|string} input - input for Hasher
- * @return {string} - deterministic hash for any interface
- * @throws {Error} thrown if type of input is invalid
+ * @param {any} input - input for Hasher
+ * @return {string} - hex encoded deterministic hash for any interface
+ * @throws {InputError} thrown if the input cannot be serialized
  */
 function Hash(input) {
-  if (typeof input == 'object') {
-    let values = [];
-    const keys = Object.keys(input).sort();
-
-    for (let key of keys) {
-      if (typeof input[key] == 'object') {
-        const subHash = Hash(input[key]);
-        values.push(`${key}:${subHash}`);
-      } else {
-        values.push(`${key}:${input[key]}`);
-      }
-    }
-
-    return values.join('|').hashCode();
-  }
-
-  if (typeof input == 'number') {
-    return `${input}`;
-  }
-
-  if (typeof input == 'string') {
-    return input.hashCode();
-  }
-
-  throw new Error(`Invalid type ${typeof input} for Hasher`);
+  return crypto
+    .createHash('sha256')
+    .update(CanonicalJSON(input))
+    .digest('hex');
 }
 
 /**
  * Get representation of an amount value.
  *
  * @param {Rosetta:Amount} amount - some Value of a Currency
- * @return {number} - numeric value of the transaction amount
+ * @return {bigint} - numeric value of the transaction amount
  * @throws {Error} thrown if amount not valid
  */
 function AmountValue(amount) {
@@ -157,7 +158,7 @@ function AmountValue(amount) {
     throw new Error('Amount must be a string');
   }
 
-  return parseInt(amount.value);
+  return Amount.parse(amount.value);
 }
 
 /**
@@ -176,8 +177,7 @@ function NegateValue(amount) {
     throw new Error('Amount must be a string');
   }
 
-  const negated = 0 - parseInt(amount);
-  return `${negated}`;
+  return Amount.negate(amount);
 }
 
 module.exports = {
@@ -187,4 +187,6 @@ module.exports = {
   AmountValue,
   NegateValue,
   Hash,
+  CanonicalJSON,
+  Amount,
 };
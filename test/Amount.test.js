@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// Amount.test.js
+const { expect } = require('chai');
+const Amount = require('../lib/utils/Amount');
+
+describe('Amount', function () {
+  describe('Test parse', function () {
+    it('should parse integer strings, bigints and safe integers', function () {
+      expect(Amount.parse('123')).to.equal(123n);
+      expect(Amount.parse('-123')).to.equal(-123n);
+      expect(Amount.parse(123n)).to.equal(123n);
+      expect(Amount.parse(-5)).to.equal(-5n);
+    });
+
+    it('should reject values that parseInt would accept', function () {
+      for (const value of ['12abc', '1.5', '', ' 1', '1e3', '0x10', '+1', NaN, 1.5, null, undefined]) {
+        let thrown = false;
+        try {
+          Amount.parse(value);
+        } catch (e) {
+          expect(e.name).to.equal('InputError');
+          expect(e.message).to.equal('Value is NaN');
+          thrown = true;
+        }
+
+        expect(thrown).to.equal(true);
+      }
+    });
+  });
+
+  describe('Test arithmetic', function () {
+    it('should add and subtract above 2^53', function () {
+      expect(Amount.add('9007199254740993', '1')).to.equal('9007199254740994');
+      expect(Amount.subtract('1000000000000000000000', '1')).to.equal('999999999999999999999');
+      expect(Amount.subtract('1', '1000000000000000000000')).to.equal('-999999999999999999999');
+    });
+
+    it('should name the invalid operand', function () {
+      expect(() => Amount.add('1', '12abc')).to.throw('Value B is NaN');
+      expect(() => Amount.subtract('x', '1')).to.throw('Value A is NaN');
+    });
+
+    it('should negate values', function () {
+      expect(Amount.negate('1000000000000000000000')).to.equal('-1000000000000000000000');
+      expect(Amount.negate('-5')).to.equal('5');
+      expect(Amount.negate('0')).to.equal('0');
+    });
+
+    it('should multiply by an integer', function () {
+      expect(Amount.multiply('1000000000000000000', 3)).to.equal('3000000000000000000');
+      expect(Amount.multiply('-7', '2')).to.equal('-14');
+      expect(() => Amount.multiply('7', 1.5)).to.throw('Factor is NaN');
+    });
+
+    it('should compare and sign values', function () {
+      expect(Amount.compare('9007199254740993', '9007199254740992')).to.equal(1);
+      expect(Amount.compare('-1', '1')).to.equal(-1);
+      expect(Amount.compare('10', 10n)).to.equal(0);
+      expect(Amount.sign('-1000000000000000000000')).to.equal(-1);
+      expect(Amount.sign('0')).to.equal(0);
+      expect(Amount.sign('1')).to.equal(1);
+    });
+  });
+
+  describe('Test decimals', function () {
+    it('should format values using decimals', function () {
+      expect(Amount.format('12345', 2)).to.equal('123.45');
+      expect(Amount.format('-5', 3)).to.equal('-0.005');
+      expect(Amount.format('1000000000000000000001', 18)).to.equal('1000.000000000000000001');
+      expect(Amount.format('42')).to.equal('42');
+    });
+
+    it('should parse decimal values', function () {
+      expect(Amount.parseDecimal('123.45', 2)).to.equal('12345');
+      expect(Amount.parseDecimal('-0.005', 3)).to.equal('-5');
+      expect(Amount.parseDecimal('1.5', 8)).to.equal('150000000');
+      expect(Amount.parseDecimal('42')).to.equal('42');
+    });
+
+    it('should reject invalid decimal values', function () {
+      expect(() => Amount.parseDecimal('1.234', 2)).to.throw('Value 1.234 has more than 2 decimals');
+      expect(() => Amount.parseDecimal('1.2.3', 2)).to.throw('Value 1.2.3 is not a decimal');
+      expect(() => Amount.parseDecimal('12abc', 2)).to.throw('Value 12abc is not a decimal');
+      expect(() => Amount.format('1', -1)).to.throw('Decimals must be a non-negative integer, got -1');
+    });
+  });
+});
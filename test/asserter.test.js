@@ -941,6 +941,75 @@ describe('Asserter Tests', function () {
     });
   });
 
+  describe('ConstructionPreprocessResponse Tests', function () {
+    const asserter = new RosettaSDK.Asserter();
+
+    const tests = {
+      'valid response': {
+        response: {
+          options: {},
+        },
+        err: null,
+      },
+      'valid response with required public keys': {
+        response: {
+          options: {},
+          required_public_keys: [{ address: 'hello' }],
+        },
+        err: null,
+      },
+      'valid response without options': {
+        response: {},
+        err: null,
+      },
+      'null response': {
+        response: null,
+        err: 'ConstructionPreprocessResponse cannot be null',
+      },
+      'invalid options': {
+        response: {
+          options: [],
+        },
+        err: 'ConstructionPreprocessResponse.options must be an object',
+      },
+      'invalid required public keys': {
+        response: {
+          options: {},
+          required_public_keys: {},
+        },
+        err: 'ConstructionPreprocessResponse.required_public_keys must be an array',
+      },
+      'invalid required public key': {
+        response: {
+          options: {},
+          required_public_keys: [{ address: '' }],
+        },
+        err: 'Account.address is missing',
+      },
+    };
+
+    for (let testName of Object.keys(tests)) {
+      const testCase = tests[testName];
+
+      it(`should handle a ${testName}`, function () {
+        let thrown = null;
+
+        try {
+          asserter.ConstructionPreprocessResponse(testCase.response);
+        } catch (e) {
+          thrown = e;
+        }
+
+        if (testCase.err == null) {
+          expect(thrown).to.equal(null);
+        } else {
+          expect(thrown.name).to.equal('AsserterError');
+          expect(thrown.message).to.equal(testCase.err);
+        }
+      });
+    }
+  });
+
   describe('Test TransactionIdentifierResponse', function () {
     const asserter = new RosettaSDK.Asserter();
 
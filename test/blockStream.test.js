@@ -0,0 +1,161 @@
+/**
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// blockStream.test.js
+const { expect } = require('chai');
+const RosettaSDK = require('..');
+
+const networkIdentifier = {
+  blockchain: 'blockchain',
+  network:    'network',
+};
+
+const sleep = ms => new Promise(fulfill => setTimeout(fulfill, ms));
+
+/**
+ * Fetcher whose blocks arrive in random order and whose tip can be moved.
+ */
+const createFetcher = ({ tip = 100, fail = null } = {}) => {
+  const fetcher = new RosettaSDK.Fetcher({ options: { promisePoolSize: 4 } });
+
+  fetcher.tip = tip;
+  fetcher.inFlight = 0;
+  fetcher.maxInFlight = 0;
+  fetcher.requested = [];
+
+  fetcher.networkStatusRetry = async () => ({
+    current_block_identifier: { index: fetcher.tip, hash: `block ${fetcher.tip}` },
+  });
+
+  fetcher.blockRetry = async (network, { index }) => {
+    fetcher.requested.push(index);
+    fetcher.inFlight++;
+    fetcher.maxInFlight = Math.max(fetcher.maxInFlight, fetcher.inFlight);
+
+    await sleep(Math.floor(Math.random() * 5));
+    fetcher.inFlight--;
+
+    if (index === fail) {
+      throw new RosettaSDK.Errors.FetcherError(`Block ${index} failed`);
+    }
+
+    return { block_identifier: { index, hash: `block ${index}` } };
+  };
+
+  return fetcher;
+};
+
+describe('Fetcher Block Stream', function () {
+  it('should yield blocks in order with bounded concurrency', async function () {
+    const fetcher = createFetcher();
+    const indices = [];
+
+    for await (const block of fetcher.blocks(networkIdentifier, { from: 3, to: 40 })) {
+      indices.push(block.block_identifier.index);
+    }
+
+    expect(indices).to.deep.equal([...Array(38)].map((_, i) => i + 3));
+    expect(fetcher.maxInFlight).to.be.at.most(4);
+    expect(fetcher.maxInFlight).to.be.above(1);
+  });
+
+  it('should honor the concurrency option', async function () {
+    const fetcher = createFetcher();
+
+    for await (const block of fetcher.blocks(networkIdentifier, { from: 0, to: 9, concurrency: 1 })) {
+      expect(block).to.not.equal(undefined);
+    }
+
+    expect(fetcher.maxInFlight).to.equal(1);
+  });
+
+  it('should follow the tip until cancelled', async function () {
+    const fetcher = createFetcher({ tip: 2 });
+    const stream = fetcher.blocks(networkIdentifier, { from: 0, to: 'tip', pollInterval: 5 });
+    const indices = [];
+
+    for await (const block of stream) {
+      indices.push(block.block_identifier.index);
+
+      if (block.block_identifier.index === 2) {
+        setTimeout(() => { fetcher.tip = 4; }, 20);
+      }
+
+      if (block.block_identifier.index === 4) {
+        setTimeout(() => stream.cancel(), 20);
+      }
+    }
+
+    expect(indices).to.deep.equal([0, 1, 2, 3, 4]);
+  });
+
+  it('should stop fetching when the loop is left', async function () {
+    const fetcher = createFetcher();
+
+    for await (const block of fetcher.blocks(networkIdentifier, { from: 0, to: 1000 })) {
+      if (block.block_identifier.index === 5) break;
+    }
+
+    await sleep(20);
+    expect(Math.max(...fetcher.requested)).to.be.below(5 + 4 + 1);
+  });
+
+  it('should be cancelled by an abort signal', async function () {
+    const fetcher = createFetcher({ tip: 1 });
+    const controller = new AbortController();
+    const stream = fetcher.blocks(networkIdentifier, { pollInterval: 5, signal: controller.signal });
+    const indices = [];
+
+    setTimeout(() => controller.abort(), 30);
+
+    for await (const block of stream) {
+      indices.push(block.block_identifier.index);
+    }
+
+    expect(indices).to.deep.equal([0, 1]);
+    expect((await stream.next()).done).to.equal(true);
+  });
+
+  it('should throw errors of blocks in order', async function () {
+    const fetcher = createFetcher({ fail: 3 });
+    const indices = [];
+
+    try {
+      for await (const block of fetcher.blocks(networkIdentifier, { from: 0, to: 10 })) {
+        indices.push(block.block_identifier.index);
+      }
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e.message).to.equal('Block 3 failed');
+    }
+
+    expect(indices).to.deep.equal([0, 1, 2]);
+  });
+
+  it('should validate the range', function () {
+    const fetcher = createFetcher();
+
+    expect(() => fetcher.blocks(networkIdentifier, { from: 'a' }))
+      .to.throw('Arguments from and to must be a valid number or to must be \'tip\'');
+    expect(() => fetcher.blocks(networkIdentifier, { from: 0, to: 'latest' }))
+      .to.throw('Arguments from and to must be a valid number or to must be \'tip\'');
+  });
+});
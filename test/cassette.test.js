@@ -0,0 +1,228 @@
+/**
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// cassette.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const RosettaSDK = require('..');
+
+const { ReplayApiClient } = RosettaSDK.Fetcher;
+
+const networkIdentifier = {
+  blockchain: 'blockchain',
+  network:    'network',
+};
+
+const blockRequest = { network_identifier: networkIdentifier, block_identifier: { index: 1 } };
+const block = { block_identifier: { index: 1, hash: 'block 1' } };
+
+const rosettaError = () => Object.assign(new Error('Internal Server Error'), {
+  status: 500,
+  response: { body: { code: 12, message: 'Block not found', retriable: false }, headers: {} },
+});
+
+/**
+ * Send a request through the ApiClient the way the generated promise APIs do.
+ */
+const callBlock = (fetcher, request = blockRequest) => fetcher.callApi({
+  endpoint: '/block',
+  request,
+  networkIdentifier,
+}, apiClient => apiClient.callApi('/block', 'POST', {}, {}, {}, {}, request, [], ['application/json'],
+  ['application/json'], null).then(({ data }) => data));
+
+describe('Fetcher Cassettes', function () {
+  let cassette;
+
+  beforeEach(function () {
+    cassette = path.join(os.tmpdir(), `cassette-${process.pid}-${Date.now()}.jsonl`);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(cassette)) fs.unlinkSync(cassette);
+  });
+
+  it('should record requests and responses', async function () {
+    const fetcher = new RosettaSDK.Fetcher({ record: cassette });
+
+    const context = { endpoint: '/block', request: blockRequest, networkIdentifier };
+    await fetcher.callApi(context, async () => block);
+    await fetcher.callApi(context, async () => {
+      throw rosettaError();
+    }).catch(() => {});
+    await fetcher.callApi(context, async () => {
+      throw new Error('connect ECONNREFUSED');
+    }).catch(() => {});
+
+    await fetcher.stopRecording();
+
+    const entries = fs.readFileSync(cassette, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(entries).to.have.lengthOf(3);
+
+    for (const entry of entries) {
+      expect(entry.endpoint).to.equal('/block');
+      expect(entry.request).to.deep.equal(blockRequest);
+      expect(entry.latency).to.be.a('number');
+      expect(entry.timestamp).to.be.a('number');
+    }
+
+    expect(entries.map(({ status, response, error }) => ({ status, response, error }))).to.deep.equal([
+      { status: 200, response: block, error: null },
+      {
+        status: 500,
+        response: { code: 12, message: 'Block not found', retriable: false },
+        error: 'Internal Server Error',
+      },
+      { status: null, response: null, error: 'connect ECONNREFUSED' },
+    ]);
+  });
+
+  it('should only record while recording', async function () {
+    const fetcher = new RosettaSDK.Fetcher();
+    const context = { endpoint: '/block', request: blockRequest, networkIdentifier };
+
+    await fetcher.callApi(context, async () => block);
+    await fetcher.startRecording(cassette);
+    await fetcher.callApi(context, async () => block);
+    await fetcher.stopRecording();
+    await fetcher.callApi(context, async () => block);
+
+    expect(fs.readFileSync(cassette, 'utf8').trim().split('\n')).to.have.lengthOf(1);
+  });
+
+  it('should reject writes to a cassette that cannot be opened', async function () {
+    const missing = path.join(os.tmpdir(), `missing-${process.pid}-${Date.now()}`, 'cassette.jsonl');
+    const recorder = new RosettaSDK.Fetcher.CassetteRecorder(missing);
+
+    const recorded = await recorder.record({ endpoint: '/block' }).catch(e => e);
+    expect(recorded.code).to.equal('ENOENT');
+
+    const closed = await recorder.close().catch(e => e);
+    expect(closed).to.equal(recorded);
+  });
+
+  it('should keep fetching if the cassette cannot be written and throw on close', async function () {
+    const missing = path.join(os.tmpdir(), `missing-${process.pid}-${Date.now()}`, 'cassette.jsonl');
+    const fetcher = new RosettaSDK.Fetcher({ record: missing });
+    const context = { endpoint: '/block', request: blockRequest, networkIdentifier };
+
+    expect(await fetcher.callApi(context, async () => block)).to.deep.equal(block);
+
+    const error = await fetcher.close().catch(e => e);
+    expect(error.code).to.equal('ENOENT');
+    expect(fetcher.recorder).to.equal(null);
+  });
+
+  it('should flush the cassette on close', async function () {
+    const fetcher = new RosettaSDK.Fetcher({ record: cassette });
+
+    await fetcher.callApi({ endpoint: '/block', request: blockRequest, networkIdentifier }, async () => block);
+    await fetcher.close();
+
+    expect(fs.readFileSync(cassette, 'utf8').trim().split('\n')).to.have.lengthOf(1);
+  });
+
+  it('should replay a recorded cassette', async function () {
+    const recording = new RosettaSDK.Fetcher({ record: cassette });
+    const otherRequest = Object.assign({}, blockRequest, { block_identifier: { index: 2 } });
+
+    await recording.callApi({ endpoint: '/block', request: blockRequest }, async () => block);
+    await recording.callApi({ endpoint: '/block', request: otherRequest }, async () => {
+      throw rosettaError();
+    }).catch(() => {});
+    await recording.stopRecording();
+
+    const fetcher = new RosettaSDK.Fetcher({ apiClient: ReplayApiClient.fromFile(cassette) });
+
+    expect(await callBlock(fetcher)).to.deep.equal(block);
+
+    try {
+      await callBlock(fetcher, otherRequest);
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e.name).to.equal('FetcherError');
+      expect(e.message).to.equal('Request to /block failed: Block not found');
+      expect(e.code).to.equal(12);
+      expect(e.status).to.equal(500);
+      expect(e.retriable).to.equal(false);
+    }
+
+    try {
+      await callBlock(fetcher, Object.assign({}, blockRequest, { block_identifier: { index: 3 } }));
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e.message).to.equal('Request to /block failed: No recorded response for /block');
+      expect(e.status).to.equal(404);
+      expect(e.retriable).to.equal(false);
+    }
+  });
+
+  it('should serve responses in recorded order and repeat the last one', async function () {
+    const status = index => ({ current_block_identifier: { index, hash: `block ${index}` } });
+    const request = { network_identifier: networkIdentifier, metadata: {} };
+
+    const apiClient = new ReplayApiClient([1, 2].map(index => ({
+      endpoint: '/network/status',
+      request,
+      status: 200,
+      response: status(index),
+      error: null,
+    })));
+
+    const call = () => apiClient.callApi('/network/status', 'POST', {}, {}, {}, {}, request, [], [], [], null)
+      .then(({ data }) => data.current_block_identifier.index);
+
+    expect([await call(), await call(), await call()]).to.deep.equal([1, 2, 2]);
+  });
+
+  it('should support callbacks and deserialize the return type', function (done) {
+    class BlockResponse {
+      static constructFromObject(data) {
+        return Object.assign(new BlockResponse(), data);
+      }
+    }
+
+    const apiClient = new ReplayApiClient([{
+      endpoint: '/block',
+      request: blockRequest,
+      status: 200,
+      response: block,
+      error: null,
+    }]);
+
+    apiClient.callApi('/block', 'POST', {}, {}, {}, {}, blockRequest, [], [], [], BlockResponse, null,
+      (error, data, response) => {
+        expect(error).to.equal(null);
+        expect(data).to.be.instanceOf(BlockResponse);
+        expect(data.block_identifier).to.deep.equal(block.block_identifier);
+        expect(response.status).to.equal(200);
+        done();
+      });
+  });
+
+  it('should reject invalid cassettes', function () {
+    fs.writeFileSync(cassette, `${JSON.stringify({ endpoint: '/block' })}\n{invalid\n`);
+
+    expect(() => ReplayApiClient.fromFile(cassette)).to.throw(`Invalid cassette ${cassette} at line 2`);
+  });
+});
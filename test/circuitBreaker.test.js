@@ -0,0 +1,299 @@
+/**
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// circuitBreaker.test.js
+const { expect } = require('chai');
+const { backOff } = require('exponential-backoff');
+const RosettaSDK = require('..');
+
+const { CircuitBreaker } = RosettaSDK.Fetcher;
+
+const networkIdentifier = {
+  blockchain: 'blockchain',
+  network:    'network',
+};
+
+const sleep = ms => new Promise(fulfill => setTimeout(fulfill, ms));
+
+describe('CircuitBreaker', function () {
+  it('should open after consecutive failures', function () {
+    const circuit = new CircuitBreaker({ failureThreshold: 3 });
+
+    circuit.recordFailure();
+    circuit.recordFailure();
+    circuit.recordSuccess();
+    circuit.recordFailure();
+    circuit.recordFailure();
+    expect(circuit.state).to.equal(CircuitBreaker.CLOSED);
+    expect(circuit.allowRequest()).to.equal(true);
+
+    circuit.recordFailure();
+    expect(circuit.state).to.equal(CircuitBreaker.OPEN);
+    expect(circuit.allowRequest()).to.equal(false);
+  });
+
+  it('should be half-open after the reset timeout', async function () {
+    const circuit = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 20 });
+
+    circuit.recordFailure();
+    expect(circuit.state).to.equal(CircuitBreaker.OPEN);
+
+    await sleep(30);
+    expect(circuit.state).to.equal(CircuitBreaker.HALF_OPEN);
+    expect(circuit.allowRequest()).to.equal(true);
+
+    circuit.recordSuccess();
+    expect(circuit.state).to.equal(CircuitBreaker.CLOSED);
+  });
+
+  it('should open again if a half-open request fails', async function () {
+    const circuit = new CircuitBreaker({ failureThreshold: 5, resetTimeout: 20 });
+
+    for (let i = 0; i < 5; i++) circuit.recordFailure();
+    await sleep(30);
+
+    circuit.recordFailure();
+    expect(circuit.state).to.equal(CircuitBreaker.OPEN);
+    expect(circuit.opened).to.equal(2);
+  });
+});
+
+describe('Fetcher Failover', function () {
+  const httpError = (status, body = {}) => Object.assign(new Error(`HTTP ${status}`), {
+    status,
+    response: { body, headers: {} },
+  });
+
+  const transportError = () => new Error('connect ECONNREFUSED');
+
+  const createFetcher = (options = {}) => new RosettaSDK.Fetcher(Object.assign({
+    endpoints: [
+      { apiClient: { basePath: 'http://a:8080' } },
+      { apiClient: { basePath: 'http://b:8080' } },
+      { apiClient: { basePath: 'http://c:8080' } },
+    ],
+    circuitBreaker: { failureThreshold: 2, resetTimeout: 1000 },
+  }, options));
+
+  const context = { endpoint: '/block', request: {}, networkIdentifier };
+
+  it('should build a client for each endpoint', function () {
+    const fetcher = new RosettaSDK.Fetcher({
+      endpoints: [
+        { host: 'first', port: 8080 },
+        { protocol: 'https', host: 'second', port: 443 },
+      ],
+    });
+
+    expect(fetcher.apiClient.basePath).to.equal('http://first:8080');
+    expect(fetcher.endpointStatus().map(endpoint => endpoint.basePath)).to.deep.equal([
+      'http://first:8080',
+      'https://second:443',
+    ]);
+  });
+
+  it('should send requests to the first endpoint', async function () {
+    const fetcher = createFetcher();
+    const called = [];
+
+    const response = await fetcher.callApi(context, async (apiClient) => {
+      called.push(apiClient.basePath);
+      return { ok: true };
+    });
+
+    expect(response).to.deep.equal({ ok: true });
+    expect(called).to.deep.equal(['http://a:8080']);
+  });
+
+  it('should fail over on transport errors and 5xx responses', async function () {
+    const fetcher = createFetcher();
+    const called = [];
+
+    const response = await fetcher.callApi(context, async (apiClient) => {
+      called.push(apiClient.basePath);
+      if (apiClient.basePath === 'http://a:8080') throw transportError();
+      if (apiClient.basePath === 'http://b:8080') throw httpError(503);
+      return { ok: true };
+    });
+
+    expect(response).to.deep.equal({ ok: true });
+    expect(called).to.deep.equal(['http://a:8080', 'http://b:8080', 'http://c:8080']);
+    expect(fetcher.endpointStatus().map(endpoint => endpoint.failures)).to.deep.equal([1, 1, 0]);
+  });
+
+  it('should not fail over on Rosetta errors and 429 responses', async function () {
+    const fetcher = createFetcher();
+    let calls = 0;
+
+    const rosettaError = httpError(500, { code: 12, message: 'Not found', retriable: false });
+    await fetcher.callApi(context, async () => {
+      calls++;
+      throw rosettaError;
+    }).catch(e => expect(e.code).to.equal(12));
+
+    expect(calls).to.equal(1);
+
+    await fetcher.callApi(context, async () => {
+      calls++;
+      throw httpError(429);
+    }).catch(e => expect(e.status).to.equal(429));
+
+    expect(calls).to.equal(2);
+    expect(fetcher.endpointStatus().map(endpoint => endpoint.failures)).to.deep.equal([0, 0, 0]);
+  });
+
+  it('should skip endpoints with an open circuit', async function () {
+    const fetcher = createFetcher();
+    const [first] = fetcher.endpointPool.endpoints;
+    const called = [];
+
+    const call = async (apiClient) => {
+      called.push(apiClient.basePath);
+      return { ok: true };
+    };
+
+    fetcher.endpointPool.recordFailure(first);
+    fetcher.endpointPool.recordFailure(first);
+    expect(fetcher.endpointStatus()[0].state).to.equal(CircuitBreaker.OPEN);
+
+    await fetcher.callApi(context, call);
+    await fetcher.callApi(context, call);
+
+    expect(called).to.deep.equal(['http://b:8080', 'http://b:8080']);
+  });
+
+  it('should keep sending requests to a single endpoint with an open circuit', async function () {
+    const fetcher = new RosettaSDK.Fetcher({
+      server: { host: 'single' },
+      circuitBreaker: { failureThreshold: 1 },
+    });
+
+    await fetcher.callApi(context, async () => {
+      throw transportError();
+    }).catch(() => {});
+    expect(fetcher.endpointStatus()[0].state).to.equal(CircuitBreaker.OPEN);
+
+    expect(await fetcher.callApi(context, async () => ({ ok: true }))).to.deep.equal({ ok: true });
+    expect(fetcher.endpointStatus()[0].state).to.equal(CircuitBreaker.CLOSED);
+  });
+
+  it('should prefer endpoints with a lower latency', async function () {
+    const fetcher = createFetcher();
+    const [first, second] = fetcher.endpointPool.endpoints;
+
+    fetcher.endpointPool.recordSuccess(first, 200);
+    fetcher.endpointPool.recordSuccess(second, 20);
+
+    expect(fetcher.endpointPool.candidates().map(endpoint => endpoint.apiClient.basePath)).to.deep.equal([
+      'http://b:8080',
+      'http://a:8080',
+      'http://c:8080',
+    ]);
+  });
+
+  it('should throw a retriable error if all circuits are open', async function () {
+    const fetcher = createFetcher({ circuitBreaker: { failureThreshold: 1, resetTimeout: 20 } });
+    let calls = 0;
+
+    const call = async () => {
+      calls++;
+      if (calls <= 3) throw transportError();
+      return { ok: true };
+    };
+
+    try {
+      await fetcher.callApi(context, call);
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e.message).to.equal('Request to /block failed: connect ECONNREFUSED');
+    }
+
+    try {
+      await fetcher.callApi(context, call);
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e.message).to.equal('No endpoint available for /block');
+      expect(e.retriable).to.equal(true);
+    }
+
+    // Half-open endpoints receive requests again once the reset timeout is over
+    await sleep(30);
+    expect(await fetcher.callApi(context, call)).to.deep.equal({ ok: true });
+    expect(fetcher.endpointStatus()[0].state).to.equal(CircuitBreaker.CLOSED);
+  });
+
+  it('should route requests to the fastest endpoint near the best tip', async function () {
+    const fetcher = createFetcher({ options: { maxTipLag: 2 } });
+
+    const status = await fetcher.endpointPool.checkHealth(async (apiClient) => {
+      switch (apiClient.basePath) {
+      case 'http://a:8080':
+        await sleep(40);
+        return { current_block_identifier: { index: 100 } };
+      case 'http://b:8080':
+        return { current_block_identifier: { index: 90 } };
+      default:
+        return { current_block_identifier: { index: 99 } };
+      }
+    });
+
+    expect(status.map(endpoint => endpoint.tipIndex)).to.deep.equal([100, 90, 99]);
+
+    const called = [];
+    await fetcher.callApi(context, async (apiClient) => {
+      called.push(apiClient.basePath);
+      throw transportError();
+    }).catch(() => {});
+
+    // b is behind the best tip and not used while a and c are available
+    expect(called).to.deep.equal(['http://c:8080', 'http://a:8080']);
+  });
+
+  it('should close the circuit of an endpoint that passes a health check', async function () {
+    const fetcher = createFetcher({ circuitBreaker: { failureThreshold: 1, resetTimeout: 60000 } });
+
+    await fetcher.callApi(context, async (apiClient) => {
+      if (apiClient.basePath === 'http://a:8080') throw transportError();
+      return {};
+    });
+    expect(fetcher.endpointStatus()[0].state).to.equal(CircuitBreaker.OPEN);
+
+    await fetcher.endpointPool.checkHealth(async () => ({ current_block_identifier: { index: 1 } }));
+    expect(fetcher.endpointStatus()[0].state).to.equal(CircuitBreaker.CLOSED);
+  });
+
+  it('should send retries to endpoints that are available again', async function () {
+    const fetcher = createFetcher({
+      circuitBreaker: { failureThreshold: 1, resetTimeout: 20 },
+    });
+
+    const called = [];
+
+    const response = await backOff(() => fetcher.callApi(context, async (apiClient) => {
+      called.push(apiClient.basePath);
+      if (called.length <= 3) throw httpError(502);
+      return { ok: true };
+    }), Object.assign({}, fetcher.backOffOptions, { startingDelay: 5 }));
+
+    expect(response).to.deep.equal({ ok: true });
+    expect(called).to.deep.equal(['http://a:8080', 'http://b:8080', 'http://c:8080', 'http://a:8080']);
+  });
+});
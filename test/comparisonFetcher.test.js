@@ -0,0 +1,284 @@
+/**
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// comparisonFetcher.test.js
+const { expect } = require('chai');
+const RosettaSDK = require('..');
+
+const { ComparisonFetcher } = RosettaSDK.Fetcher;
+
+const networkIdentifier = {
+  blockchain: 'blockchain',
+  network:    'network',
+};
+
+const currency = { symbol: 'DGB', decimals: 8 };
+
+const operation = (index, value, address = 'addr1') => ({
+  operation_identifier: { index },
+  type: 'TRANSFER',
+  status: 'SUCCESS',
+  account: { address },
+  amount: { value, currency },
+});
+
+const transaction = (hash, operations) => ({
+  transaction_identifier: { hash },
+  operations,
+});
+
+const block = transactions => ({
+  block_identifier: { index: 10, hash: 'block 10' },
+  parent_block_identifier: { index: 9, hash: 'block 9' },
+  timestamp: 1000,
+  transactions,
+});
+
+const createFetcher = (host, responses) => {
+  const fetcher = new RosettaSDK.Fetcher({ server: { host } });
+
+  const respond = name => async () => {
+    if (responses[name] instanceof Error) throw responses[name];
+    return responses[name];
+  };
+
+  fetcher.blockRetry = respond('block');
+  fetcher.accountBalanceRetry = respond('balance');
+  fetcher.networkStatusRetry = respond('status');
+
+  return fetcher;
+};
+
+describe('ComparisonFetcher', function () {
+  it('should require at least two fetchers', function () {
+    expect(() => new ComparisonFetcher({ fetchers: [createFetcher('a', {})] }))
+      .to.throw('At least two fetchers are required for a comparison');
+  });
+
+  it('should report consistent blocks regardless of order', async function () {
+    const comparison = new ComparisonFetcher({
+      fetchers: [
+        createFetcher('a', { block: block([
+          transaction('tx1', [operation(0, '-5'), operation(1, '5', 'addr2')]),
+          transaction('tx2', [operation(0, '7')]),
+        ]) }),
+        createFetcher('b', { block: block([
+          transaction('tx2', [operation(0, '7')]),
+          transaction('tx1', [operation(1, '5', 'addr2'), operation(0, '-5')]),
+        ]) }),
+      ],
+    });
+
+    const result = await comparison.block(networkIdentifier, { index: 10 });
+
+    expect(result.consistent).to.equal(true);
+    expect(result.diffs).to.deep.equal([]);
+    expect(result.results.map(r => r.endpoint)).to.deep.equal(['http://a:8000', 'http://b:8000']);
+    expect(result.results[1].response.transactions.map(tx => tx.transaction_identifier.hash))
+      .to.deep.equal(['tx1', 'tx2']);
+  });
+
+  it('should diff transactions and operations of blocks', async function () {
+    const comparison = new ComparisonFetcher({
+      fetchers: [
+        createFetcher('a', { block: block([
+          transaction('tx1', [operation(0, '-5'), operation(1, '5', 'addr2')]),
+          transaction('tx2', [operation(0, '7')]),
+        ]) }),
+        createFetcher('b', { block: Object.assign(block([
+          transaction('tx1', [operation(0, '-6'), operation(2, '5', 'addr2')]),
+          transaction('tx3', [operation(0, '7')]),
+        ]), { timestamp: 2000 }) }),
+      ],
+    });
+
+    const result = await comparison.block(networkIdentifier, { index: 10 });
+
+    expect(result.consistent).to.equal(false);
+    expect(result.diffs.map(({ type, endpoint, path, transaction, operation }) =>
+      ({ type, endpoint, path, transaction, operation }))).to.deep.equal([
+      { type: 'different_field', endpoint: 'http://b:8000', path: 'timestamp',
+        transaction: undefined, operation: undefined },
+      { type: 'different_operation', endpoint: 'http://b:8000', path: undefined,
+        transaction: 'tx1', operation: 0 },
+      { type: 'missing_operation', endpoint: 'http://b:8000', path: undefined,
+        transaction: 'tx1', operation: 1 },
+      { type: 'extra_operation', endpoint: 'http://b:8000', path: undefined,
+        transaction: 'tx1', operation: 2 },
+      { type: 'missing_transaction', endpoint: 'http://b:8000', path: undefined,
+        transaction: 'tx2', operation: undefined },
+      { type: 'extra_transaction', endpoint: 'http://b:8000', path: undefined,
+        transaction: 'tx3', operation: undefined },
+    ]);
+
+    expect(result.diffs[1].expected.amount.value).to.equal('-5');
+    expect(result.diffs[1].actual.amount.value).to.equal('-6');
+  });
+
+  it('should diff balances per currency', async function () {
+    const otherCurrency = { symbol: 'ETH', decimals: 18 };
+    const blockIdentifier = { index: 10, hash: 'block 10' };
+
+    const comparison = new ComparisonFetcher({
+      fetchers: [
+        createFetcher('a', { balance: {
+          block: blockIdentifier,
+          balances: [{ value: '10', currency }, { value: '1', currency: otherCurrency }],
+        } }),
+        createFetcher('b', { balance: {
+          block: blockIdentifier,
+          balances: [{ value: '10', currency }],
+        } }),
+        createFetcher('c', { balance: {
+          block: blockIdentifier,
+          balances: [{ value: '2', currency: otherCurrency }, { value: '11', currency }],
+        } }),
+      ],
+    });
+
+    const result = await comparison.accountBalance(networkIdentifier, { address: 'addr1' }, blockIdentifier);
+
+    expect(result.consistent).to.equal(false);
+    expect(result.diffs.map(({ type, endpoint, currency }) => ({ type, endpoint, currency }))).to.deep.equal([
+      { type: 'missing_balance', endpoint: 'http://b:8000', currency: 'ETH:18' },
+      { type: 'different_balance', endpoint: 'http://c:8000', currency: 'DGB:8' },
+      { type: 'different_balance', endpoint: 'http://c:8000', currency: 'ETH:18' },
+    ]);
+  });
+
+  it('should diff the network status and report failed requests', async function () {
+    const status = tip => ({
+      current_block_identifier: { index: tip, hash: `block ${tip}` },
+      current_block_timestamp: 1000,
+      genesis_block_identifier: { index: 0, hash: 'block 0' },
+      peers: [{ peer_id: 'p2' }, { peer_id: 'p1' }],
+    });
+
+    const comparison = new ComparisonFetcher({
+      fetchers: [
+        createFetcher('a', { status: new Error('connect ECONNREFUSED') }),
+        createFetcher('b', { status: status(10) }),
+        createFetcher('c', { status: Object.assign(status(11), { peers: [{ peer_id: 'p1' }, { peer_id: 'p2' }] }) }),
+      ],
+    });
+
+    const result = await comparison.networkStatus(networkIdentifier);
+
+    expect(result.consistent).to.equal(false);
+    expect(result.diffs).to.deep.equal([
+      { type: 'request_failed', index: 0, endpoint: 'http://a:8000', error: 'connect ECONNREFUSED' },
+      {
+        type: 'different_field',
+        index: 2,
+        endpoint: 'http://c:8000',
+        path: 'current_block_identifier',
+        expected: { index: 10, hash: 'block 10' },
+        actual: { index: 11, hash: 'block 11' },
+      },
+    ]);
+  });
+
+  it('should report empty responses as a difference', async function () {
+    const comparison = new ComparisonFetcher({
+      fetchers: [
+        createFetcher('a', { block: null }),
+        createFetcher('b', { block: block([]) }),
+        createFetcher('c', { block: null }),
+      ],
+    });
+
+    const result = await comparison.block(networkIdentifier, { index: 10 });
+
+    expect(result.consistent).to.equal(false);
+    expect(result.diffs).to.deep.equal([{
+      type: 'different_response',
+      index: 1,
+      endpoint: 'http://b:8000',
+      expected: null,
+      actual: block([]),
+    }]);
+
+    const reversed = new ComparisonFetcher({
+      fetchers: [createFetcher('b', { balance: { balances: [] } }), createFetcher('a', { balance: undefined })],
+    });
+
+    const { diffs } = await reversed.accountBalance(networkIdentifier, { address: 'addr1' });
+    expect(diffs.map(({ type, index }) => ({ type, index }))).to.deep.equal([{ type: 'different_response', index: 1 }]);
+  });
+
+  it('should diff transactions with the same hash', async function () {
+    const comparison = new ComparisonFetcher({
+      fetchers: [
+        createFetcher('a', { block: block([
+          transaction('tx1', [operation(0, '-5')]),
+          transaction('tx1', [operation(0, '7')]),
+          transaction('tx2', [operation(0, '1')]),
+        ]) }),
+        createFetcher('b', { block: block([
+          transaction('tx1', [operation(0, '7')]),
+          transaction('tx1', [operation(0, '-6')]),
+          transaction('tx2', [operation(0, '1')]),
+          transaction('tx2', [operation(0, '1')]),
+        ]) }),
+        createFetcher('c', { block: block([
+          transaction('tx2', [operation(0, '1')]),
+          transaction('tx1', [operation(0, '7')]),
+          transaction('tx1', [operation(0, '-5')]),
+        ]) }),
+      ],
+    });
+
+    const result = await comparison.block(networkIdentifier, { index: 10 });
+
+    expect(result.diffs.map(({ type, index, transaction, expected, actual }) =>
+      ({ type, index, transaction, value: (expected || actual).operations[0].amount.value }))).to.deep.equal([
+      { type: 'missing_transaction', index: 1, transaction: 'tx1', value: '-5' },
+      { type: 'extra_transaction', index: 1, transaction: 'tx1', value: '-6' },
+      { type: 'extra_transaction', index: 1, transaction: 'tx2', value: '1' },
+    ]);
+  });
+
+  it('should tell nodes with the same endpoint apart', async function () {
+    const status = tip => ({
+      current_block_identifier: { index: tip, hash: `block ${tip}` },
+      current_block_timestamp: 1000,
+      genesis_block_identifier: { index: 0, hash: 'block 0' },
+    });
+
+    const comparison = new ComparisonFetcher({
+      fetchers: [
+        createFetcher('a', { status: status(10) }),
+        createFetcher('a', { status: status(11) }),
+      ],
+    });
+
+    const result = await comparison.networkStatus(networkIdentifier);
+
+    expect(result.results.map(({ index, endpoint, response }) =>
+      [index, endpoint, response.current_block_identifier.index])).to.deep.equal([
+      [0, 'http://a:8000', 10],
+      [1, 'http://a:8000', 11],
+    ]);
+    expect(result.diffs.map(({ type, index }) => ({ type, index }))).to.deep.equal([
+      { type: 'different_field', index: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// connectionPool.test.js
+const http = require('http');
+const zlib = require('zlib');
+const superagent = require('superagent');
+const { expect } = require('chai');
+const RosettaSDK = require('..');
+const decompress = require('../lib/fetcher/decompress');
+
+const { ConnectionPool } = RosettaSDK.Fetcher;
+
+const body = { block: { block_identifier: { index: 1, hash: 'block 1' } } };
+
+/**
+ * Server that compresses its JSON response with the encoding of the `encoding` query parameter.
+ */
+const launchServer = () => new Promise((fulfill) => {
+  const server = http.createServer((req, res) => {
+    const encoding = new URL(req.url, 'http://localhost').searchParams.get('encoding');
+    const json = Buffer.from(JSON.stringify(Object.assign({
+      accept_encoding: req.headers['accept-encoding'],
+    }, body)));
+
+    const headers = { 'Content-Type': 'application/json' };
+    let payload = json;
+
+    if (encoding === 'gzip') {
+      payload = zlib.gzipSync(json);
+      headers['Content-Encoding'] = 'gzip';
+    } else if (encoding === 'br') {
+      payload = zlib.brotliCompressSync(json);
+      headers['Content-Encoding'] = 'br';
+    } else if (encoding === 'invalid') {
+      payload = Buffer.from('not json');
+    }
+
+    res.writeHead(200, headers);
+    res.end(payload);
+  });
+
+  server.listen(0, () => fulfill(server));
+});
+
+describe('Fetcher Connections', function () {
+  let server;
+  let url;
+
+  before(async function () {
+    server = await launchServer();
+    url = `http://localhost:${server.address().port}/block`;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  it('should decode brotli and gzip responses', async function () {
+    for (const encoding of ['br', 'gzip', 'identity']) {
+      const response = await superagent.get(`${url}?encoding=${encoding}`)
+        .set('Accept-Encoding', decompress.ACCEPT_ENCODING)
+        .use(decompress);
+
+      expect(response.body.block).to.deep.equal(body.block);
+      expect(response.body.accept_encoding).to.equal('gzip, br');
+      expect(JSON.parse(response.text).block).to.deep.equal(body.block);
+    }
+  });
+
+  it('should fail on invalid JSON like the default parser', async function () {
+    try {
+      await superagent.get(`${url}?encoding=invalid`).use(decompress);
+      throw new Error('should have thrown');
+    } catch (e) {
+      expect(e).to.be.instanceOf(SyntaxError);
+      expect(e.rawResponse).to.equal('not json');
+    }
+  });
+
+  it('should reuse sockets of the pool', async function () {
+    const pool = new ConnectionPool();
+
+    for (let i = 0; i < 3; i++) {
+      await superagent.get(url).agent(pool.agent).use(decompress);
+    }
+
+    const metrics = pool.metrics();
+    expect(metrics.created).to.equal(1);
+    expect(metrics.reused).to.equal(2);
+    expect(metrics.sockets).to.equal(0);
+    expect(metrics.freeSockets).to.equal(1);
+    expect(metrics.pending).to.equal(0);
+
+    pool.destroy();
+  });
+
+  it('should configure a pooled client with compression by default', function () {
+    const fetcher = new RosettaSDK.Fetcher({
+      server: { protocol: 'https', host: 'node', port: 443, defaultHeaders: { 'X-Api-Key': 'key' } },
+    });
+
+    expect(fetcher.apiClient.defaultHeaders).to.deep.equal({
+      'X-Api-Key': 'key',
+      'Accept-Encoding': 'gzip, br',
+    });
+    expect(fetcher.apiClient.plugins).to.deep.equal([decompress]);
+    expect(fetcher.apiClient.requestAgent.keepAlive).to.equal(true);
+    expect(fetcher.apiClient.requestAgent.protocol).to.equal('https:');
+
+    expect(fetcher.connectionPoolMetrics()).to.deep.equal([{
+      basePath: 'https://node:443',
+      sockets: 0,
+      freeSockets: 0,
+      pending: 0,
+      created: 0,
+      reused: 0,
+    }]);
+
+    fetcher.close();
+  });
+
+  it('should not pool or compress if disabled', function () {
+    const requestAgent = new http.Agent();
+    const fetcher = new RosettaSDK.Fetcher({
+      endpoints: [
+        { host: 'first', requestAgent },
+        { host: 'second', keepAlive: false, compression: false },
+        { host: 'third', defaultHeaders: { 'accept-encoding': 'gzip' } },
+      ],
+    });
+
+    const [first, second, third] = fetcher.endpointPool.endpoints.map(endpoint => endpoint.apiClient);
+
+    expect(first.requestAgent).to.equal(requestAgent);
+    expect(second.requestAgent).to.equal(undefined);
+    expect(second.defaultHeaders).to.deep.equal({});
+    expect(third.defaultHeaders).to.deep.equal({ 'accept-encoding': 'gzip' });
+    expect(fetcher.connectionPoolMetrics().map(metrics => metrics.basePath)).to.deep.equal(['http://third:8000']);
+
+    fetcher.close();
+  });
+});
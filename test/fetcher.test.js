@@ -463,7 +463,7 @@ async function createServer(params) {
     }
 
     const response = new Rosetta.Client.ConstructionPreprocessResponse.constructFromObject({
-      options: [],
+      options: {},
     });
     res.json((response));
   });
@@ -635,6 +635,507 @@ describe('Fetcher', function () {
     });
   });
 
+  describe('Test Multiple Networks', function () {
+    const testNetwork = {
+      blockchain: "blockchain",
+      network:    "testnet",
+    };
+
+    const testNetworkStatus = Object.assign({}, basicNetworkStatus, {
+      genesis_block_identifier: {
+        index: 0,
+        hash:  "testnet block 0",
+      },
+    });
+
+    const testNetworkOptions = Object.assign({}, basicNetworkOptions, {
+      allow: Object.assign({}, basicNetworkOptions.allow, {
+        operation_types: ["transfer", "reward"],
+      }),
+    });
+
+    // Serves two networks without a server.
+    const createFetcher = () => {
+      const fetcher = new Rosetta.Fetcher();
+      const key = network => network.network;
+
+      const statuses = { network: basicNetworkStatus, testnet: testNetworkStatus };
+      const options = { network: basicNetworkOptions, testnet: testNetworkOptions };
+
+      fetcher.networkListRetry = async () => ({ network_identifiers: [basicNetwork, testNetwork] });
+      fetcher.networkStatusRetry = async network => statuses[key(network)];
+      fetcher.networkOptionsRetry = async network => options[key(network)];
+
+      return fetcher;
+    };
+
+    it('should initialize an asserter per network', async function () {
+      const fetcher = createFetcher();
+      const { primaryNetwork, networkStatus } = await fetcher.initializeAsserter();
+
+      expect(primaryNetwork).to.deep.equal(basicNetwork);
+      expect(networkStatus).to.deep.equal(basicNetworkStatus);
+
+      const mainAsserter = fetcher.getAsserter(basicNetwork);
+      const testAsserter = fetcher.getAsserter(testNetwork);
+
+      expect(mainAsserter).to.equal(fetcher.asserter);
+      expect(testAsserter).to.not.equal(mainAsserter);
+      expect(mainAsserter.genesisBlockIdentifier.hash).to.equal('block 0');
+      expect(testAsserter.genesisBlockIdentifier.hash).to.equal('testnet block 0');
+      expect(testAsserter.operationTypes).to.deep.equal(['transfer', 'reward']);
+    });
+
+    it('should describe the networks', async function () {
+      const fetcher = createFetcher();
+      expect(fetcher.networks()).to.deep.equal([]);
+
+      await fetcher.initializeAsserter();
+
+      expect(fetcher.networks()).to.deep.equal([
+        {
+          networkIdentifier: basicNetwork,
+          networkStatus: basicNetworkStatus,
+          networkOptions: basicNetworkOptions,
+        },
+        {
+          networkIdentifier: testNetwork,
+          networkStatus: testNetworkStatus,
+          networkOptions: testNetworkOptions,
+        },
+      ]);
+    });
+
+    it('should fall back to the primary asserter', async function () {
+      const fetcher = createFetcher();
+      await fetcher.initializeAsserter();
+
+      const unknownNetwork = { blockchain: "blockchain", network: "unknown" };
+      expect(fetcher.getAsserter(unknownNetwork)).to.equal(fetcher.asserter);
+
+      const error = await fetcher.initializeAsserter().catch(e => e);
+      expect(error.message).to.equal('Asserter already initialized');
+    });
+  });
+
+  describe('Test Response Validation', function () {
+    const createFetcher = (options = {}) => new Rosetta.Fetcher({
+      options,
+      asserter: RosettaSDK.Asserter.NewClientWithResponses(
+        basicNetwork,
+        basicNetworkStatus,
+        basicNetworkOptions,
+      ),
+    });
+
+    const invalidBlock = {
+      block_identifier: basicBlock,
+      parent_block_identifier: basicBlock,
+      timestamp: 1582833600000,
+    };
+
+    const context = {
+      endpoint: '/block',
+      request: { network_identifier: basicNetwork, block_identifier: basicBlock },
+      networkIdentifier: basicNetwork,
+    };
+
+    it('should wrap the AsserterError', function () {
+      const fetcher = createFetcher();
+      let thrown = null;
+
+      try {
+        fetcher.assertResponse(context, asserter => asserter.Block(invalidBlock));
+      } catch (e) {
+        thrown = e;
+      }
+
+      expect(thrown.name).to.equal('FetcherError');
+      expect(thrown.message).to.equal(
+        'Invalid response from /block: BlockIdentifier.hash == ParentBlockIdentifier.hash'
+      );
+      expect(thrown.endpoint).to.equal('/block');
+      expect(thrown.request).to.deep.equal(context.request);
+      expect(thrown.cause.name).to.equal('AsserterError');
+
+      // Invalid responses are not retried
+      expect(fetcher.backOffOptions.retry(thrown)).to.equal(false);
+    });
+
+    it('should pass valid responses', function () {
+      const fetcher = createFetcher();
+      fetcher.assertResponse(context, asserter => asserter.Block(basicFullBlock));
+    });
+
+    it('should skip the validation if disabled', function () {
+      const fetcher = createFetcher();
+      fetcher.assertResponse({ ...context, validate: false }, asserter => asserter.Block(invalidBlock));
+
+      const disabled = createFetcher({ validate: false });
+      expect(disabled.options.validate).to.equal(false);
+    });
+
+    it('should skip the validation without an asserter', function () {
+      const fetcher = new Rosetta.Fetcher();
+      fetcher.assertResponse(context, () => {
+        throw new Error('should not be called');
+      });
+    });
+
+    it('should not wrap other errors', function () {
+      const fetcher = createFetcher();
+      const error = new TypeError('bug');
+      let thrown = null;
+
+      try {
+        fetcher.assertResponse(context, () => {
+          throw error;
+        });
+      } catch (e) {
+        thrown = e;
+      }
+
+      expect(thrown).to.equal(error);
+    });
+
+    it('should validate construction preprocess responses', async function () {
+      const fetcher = createFetcher();
+      const requiredPublicKeys = [basicAccount];
+      let response = { options: { nonce: 1 }, required_public_keys: requiredPublicKeys };
+      fetcher.callApi = async () => response;
+
+      expect(await fetcher.constructionPreprocess(basicNetwork, [], {})).to.deep.equal({ nonce: 1 });
+
+      for (const [invalid, message] of [
+        [null, 'ConstructionPreprocessResponse cannot be null'],
+        [{ options: [] }, 'ConstructionPreprocessResponse.options must be an object'],
+        [{ required_public_keys: [{}] }, 'Account.address is missing'],
+      ]) {
+        response = invalid;
+        let thrown = null;
+
+        try {
+          await fetcher.constructionPreprocess(basicNetwork, [], {});
+        } catch (e) {
+          thrown = e;
+        }
+
+        expect(thrown.name).to.equal('FetcherError');
+        expect(thrown.message).to.equal(`Invalid response from /construction/preprocess: ${message}`);
+      }
+
+      response = { options: [] };
+      expect(await fetcher.constructionPreprocess(basicNetwork, [], {}, { validate: false })).to.deep.equal([]);
+    });
+  });
+
+  describe('Test Error Decoding', function () {
+    const context = {
+      endpoint: '/account/balance',
+      request: { network_identifier: basicNetwork, account_identifier: basicAccount },
+      networkIdentifier: basicNetwork,
+    };
+
+    // Mimics the errors thrown by the client
+    const httpError = (status, body) => Object.assign(new Error(`HTTP ${status}`), {
+      status,
+      response: { body },
+    });
+
+    const createFetcher = () => new Rosetta.Fetcher({
+      retryOptions: {
+        startingDelay: 1,
+      },
+      asserter: RosettaSDK.Asserter.NewClientWithResponses(
+        basicNetwork,
+        basicNetworkStatus,
+        Object.assign({}, basicNetworkOptions, {
+          allow: Object.assign({}, basicNetworkOptions.allow, {
+            errors: [
+              { code: 12, message: 'Node is syncing', retriable: true },
+              { code: 13, message: 'Account not found', retriable: false },
+            ],
+          }),
+        }),
+      ),
+    });
+
+    it('should decode Rosetta errors', function () {
+      const fetcher = createFetcher();
+      const error = fetcher.decodeError(context, httpError(500, {
+        code: 13,
+        message: 'Account not found',
+        retriable: false,
+        details: { address: 'address' },
+      }));
+
+      expect(error.name).to.equal('FetcherError');
+      expect(error.message).to.equal('Request to /account/balance failed: Account not found');
+      expect(error.code).to.equal(13);
+      expect(error.retriable).to.equal(false);
+      expect(error.details).to.deep.equal({ address: 'address' });
+      expect(error.status).to.equal(500);
+      expect(error.endpoint).to.equal('/account/balance');
+      expect(error.request).to.deep.equal(context.request);
+    });
+
+    it('should retry Rosetta errors marked as retriable', function () {
+      const fetcher = createFetcher();
+
+      const flagged = fetcher.decodeError(context, httpError(500, {
+        code: 99,
+        message: 'Try again',
+        retriable: true,
+      }));
+
+      // Not flagged in the response, but in /network/options
+      const known = fetcher.decodeError(context, httpError(500, {
+        code: 12,
+        message: 'Node is syncing',
+      }));
+
+      expect(flagged.retriable).to.equal(true);
+      expect(known.retriable).to.equal(true);
+    });
+
+    it('should retry transport failures and 5xx responses', function () {
+      const fetcher = createFetcher();
+      const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+      expect(fetcher.decodeError(context, refused).retriable).to.equal(true);
+      expect(fetcher.decodeError(context, httpError(503, {})).retriable).to.equal(true);
+      expect(fetcher.decodeError(context, httpError(404, {})).retriable).to.equal(false);
+    });
+
+    it('should surface non-retriable errors immediately', async function () {
+      const fetcher = createFetcher();
+      let calls = 0;
+
+      fetcher.accountBalance = async () => {
+        calls++;
+        throw fetcher.decodeError(context, httpError(500, { code: 13, message: 'Account not found' }));
+      };
+
+      const error = await fetcher.accountBalanceRetry(basicNetwork, basicAccount, null).catch(e => e);
+
+      expect(error.code).to.equal(13);
+      expect(calls).to.equal(1);
+    });
+
+    it('should retry retriable errors', async function () {
+      const fetcher = createFetcher();
+      let calls = 0;
+
+      fetcher.accountBalance = async () => {
+        if (++calls < 3) {
+          throw fetcher.decodeError(context, httpError(500, { code: 12, message: 'Node is syncing' }));
+        }
+
+        return { balances: basicAmounts };
+      };
+
+      const response = await fetcher.accountBalanceRetry(basicNetwork, basicAccount, null);
+
+      expect(response.balances).to.deep.equal(basicAmounts);
+      expect(calls).to.equal(3);
+    });
+
+    it('should surface and retry network options errors', async function () {
+      const fetcher = createFetcher();
+      let calls = 0;
+
+      fetcher.callApi = async ({ endpoint }) => {
+        if (++calls < 3) {
+          throw fetcher.decodeError({ ...context, endpoint }, httpError(500, { code: 12, message: 'Node is syncing' }));
+        }
+
+        return basicNetworkOptions;
+      };
+
+      const error = await fetcher.networkOptions(basicNetwork).catch(e => e);
+      expect(error.name).to.equal('FetcherError');
+      expect(error.endpoint).to.equal('/network/options');
+
+      calls = 0;
+      const response = await fetcher.networkOptionsRetry(basicNetwork);
+
+      expect(response).to.deep.equal(basicNetworkOptions);
+      expect(calls).to.equal(3);
+    });
+
+    it('should wrap client errors in callApi', async function () {
+      const fetcher = createFetcher();
+
+      const error = await fetcher.callApi(context, async () => {
+        throw httpError(500, { code: 13, message: 'Account not found' });
+      }).catch(e => e);
+
+      expect(error.name).to.equal('FetcherError');
+      expect(error.code).to.equal(13);
+    });
+  });
+
+  describe('Test Other Transactions', function () {
+    const otherTransactions = [...Array(7)].map((_, i) => ({ hash: `transaction ${i}` }));
+
+    /**
+     * Fetcher that serves basicFullBlockWithTx with otherTransactions through a stubbed callApi.
+     * `respond(hash, attempt)` returns the transaction, throws, or returns undefined for the default.
+     */
+    const createFetcher = (respond = () => undefined, options = {}) => {
+      const fetcher = new Rosetta.Fetcher({
+        retryOptions: { numOfAttempts: 3, startingDelay: 1 },
+        options: Object.assign({ transactionBatchSize: 3, promisePoolSize: 2 }, options),
+        asserter: RosettaSDK.Asserter.NewClientWithResponses(
+          basicNetwork,
+          basicNetworkStatus,
+          basicNetworkOptions,
+        ),
+      });
+
+      fetcher.requests = [];
+      const attempts = {};
+
+      fetcher.callApi = async ({ endpoint, request }) => {
+        fetcher.requests.push(endpoint === '/block' ? endpoint : request.transaction_identifier.hash);
+
+        if (endpoint === '/block') {
+          return { block: c(basicFullBlockWithTx), other_transactions: otherTransactions };
+        }
+
+        expect(request.block_identifier).to.deep.equal(basicBlockWithTx);
+
+        const hash = request.transaction_identifier.hash;
+        attempts[hash] = (attempts[hash] || 0) + 1;
+
+        const transaction = await respond(hash, attempts[hash]);
+        return {
+          transaction: transaction || { transaction_identifier: { hash }, operations: [] },
+        };
+      };
+
+      return fetcher;
+    };
+
+    it('should fetch other transactions in batches and keep their order', async function () {
+      const fetcher = createFetcher(async (hash) => {
+        // Later transactions of a batch finish first
+        await new Promise(fulfill => setTimeout(fulfill, 10 - Number(hash.split(' ')[1])));
+      });
+
+      const block = await fetcher.block(basicNetwork, { index: 2 });
+
+      expect(block.transactions.map(tx => tx.transaction_identifier.hash))
+        .to.deep.equal(otherTransactions.map(tx => tx.hash));
+
+      // A batch is only started once the previous batch is done
+      const hashes = fetcher.requests.slice(1);
+      expect(hashes.slice(0, 3).sort()).to.deep.equal(['transaction 0', 'transaction 1', 'transaction 2']);
+      expect(hashes.slice(3, 6).sort()).to.deep.equal(['transaction 3', 'transaction 4', 'transaction 5']);
+    });
+
+    it('should retry failed transactions', async function () {
+      const fetcher = createFetcher((hash, attempt) => {
+        if (hash === 'transaction 4' && attempt < 3) {
+          throw new Rosetta.Errors.FetcherError('Request to /block/transaction failed', { retriable: true });
+        }
+      });
+
+      const block = await fetcher.block(basicNetwork, { index: 2 });
+
+      expect(block.transactions).to.have.lengthOf(7);
+      expect(fetcher.requests.filter(hash => hash === 'transaction 4')).to.have.lengthOf(3);
+    });
+
+    it('should not retry the block once its transactions are out of retries', async function () {
+      const fetcher = createFetcher((hash) => {
+        if (hash === 'transaction 4') {
+          throw new Rosetta.Errors.FetcherError('Request to /block/transaction failed', { retriable: true });
+        }
+      });
+
+      const error = await fetcher.blockRetry(basicNetwork, { index: 2 }).catch(e => e);
+
+      expect(error.message).to.equal('Unable to fetch 1 of 7 transactions of block 2');
+      expect(error.retriable).to.equal(false);
+      expect(fetcher.requests.filter(hash => hash === '/block')).to.have.lengthOf(1);
+      expect(fetcher.requests.filter(hash => hash === 'transaction 4')).to.have.lengthOf(3);
+    });
+
+    it('should throw on an empty block', async function () {
+      for (const response of [null, {}, { block: null, other_transactions: otherTransactions }]) {
+        const fetcher = createFetcher();
+        fetcher.callApi = async () => response;
+
+        const error = await fetcher.block(basicNetwork, { index: 2 }, { validate: false }).catch(e => e);
+
+        expect(error.name).to.equal('FetcherError');
+        expect(error.message).to.equal('Invalid response from /block: the block is empty');
+        expect(error.endpoint).to.equal('/block');
+        expect(error.retriable).to.equal(false);
+      }
+    });
+
+    it('should report every transaction that could not be fetched', async function () {
+      const fetcher = createFetcher((hash) => {
+        if (hash === 'transaction 1' || hash === 'transaction 5') {
+          throw new Rosetta.Errors.FetcherError('Request to /block/transaction failed: Not found', {
+            retriable: false,
+          });
+        }
+      });
+
+      let thrown = null;
+      try {
+        await fetcher.block(basicNetwork, { index: 2 });
+      } catch (e) {
+        thrown = e;
+      }
+
+      expect(thrown.name).to.equal('FetcherError');
+      expect(thrown.message).to.equal('Unable to fetch 2 of 7 transactions of block 2');
+      expect(thrown.endpoint).to.equal('/block/transaction');
+      expect(thrown.retriable).to.equal(false);
+      expect(thrown.details).to.deep.equal({
+        block_identifier: basicBlockWithTx,
+        failed_transactions: [
+          { hash: 'transaction 1', error: 'Request to /block/transaction failed: Not found' },
+          { hash: 'transaction 5', error: 'Request to /block/transaction failed: Not found' },
+        ],
+      });
+
+      // All batches are fetched, failed transactions are not retried
+      expect(fetcher.requests).to.have.lengthOf(8);
+    });
+
+    it('should validate each transaction', async function () {
+      const fetcher = createFetcher((hash) => {
+        if (hash === 'transaction 3') {
+          return { transaction_identifier: { hash: 'transaction 9' }, operations: [] };
+        }
+
+        if (hash === 'transaction 6') {
+          return { transaction_identifier: { hash }, operations: null };
+        }
+      });
+
+      let thrown = null;
+      try {
+        await fetcher.block(basicNetwork, { index: 2 });
+      } catch (e) {
+        thrown = e;
+      }
+
+      expect(thrown.message).to.equal('Unable to fetch 2 of 7 transactions of block 2');
+      expect(thrown.details.failed_transactions.map(({ hash }) => hash))
+        .to.deep.equal(['transaction 3', 'transaction 6']);
+      expect(thrown.details.failed_transactions[0].error).to.equal(
+        'Invalid response from /block/transaction: Transaction transaction 9 ' +
+        'does not match the requested transaction transaction 3'
+      );
+    });
+  });
+
   describe('Test AccountBalanceRetry', function () {
     this.timeout(5000);
 
@@ -1311,7 +1812,7 @@ describe('Fetcher', function () {
       const result = await fetcher.constructionPreprocess(basicNetwork, [], {});
 
       expect(thrown).to.equal(false);
-      expect(result).to.deep.equal([]);
+      expect(result).to.deep.equal({});
     });
   });
 });
@@ -105,7 +105,11 @@ const defaultStatus = [ /* OperationStatus */
   },
 ];
 
-const c = (arg) => arg == undefined ? arg : JSON.parse(JSON.stringify(arg));
+// BigInt amounts are not JSON serializable, so they are kept as `<value>n` strings while cloning.
+const c = (arg) => arg == undefined ? arg : JSON.parse(
+  JSON.stringify(arg, (key, value) => typeof value === 'bigint' ? `${value}n` : value),
+  (key, value) => typeof value === 'string' && /^-?[0-9]+n$/.test(value) ? BigInt(value.slice(0, -1)) : value,
+);
 
 const createTransaction = (hash, address, value, currency) => {
   return { /* Transaction */
@@ -344,6 +348,50 @@ describe('Parser', function () {
       const changes = parser.balanceChanges(block, isOrphan);
       expect(changes).to.deep.equal(expectedChanges);
     });
+
+    it('should not lose precision for amounts above 2^53', async function () {
+      const asserter = createAsserter(defaultStatus);
+
+      const parser = new RosettaSDK.Parser({
+        asserter,
+      });
+
+      const block = {
+        block_identifier: {
+          hash: '1',
+          index: 1,
+        },
+
+        parent_block_identifier: {
+          hash: '0',
+          index: 0,
+        },
+
+        transactions: [
+          createTransaction('tx1', 'addr1', '1000000000000000000001', currency),
+          createTransaction('tx2', 'addr1', '9007199254740993', currency),
+        ],
+
+        timestamp: asserter.minUnixEpoch + 1,
+      };
+
+      const expectedChanges = [
+        {
+          account_identifier: { address: 'addr1' },
+          currency: currency,
+          block_identifier: {
+            hash: '1',
+            index: 1,
+          },
+          difference: '1000009007199254740994',
+        },
+      ];
+
+      const isOrphan = false;
+
+      const changes = parser.balanceChanges(block, isOrphan);
+      expect(changes).to.deep.equal(expectedChanges);
+    });
   });
 
   describe('Test Sort Operations', function () {
@@ -681,7 +729,7 @@ describe('Parser', function () {
             amount: { value: '-100' },
           }],
 
-          amounts: [-100]
+          amounts: [-100n]
         },
 
         {
@@ -690,7 +738,7 @@ describe('Parser', function () {
             amount: { value: '100' },
           }],
 
-          amounts: [100],
+          amounts: [100n],
         }
       ];
 
@@ -798,7 +846,7 @@ describe('Parser', function () {
             type: 'input',
           }],
 
-          amounts: [-100]
+          amounts: [-100n]
         },
 
         {
@@ -808,7 +856,7 @@ describe('Parser', function () {
             type: 'output',
           }],
 
-          amounts: [100],
+          amounts: [100n],
         }
       ];
 
@@ -1051,7 +1099,7 @@ describe('Parser', function () {
             },
           }],
 
-          amounts: [-100],
+          amounts: [-100n],
         },
 
         {
@@ -1066,7 +1114,7 @@ describe('Parser', function () {
             },
           }],
 
-          amounts: [100],
+          amounts: [100n],
         },
       ];
 
@@ -1307,7 +1355,7 @@ describe('Parser', function () {
             },
           }],
 
-          amounts: [-100],
+          amounts: [-100n],
         },
 
         {
@@ -1318,7 +1366,7 @@ describe('Parser', function () {
             },
           }],
 
-          amounts: [100],
+          amounts: [100n],
         },
       ];
 
@@ -1460,7 +1508,7 @@ describe('Parser', function () {
             },
           }],
 
-          amounts: [100],
+          amounts: [100n],
         },
 
         {
@@ -1911,7 +1959,7 @@ describe('Parser', function () {
             },
           }],
 
-          amounts: [200, 100],
+          amounts: [200n, 100n],
         },
       ];
 
@@ -2212,7 +2260,7 @@ describe('Parser', function () {
             type: 'output',
           }],
 
-          amounts: [200, 200]
+          amounts: [200n, 200n]
         },
 
         {
@@ -2227,7 +2275,7 @@ describe('Parser', function () {
             type: 'input',
           }],
 
-          amounts: [-200, -200]
+          amounts: [-200n, -200n]
         },
 
         {
@@ -2237,7 +2285,7 @@ describe('Parser', function () {
             type: 'runoff',
           }],
 
-          amounts: [-1000]
+          amounts: [-1000n]
         },
       ];
 
@@ -2308,7 +2356,7 @@ describe('Parser', function () {
             amount: { value: '100' },
           }],
 
-          amounts: [200, 100]
+          amounts: [200n, 100n]
         },
 
         null, // optional not met, must not throw
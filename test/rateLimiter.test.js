@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// rateLimiter.test.js
+const { expect } = require('chai');
+const RosettaSDK = require('..');
+
+const { RateLimiter } = RosettaSDK.Fetcher;
+const { FetcherError } = RosettaSDK.Errors;
+
+const networkIdentifier = {
+  blockchain: 'blockchain',
+  network:    'network',
+};
+
+describe('RateLimiter', function () {
+  it('should not limit requests without a rate', async function () {
+    const limiter = new RateLimiter();
+
+    await Promise.all([...Array(100)].map(() => limiter.acquire()));
+
+    expect(limiter.metrics()).to.deep.equal({
+      requests: 100,
+      queued: 0,
+      throttled: 0,
+      rateLimited: 0,
+    });
+  });
+
+  it('should allow a burst and then limit to the rate', async function () {
+    const limiter = new RateLimiter({ rate: 100, burst: 2 });
+    const startedAt = Date.now();
+
+    const pending = [...Array(5)].map(() => limiter.acquire());
+    expect(limiter.metrics().queued).to.equal(3);
+
+    await Promise.all(pending);
+
+    // 3 requests had to wait for a token, 10ms each
+    expect(Date.now() - startedAt).to.be.at.least(25);
+    expect(limiter.metrics()).to.deep.equal({
+      requests: 5,
+      queued: 0,
+      throttled: 3,
+      rateLimited: 0,
+    });
+  });
+
+  it('should reject an invalid rate or burst', function () {
+    for (const rate of [0, -1, NaN, 'fast', null]) {
+      expect(() => new RateLimiter({ rate })).to.throw(FetcherError, `Invalid rate ${rate}, must be a positive number`);
+    }
+
+    for (const burst of [0, 0.5, NaN, null]) {
+      expect(() => new RateLimiter({ rate: 10, burst })).to.throw(FetcherError, `Invalid burst ${burst}, must be at least 1`);
+    }
+
+    expect(new RateLimiter({ rate: 0.5 }).burst).to.equal(1);
+    expect(new RateLimiter({ burst: Infinity }).burst).to.equal(Infinity);
+  });
+
+  it('should release requests in order', async function () {
+    const limiter = new RateLimiter({ rate: 200, burst: 1 });
+    const order = [];
+
+    await Promise.all([0, 1, 2, 3].map(i => limiter.acquire().then(() => order.push(i))));
+
+    expect(order).to.deep.equal([0, 1, 2, 3]);
+  });
+
+  it('should wait until a throttle is over', async function () {
+    const limiter = new RateLimiter();
+    limiter.throttle(30);
+
+    const startedAt = Date.now();
+    await limiter.acquire();
+
+    expect(Date.now() - startedAt).to.be.at.least(25);
+    expect(limiter.metrics().rateLimited).to.equal(1);
+    expect(limiter.metrics().throttled).to.equal(1);
+  });
+});
+
+describe('Fetcher Rate Limiting', function () {
+  const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+    status,
+    response: { body: {}, headers },
+  });
+
+  it('should limit each endpoint family', async function () {
+    const fetcher = new RosettaSDK.Fetcher({
+      rateLimits: {
+        construction: { rate: 100, burst: 1 },
+      },
+    });
+
+    const call = endpoint => fetcher.callApi({ endpoint, request: {}, networkIdentifier }, async () => ({}));
+
+    await Promise.all([
+      call('/construction/hash'),
+      call('/construction/hash'),
+      call('/block'),
+      call('/mempool'),
+    ]);
+
+    const metrics = fetcher.rateLimitMetrics();
+    expect(metrics.construction.requests).to.equal(2);
+    expect(metrics.construction.throttled).to.equal(1);
+    expect(metrics.data.requests).to.equal(1);
+    expect(metrics.mempool.requests).to.equal(1);
+  });
+
+  it('should share a rate limiter between fetchers', async function () {
+    const data = new RateLimiter({ rate: 100 });
+    const first = new RosettaSDK.Fetcher({ rateLimits: { data } });
+    const second = new RosettaSDK.Fetcher({ rateLimits: { data } });
+
+    const context = { endpoint: '/block', request: {}, networkIdentifier };
+    await first.callApi(context, async () => ({}));
+    await second.callApi(context, async () => ({}));
+
+    expect(data.metrics().requests).to.equal(2);
+  });
+
+  it('should honor Retry-After of 429 responses', async function () {
+    const fetcher = new RosettaSDK.Fetcher({
+      retryOptions: {
+        startingDelay: 1,
+      },
+    });
+
+    let calls = 0;
+    const calledAt = [];
+
+    fetcher.block = (network, blockIdentifier) => fetcher.callApi({
+      endpoint: '/block',
+      request: blockIdentifier,
+      networkIdentifier: network,
+    }, async () => {
+      calledAt.push(Date.now());
+
+      if (++calls === 1) {
+        throw httpError(429, { 'retry-after': '1' });
+      }
+
+      return { block_identifier: blockIdentifier };
+    });
+
+    const block = await fetcher.blockRetry(networkIdentifier, { index: 1 });
+
+    expect(block.block_identifier).to.deep.equal({ index: 1 });
+    expect(calledAt[1] - calledAt[0]).to.be.at.least(950);
+    expect(fetcher.rateLimitMetrics().data.rateLimited).to.equal(1);
+  });
+
+  it('should decode Retry-After headers', function () {
+    const fetcher = new RosettaSDK.Fetcher();
+    const context = { endpoint: '/block', request: {}, networkIdentifier };
+
+    const seconds = fetcher.decodeError(context, httpError(429, { 'retry-after': '2' }));
+    expect(seconds.retriable).to.equal(true);
+    expect(seconds.retryAfter).to.equal(2000);
+
+    const date = new Date(Date.now() + 60 * 1000).toUTCString();
+    const httpDate = fetcher.decodeError(context, httpError(503, { 'retry-after': date }));
+    expect(httpDate.retryAfter).to.be.within(58 * 1000, 60 * 1000);
+
+    expect(fetcher.decodeError(context, httpError(429)).retryAfter).to.equal(null);
+  });
+});
@@ -21,6 +21,9 @@
 
 // reconciler.test.js
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { expect } = require('chai');
 const RosettaSDK = require('..');
 
@@ -46,6 +49,62 @@ const templateReconciler = () => {
   return new RosettaSDK.Reconciler();
 };
 
+const currency = { symbol: 'BTC', decimals: 8 };
+const headBlock = { index: 10, hash: 'block 10' };
+const liveBlock = { index: 5, hash: 'block 5' };
+
+// Reconciler with stubbed fetcher, helper and handler, lookups tracks the balance lookups
+const workerReconciler = (options = {}) => {
+  const lookups = { active: 0, maxActive: 0, accounts: new Set(), duplicate: false, reconciled: 0, error: null, blocks: [] };
+
+  const fetcher = {
+    options: { promisePoolSize: 2 },
+    accountBalanceRetry: async (network, account, block) => {
+      lookups.blocks.push(block);
+      if (lookups.accounts.has(account.address)) lookups.duplicate = true;
+      lookups.accounts.add(account.address);
+      lookups.maxActive = Math.max(lookups.maxActive, ++lookups.active);
+
+      await sleep(20);
+
+      lookups.accounts.delete(account.address);
+      lookups.active--;
+
+      if (lookups.error) throw lookups.error;
+      return { block: liveBlock, balances: [{ value: '100', currency }] };
+    },
+  };
+
+  const helper = {
+    currentBlock: async () => headBlock,
+    blockExists: async () => true,
+    accountBalance: async () => ({ cachedBalance: { value: '100' }, balanceBlock: { index: 0 } }),
+  };
+
+  const handler = {
+    reconciliationSucceeded: async () => {
+      lookups.reconciled++;
+    },
+    reconciliationFailed: async () => {},
+  };
+
+  const reconciler = new RosettaSDK.Reconciler(Object.assign({
+    fetcher,
+    helper,
+    handler,
+    lookupBalanceByBlock: false,
+  }, options));
+
+  return { reconciler, lookups };
+};
+
+const balanceChange = (address) => ({
+  account_identifier: { address },
+  currency,
+  block_identifier: liveBlock,
+  difference: '100',
+});
+
 describe('Reconciler Tests', function () {
   describe('Test Reconciler Constructor', function () {
     const accountCurrency = new AccountCurrency(
@@ -533,11 +592,9 @@ describe('Reconciler Tests', function () {
       };
       const reconciler = new RosettaSDK.Reconciler(options);
       const balanceChange = [{
-        account_identifier: new AccountCurrency({
-          accountIdentifier: account1,
-        }),
+        account_identifier: account1,
         currency: new Currency('BTC', 8),
-        block: block0,
+        block_identifier: block0,
         difference: "0",
       }];
       await reconciler.queueChanges(block0, balanceChange);
@@ -598,11 +655,9 @@ describe('Reconciler Tests', function () {
       };
       const reconciler = new RosettaSDK.Reconciler(options);
       const balanceChange = [{
-        account_identifier: new AccountCurrency({
-          accountIdentifier: account1,
-        }),
+        account_identifier: account1,
         currency: new Currency('BTC', 8),
-        block: block0,
+        block_identifier: block0,
         difference: "0",
       }];
       await reconciler.queueChanges(block0, balanceChange);
@@ -627,5 +682,498 @@ describe('Reconciler Tests', function () {
       expect(thrown).to.deep.equal(false);
     });
   });
+
+  describe('Test Reconciler State', function () {
+    const account1 = new AccountIdentifier('acct 1');
+    const account2 = new AccountIdentifier('acct 2');
+    const currency = new Currency('BTC', 8);
+    const block1 = new BlockIdentifier(1, 'block 1');
+    const block2 = new BlockIdentifier(2, 'block 2');
+
+    const balanceChange = (account, block) => ({
+      account_identifier: account,
+      currency,
+      block_identifier: block,
+      difference: '100',
+    });
+
+    it('should persist seen accounts, the inactive queue and changes', async function () {
+      const stateStorage = new RosettaSDK.Storage.MemoryStorage();
+      const reconciler = new RosettaSDK.Reconciler({ stateStorage });
+
+      await reconciler.queueChanges(block1, [balanceChange(account1, block1)]);
+
+      const keys = [...stateStorage.entries.keys()];
+      const hash = Hash(new AccountCurrency(account1, currency));
+
+      expect(keys).to.include(`reconciler/seen/${hash}`);
+      expect(keys).to.include(`reconciler/inactive/${hash}`);
+      expect(keys.filter(key => key.startsWith('reconciler/change/'))).to.have.lengthOf(1);
+
+      const queued = await stateStorage.get(`reconciler/inactive/${hash}`);
+      expect(queued.last_check.index).to.equal(1);
+    });
+
+    it('should resume from the persisted state', async function () {
+      const stateStorage = new RosettaSDK.Storage.MemoryStorage();
+      const first = new RosettaSDK.Reconciler({ stateStorage });
+
+      await first.queueChanges(block2, [balanceChange(account1, block2)]);
+      await first.queueChanges(block1, [balanceChange(account2, block1)]);
+
+      const second = new RosettaSDK.Reconciler({ stateStorage });
+      expect(await second.restoreState()).to.equal(true);
+
+      expect(Object.keys(second.seenAccounts)).to.have.lengthOf(2);
+      expect(RosettaSDK.Reconciler.ContainsAccountCurrency(second.seenAccounts,
+        new AccountCurrency(account2, currency))).to.equal(true);
+
+      // Ordered by their last check
+      expect(second.inactiveQueue.map(({ last_check }) => last_check.index)).to.deep.equal([1, 2]);
+      expect(second.changeQueue.map(({ block_identifier }) => block_identifier.index)).to.deep.equal([2, 1]);
+
+      // New changes are queued after the restored ones
+      await second.queueChanges(block2, [balanceChange(account1, block2)]);
+      const changes = await stateStorage.scan('reconciler/change/');
+      expect(changes.map(({ value }) => value.block_identifier.index)).to.deep.equal([2, 1, 2]);
+      expect(second.changeQueue).to.have.lengthOf(3);
+    });
+
+    it('should remove completed changes', async function () {
+      const stateStorage = new RosettaSDK.Storage.MemoryStorage();
+      const reconciler = new RosettaSDK.Reconciler({ stateStorage });
+
+      await reconciler.queueChanges(block1, [balanceChange(account1, block1)]);
+      await reconciler.completeChange(reconciler.changeQueue.shift());
+
+      expect(await stateStorage.scan('reconciler/change/')).to.deep.equal([]);
+    });
+
+    it('should persist seen accounts of the configuration', async function () {
+      const stateStorage = new RosettaSDK.Storage.MemoryStorage();
+      const accountCurrency = new AccountCurrency(account1, currency);
+
+      const first = new RosettaSDK.Reconciler({ stateStorage, withSeenAccounts: [accountCurrency] });
+      expect(await first.restoreState()).to.equal(false);
+      await first.inactiveAccountQueue(true, accountCurrency, block2);
+
+      const second = new RosettaSDK.Reconciler({ stateStorage, withSeenAccounts: [accountCurrency] });
+      expect(await second.restoreState()).to.equal(true);
+
+      expect(second.inactiveQueue).to.have.lengthOf(1);
+      expect(second.inactiveQueue[0].last_check.index).to.equal(2);
+    });
+  });
+
+  describe('Test Reconciler Workers', function () {
+    it('should reconcile changes concurrently within the fetcher pool', async function () {
+      const { reconciler, lookups } = workerReconciler();
+
+      await reconciler.queueChanges(liveBlock, ['a', 'a', 'b', 'c', 'c'].map(balanceChange));
+      await Promise.all([1, 2, 3, 4, 5].map(() => reconciler.reconcileActiveAccounts(false)));
+
+      expect(reconciler.changeQueue).to.deep.equal([]);
+      expect(reconciler.inFlight.size).to.equal(0);
+      expect(lookups.maxActive).to.equal(2);
+      expect(lookups.duplicate).to.equal(false);
+    });
+
+    it('should look up current balances without historical lookups', async function () {
+      const { reconciler, lookups } = workerReconciler();
+
+      await reconciler.queueChanges(liveBlock, ['a'].map(balanceChange));
+      await reconciler.reconcileActiveAccounts(false);
+
+      expect(lookups.blocks).to.deep.equal([null]);
+    });
+
+    it('should look up balances at the block of the change', async function () {
+      const { reconciler, lookups } = workerReconciler({ lookupBalanceByBlock: true });
+
+      await reconciler.queueChanges(liveBlock, ['a'].map(balanceChange));
+      await reconciler.reconcileActiveAccounts(false);
+
+      expect(lookups.blocks).to.deep.equal([{ index: liveBlock.index, hash: liveBlock.hash }]);
+    });
+
+    it('should enqueue each seen account once', async function () {
+      const { reconciler } = workerReconciler();
+
+      await reconciler.queueChanges(liveBlock, ['a', 'a', 'b'].map(balanceChange));
+      await Promise.all([1, 2, 3].map(() => reconciler.reconcileActiveAccounts(false)));
+
+      expect(reconciler.inactiveQueue.map(({ entry }) => entry.account.address)).to.deep.equal(['a', 'b']);
+    });
+
+    it('should not reconcile an inactive account that is in flight', async function () {
+      const { reconciler } = workerReconciler({ inactiveFrequency: 1 });
+      const accountA = new AccountCurrency({ address: 'a' }, currency);
+      const accountB = new AccountCurrency({ address: 'b' }, currency);
+
+      await reconciler.inactiveAccountQueue(true, accountA, { index: 1, hash: 'block 1' });
+      await reconciler.inactiveAccountQueue(true, accountB, { index: 1, hash: 'block 1' });
+      reconciler.inFlight.add(Hash(accountA));
+
+      await reconciler.reconcileInactiveAccounts(false);
+
+      expect(reconciler.inactiveQueue.map(({ entry, last_check }) => [entry.account.address, last_check.index]))
+        .to.deep.equal([['a', 1], ['b', 5]]);
+    });
+  });
+
+  describe('Test Reconciler Lifecycle', function () {
+    it('should emit lifecycle events and wait for changes when idle', async function () {
+      const { reconciler, lookups } = workerReconciler({ activeConcurrency: 2, inactiveConcurrency: 1 });
+      const events = [];
+
+      Object.values(RosettaSDK.ReconcilerEvents).forEach(event =>
+        reconciler.on(event, () => events.push(event)));
+
+      const started = new Promise(fulfill => reconciler.once(RosettaSDK.ReconcilerEvents.RECONCILER_STARTED, fulfill));
+      const running = reconciler.start();
+      await started;
+
+      // Every worker waits for work
+      await sleep(10);
+      expect(reconciler.workWaiters).to.have.lengthOf(3);
+
+      const idle = new Promise(fulfill => reconciler.once(RosettaSDK.ReconcilerEvents.RECONCILER_IDLE, fulfill));
+      await reconciler.queueChanges(liveBlock, ['a', 'b'].map(balanceChange));
+      await idle;
+
+      expect(lookups.reconciled).to.equal(2);
+
+      await reconciler.stop();
+      await running;
+
+      expect(reconciler.running).to.equal(false);
+      expect(events).to.deep.equal([
+        RosettaSDK.ReconcilerEvents.RECONCILER_STARTED,
+        RosettaSDK.ReconcilerEvents.RECONCILER_IDLE,
+        RosettaSDK.ReconcilerEvents.RECONCILER_IDLE,
+        RosettaSDK.ReconcilerEvents.RECONCILER_STOPPED,
+      ]);
+    });
+
+    it('should drain in-flight reconciliations on stop', async function () {
+      const stateStorage = new RosettaSDK.Storage.MemoryStorage();
+      const { reconciler, lookups } = workerReconciler({ stateStorage, activeConcurrency: 1, inactiveConcurrency: 1 });
+
+      await reconciler.queueChanges(liveBlock, ['a', 'b', 'c'].map(balanceChange));
+      const running = reconciler.start();
+
+      await sleep(10);
+      await reconciler.stop();
+      await running;
+
+      expect(lookups.active).to.equal(0);
+      expect(lookups.reconciled).to.equal(1);
+      expect(reconciler.changeQueue).to.have.lengthOf(2);
+      expect(await stateStorage.scan('reconciler/change/')).to.have.lengthOf(2);
+    });
+
+    it('should stop all workers if a worker fails', async function () {
+      const { reconciler, lookups } = workerReconciler({ activeConcurrency: 2, inactiveConcurrency: 1 });
+      lookups.error = new Error('node unavailable');
+
+      let stoppedWith;
+      reconciler.on(RosettaSDK.ReconcilerEvents.RECONCILER_STOPPED, error => stoppedWith = error);
+
+      await reconciler.queueChanges(liveBlock, ['a', 'b'].map(balanceChange));
+
+      let thrown;
+      try {
+        await reconciler.start();
+      } catch (e) {
+        thrown = e;
+      }
+
+      expect(thrown).to.equal(lookups.error);
+      expect(stoppedWith).to.equal(lookups.error);
+      expect(lookups.active).to.equal(0);
+    });
+
+    it('should not start twice', async function () {
+      const { reconciler } = workerReconciler();
+      const running = reconciler.start();
+
+      let thrown = false;
+      try {
+        await reconciler.start();
+      } catch (e) {
+        thrown = e instanceof RosettaSDK.Errors.ReconcilerError;
+      }
+
+      await reconciler.stop();
+      await running;
+
+      expect(thrown).to.equal(true);
+    });
+  });
+
+  describe('Test Reconciliation Report', function () {
+    it('should collect reconciliations, failures and skips', async function () {
+      const { reconciler } = workerReconciler();
+
+      reconciler.helper.blockExists = async () => true;
+      reconciler.helper.accountBalance = async (account) => ({
+        cachedBalance: { value: account.address === 'b' ? '90' : '100' },
+        balanceBlock: { index: account.address === 'c' ? 7 : 0 },
+      });
+
+      await reconciler.queueChanges(liveBlock, ['a', 'b', 'c'].map(balanceChange));
+      await Promise.all([1, 2, 3].map(() => reconciler.reconcileActiveAccounts(false)));
+
+      const report = JSON.parse(JSON.stringify(reconciler.report));
+
+      expect(report.accounts).to.deep.include({ seen: 3, reconciled: 1 });
+      expect(report.accounts.coverage).to.be.closeTo(33.33, 0.01);
+      expect(report.reconciliations).to.deep.equal({ active: 1, inactive: 0 });
+      expect(report.skipped).to.deep.equal({ ACCOUNT_UPDATED: 1 });
+      expect(report.failureCount).to.equal(1);
+      expect(report.failures[0]).to.deep.include({
+        type: 'ACTIVE',
+        account: { address: 'b' },
+        computedBalance: '90',
+        liveBalance: '100',
+        difference: '-10',
+      });
+
+      const summary = reconciler.report.summary();
+      expect(summary).to.include('3 seen, 1 reconciled (33.33% coverage)');
+      expect(summary).to.include('ACTIVE b BTC at block 5: computed 90, live 100, difference -10');
+      expect(summary).to.include('Skipped: 1 ACCOUNT_UPDATED');
+    });
+
+    it('should sample the coverage over time', function () {
+      const report = new RosettaSDK.Reconciler.ReconciliationReport({ sampleInterval: 60000, maxFailures: 1 });
+      const accountA = new AccountCurrency({ address: 'a' }, currency);
+      const accountB = new AccountCurrency({ address: 'b' }, currency);
+
+      report.accountSeen(accountA);
+      report.accountSeen(accountB);
+      report.sample(1);
+
+      report.reconciled('INACTIVE', accountA);
+      report.sample(2);
+      report.sample(3, true);
+
+      report.failed('ACTIVE', accountB, '1', '2', '-1', liveBlock);
+      report.failed('ACTIVE', accountB, '1', '3', '-2', liveBlock);
+
+      const { coverage, failures, failureCount } = report.toJSON();
+      expect(coverage.map(({ blockIndex, coverage }) => [blockIndex, coverage])).to.deep.equal([[1, 0], [3, 50]]);
+      expect(failures).to.have.lengthOf(1);
+      expect(failureCount).to.equal(2);
+      expect(report.summary()).to.include('... 1 more');
+    });
+  });
+
+  describe('Test BalanceTracker', function () {
+    const genesis = { index: 0, hash: 'block 0' };
+    const block1 = { index: 1, hash: 'block 1' };
+    const block1b = { index: 1, hash: 'block 1b' };
+
+    const transfer = (blockIdentifier, parentBlockIdentifier, from, to, value) => ({
+      block_identifier: blockIdentifier,
+      parent_block_identifier: parentBlockIdentifier,
+      transactions: [{
+        operations: [
+          { account: { address: from }, amount: { value: `-${value}`, currency } },
+          { account: { address: to }, amount: { value: `${value}`, currency } },
+        ],
+      }],
+    });
+
+    const balanceTracker = (reconciler = null) => new RosettaSDK.Reconciler.BalanceTracker({
+      storage: new RosettaSDK.Storage.MemoryStorage(),
+      parser: new RosettaSDK.Parser({ asserter: { OperationSuccessful: () => true } }),
+      reconciler,
+    });
+
+    const bootstrapBalances = [
+      { account_identifier: { address: 'a' }, currency, value: '100' },
+    ];
+
+    it('should compute balances and roll back removed blocks', async function () {
+      const tracker = balanceTracker();
+
+      expect(await tracker.bootstrap(bootstrapBalances, genesis)).to.equal(true);
+      await tracker.blockAdded(transfer(genesis, genesis, 'a', 'b', 10));
+      await tracker.blockAdded(transfer(block1, genesis, 'a', 'c', 30));
+
+      expect(await tracker.getBalance({ address: 'a' }, currency)).to.equal('60');
+      expect(await tracker.getBalance({ address: 'c' }, currency)).to.equal('30');
+      expect(await tracker.currentBlock()).to.deep.equal(block1);
+
+      // Re-org of block 1
+      await tracker.blockRemoved(block1);
+      await tracker.blockAdded(transfer(block1b, genesis, 'b', 'c', 5));
+
+      expect(await tracker.getBalance({ address: 'a' }, currency)).to.equal('90');
+      expect(await tracker.getBalance({ address: 'b' }, currency)).to.equal('5');
+      expect(await tracker.getBalance({ address: 'c' }, currency)).to.equal('5');
+      expect(await tracker.blockExists(block1)).to.equal(false);
+
+      const { cachedBalance, balanceBlock } = await tracker.accountBalance({ address: 'c' }, currency, block1b);
+      expect(cachedBalance.value).to.equal('5');
+      expect(balanceBlock).to.deep.equal(block1b);
+    });
+
+    it('should reconcile the balance changes of synced blocks', async function () {
+      const live = { a: '60', b: '10', c: '25' };
+      const lookups = [];
+      const results = [];
+
+      // Node without historical balance lookups
+      const fetcher = {
+        accountBalanceRetry: async (network, account, block) => {
+          lookups.push(block);
+          return { block: block1, balances: [{ value: live[account.address], currency }] };
+        },
+      };
+
+      const handler = {
+        reconciliationSucceeded: async (type, account) => {
+          results.push([account.address, 'succeeded']);
+        },
+        reconciliationFailed: async (type, account, currency, cachedBalance, amount) => {
+          results.push([account.address, `${cachedBalance} != ${amount}`]);
+        },
+      };
+
+      const reconciler = new RosettaSDK.Reconciler({ fetcher, handler, lookupBalanceByBlock: false });
+      const tracker = balanceTracker(reconciler);
+      reconciler.helper = tracker;
+
+      await tracker.bootstrap(bootstrapBalances, genesis);
+      await tracker.blockAdded(transfer(genesis, genesis, 'a', 'b', 10));
+      await tracker.blockAdded(transfer(block1, genesis, 'a', 'c', 30));
+
+      expect(reconciler.changeQueue).to.deep.equal([
+        { account_identifier: { address: 'a' }, currency, block_identifier: genesis, difference: '-10' },
+        { account_identifier: { address: 'b' }, currency, block_identifier: genesis, difference: '10' },
+        { account_identifier: { address: 'a' }, currency, block_identifier: block1, difference: '-30' },
+        { account_identifier: { address: 'c' }, currency, block_identifier: block1, difference: '30' },
+      ]);
+
+      for (let i = 0; i < 4; i++) {
+        await reconciler.reconcileActiveAccounts(false);
+      }
+
+      expect(lookups).to.deep.equal([null, null, null, null]);
+      expect(results).to.deep.equal([
+        ['a', 'succeeded'],
+        ['b', 'succeeded'],
+        ['a', 'succeeded'],
+        ['c', '30 != 25'],
+      ]);
+    });
+
+    it('should wait until the synced head reaches the live block', async function () {
+      const { reconciler, lookups } = workerReconciler({ waitToCheckDiff: 10, waitToCheckDiffSleep: 10 });
+      const tracker = balanceTracker(reconciler);
+      reconciler.helper = tracker;
+
+      await tracker.bootstrap(bootstrapBalances, genesis);
+      await tracker.blockAdded(transfer(genesis, genesis, 'a', 'b', 10));
+
+      // The node is one block ahead of the synced head
+      const reconciling = reconciler.accountReconciliation({ address: 'a' }, currency, '60', block1, false);
+      await sleep(20);
+      await tracker.blockAdded(transfer(block1, genesis, 'a', 'c', 30));
+      await reconciling;
+
+      expect(lookups.reconciled).to.equal(1);
+      expect(reconciler.report.toJSON().skipped).to.deep.equal({});
+    });
+
+    it('should skip live blocks far ahead of the synced head', async function () {
+      const { reconciler } = workerReconciler({ waitToCheckDiff: 10, waitToCheckDiffSleep: 10 });
+      const tracker = balanceTracker(reconciler);
+      reconciler.helper = tracker;
+
+      await tracker.blockAdded(transfer(genesis, genesis, 'a', 'b', 0));
+      await reconciler.accountReconciliation({ address: 'a' }, currency, '0', { index: 20, hash: 'block 20' }, false);
+
+      expect(reconciler.highWaterMark).to.equal(20);
+      expect(reconciler.report.toJSON().skipped).to.deep.equal({ ERROR_HEAD_BEHIND_LIVE: 1 });
+    });
+
+    it('should only bootstrap before the first block', async function () {
+      const tracker = balanceTracker();
+
+      await tracker.blockAdded(transfer(genesis, genesis, 'a', 'b', 0));
+
+      expect(await tracker.bootstrap(bootstrapBalances, genesis)).to.equal(false);
+      expect(await tracker.getBalance({ address: 'a' }, currency)).to.equal('0');
+    });
+
+    it('should record the bootstrap and only apply it once', async function () {
+      const storage = new RosettaSDK.Storage.MemoryStorage();
+      const parser = new RosettaSDK.Parser({ asserter: { OperationSuccessful: () => true } });
+      const tracker = new RosettaSDK.Reconciler.BalanceTracker({ storage, parser });
+
+      expect(await tracker.bootstrap(bootstrapBalances, genesis)).to.equal(true);
+      expect(await storage.get('balance/bootstrap')).to.deep.equal({ block: genesis, balances: 1 });
+
+      // After a restart, before the first block
+      const restarted = new RosettaSDK.Reconciler.BalanceTracker({ storage, parser });
+      await restarted.blockAdded(transfer(genesis, genesis, 'a', 'b', 10));
+      await restarted.blockRemoved(genesis);
+
+      expect(await restarted.bootstrap(bootstrapBalances, genesis)).to.equal(false);
+      expect(await restarted.getBalance({ address: 'a' }, currency)).to.equal('100');
+    });
+
+    it('should not bootstrap once a concurrent block was added', async function () {
+      const tracker = balanceTracker();
+
+      const [, bootstrapped] = await Promise.all([
+        tracker.blockAdded(transfer(genesis, genesis, 'b', 'a', 0)),
+        tracker.bootstrap(bootstrapBalances, genesis),
+      ]);
+
+      expect(bootstrapped).to.equal(false);
+      expect(await tracker.getBalance({ address: 'a' }, currency)).to.equal('0');
+    });
+
+    it('should reject invalid bootstrap balances', async function () {
+      const tracker = balanceTracker();
+      const invalid = [
+        [[{ account_identifier: { address: 'a' }, currency, value: '-1' }], 'invalid value'],
+        [[{ account_identifier: { address: 'a' }, currency, value: '1.5' }], 'invalid value'],
+        [[{ currency, value: '1' }], 'no account_identifier'],
+        [[...bootstrapBalances, ...bootstrapBalances], 'duplicate'],
+      ];
+
+      for (const [balances, message] of invalid) {
+        let thrown;
+        try {
+          await tracker.bootstrap(balances, genesis);
+        } catch (e) {
+          thrown = e;
+        }
+
+        expect(thrown).to.be.an.instanceof(RosettaSDK.Errors.ReconcilerError);
+        expect(thrown.message).to.include(message);
+      }
+    });
+
+    it('should bootstrap from a file', async function () {
+      const tracker = balanceTracker();
+      const file = path.join(os.tmpdir(), `bootstrap-${process.pid}.json`);
+
+      fs.writeFileSync(file, JSON.stringify(bootstrapBalances));
+
+      try {
+        expect(await tracker.bootstrapFromFile(file, genesis)).to.equal(true);
+      } finally {
+        fs.unlinkSync(file);
+      }
+
+      expect(await tracker.getBalance({ address: 'a' }, currency)).to.equal('100');
+    });
+  });
 });
 
@@ -0,0 +1,416 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// storage.test.js
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  MemoryStorage,
+  FileStorage,
+  BlockStorage,
+  BalanceStorage,
+} = require('../lib/storage');
+
+const createTempDir = () => fs.promises.mkdtemp(path.join(os.tmpdir(), 'rosetta-storage-'));
+
+const removeTempDir = async (dir) => {
+  for (const file of await fs.promises.readdir(dir)) {
+    await fs.promises.unlink(path.join(dir, file));
+  }
+
+  await fs.promises.rmdir(dir);
+};
+
+const currency = {
+  symbol: 'BTC',
+  decimals: 8,
+};
+
+const account = {
+  address: 'addr1',
+};
+
+const createBlock = (index, parentIndex = index - 1) => ({
+  block_identifier: { index, hash: `block ${index}` },
+  parent_block_identifier: { index: parentIndex, hash: `block ${parentIndex}` },
+});
+
+describe('Storage', function () {
+  describe('Test MemoryStorage', function () {
+    it('should get, set and delete values', async function () {
+      const storage = new MemoryStorage();
+
+      expect(await storage.get('a')).to.equal(null);
+      expect(await storage.has('a')).to.equal(false);
+
+      await storage.set('a', { value: 1 });
+      expect(await storage.get('a')).to.deep.equal({ value: 1 });
+      expect(await storage.has('a')).to.equal(true);
+
+      await storage.delete('a');
+      expect(await storage.get('a')).to.equal(null);
+    });
+
+    it('should not have keys whose value is null', async function () {
+      const storage = new MemoryStorage();
+
+      await storage.set('a', null);
+      expect(await storage.has('a')).to.equal(false);
+    });
+
+    it('should not share stored objects with callers', async function () {
+      const storage = new MemoryStorage();
+      const value = { value: 1 };
+
+      await storage.set('a', value);
+      value.value = 2;
+
+      const stored = await storage.get('a');
+      stored.value = 3;
+
+      expect(await storage.get('a')).to.deep.equal({ value: 1 });
+    });
+
+    it('should scan by prefix in key order', async function () {
+      const storage = new MemoryStorage();
+
+      await storage.batch([
+        { type: 'set', key: 'b/2', value: 2 },
+        { type: 'set', key: 'a/1', value: 1 },
+        { type: 'set', key: 'b/1', value: 1 },
+      ]);
+
+      expect(await storage.scan('b/')).to.deep.equal([
+        { key: 'b/1', value: 1 },
+        { key: 'b/2', value: 2 },
+      ]);
+    });
+
+    it('should not apply a batch with a value that cannot be stored', async function () {
+      const storage = new MemoryStorage();
+      await storage.set('a', 1);
+
+      const error = await storage.batch([
+        { type: 'set', key: 'b', value: 2 },
+        { type: 'delete', key: 'a' },
+        { type: 'set', key: 'c', value: 3n },
+      ]).catch(e => e);
+
+      expect(error.name).to.equal('StorageError');
+      expect(error.message).to.contain('Unable to store c');
+      expect(await storage.scan('')).to.deep.equal([{ key: 'a', value: 1 }]);
+    });
+
+    it('should reject invalid operations', async function () {
+      const storage = new MemoryStorage();
+      let thrown = false;
+
+      try {
+        await storage.batch([{ type: 'put', key: 'a', value: 1 }]);
+      } catch (e) {
+        expect(e.name).to.equal('StorageError');
+        expect(e.message).to.equal('Invalid operation type put');
+        thrown = true;
+      }
+
+      expect(thrown).to.equal(true);
+    });
+  });
+
+  describe('Test FileStorage', function () {
+    let dir;
+
+    beforeEach(async function () {
+      dir = await createTempDir();
+    });
+
+    afterEach(async function () {
+      await removeTempDir(dir);
+    });
+
+    it('should persist values across instances', async function () {
+      const storage = new FileStorage({ directory: dir });
+      await storage.set('a', 1);
+      await storage.set('b', { nested: [1, 2] });
+      await storage.delete('a');
+      await storage.close();
+
+      const reopened = new FileStorage({ directory: dir });
+      expect(await reopened.get('a')).to.equal(null);
+      expect(await reopened.get('b')).to.deep.equal({ nested: [1, 2] });
+      await reopened.close();
+    });
+
+    it('should take snapshots and truncate the log', async function () {
+      const storage = new FileStorage({ directory: dir, snapshotInterval: 3 });
+
+      for (let i = 0; i < 7; ++i) {
+        await storage.set(`key/${i}`, i);
+      }
+
+      await storage.close();
+
+      const log = await fs.promises.readFile(path.join(dir, 'log.jsonl'), 'utf8');
+      expect(log.split('\n').filter(l => l.length > 0).length).to.equal(1);
+
+      const reopened = new FileStorage({ directory: dir });
+      expect((await reopened.scan('key/')).length).to.equal(7);
+      await reopened.close();
+    });
+
+    it('should flush the snapshot to disk before truncating the log', async function () {
+      const storage = new FileStorage({ directory: dir, snapshotInterval: 2 });
+      await storage.set('a', 1);
+
+      const FileHandle = Object.getPrototypeOf(storage.logHandle);
+      const { sync, truncate } = FileHandle;
+      const { rename } = fs.promises;
+      const calls = [];
+
+      FileHandle.sync = function (...args) {
+        calls.push('sync');
+        return sync.apply(this, args);
+      };
+      FileHandle.truncate = function (...args) {
+        calls.push('truncate');
+        return truncate.apply(this, args);
+      };
+      fs.promises.rename = (...args) => {
+        calls.push('rename');
+        return rename(...args);
+      };
+
+      try {
+        await storage.set('b', 2);
+      } finally {
+        Object.assign(FileHandle, { sync, truncate });
+        fs.promises.rename = rename;
+      }
+
+      // The snapshot file, its rename and then the log
+      expect(calls).to.deep.equal(['sync', 'rename', 'sync', 'truncate']);
+      await storage.close();
+    });
+
+    it('should ignore an incomplete last write', async function () {
+      const storage = new FileStorage({ directory: dir });
+      await storage.set('a', 1);
+      await storage.close();
+
+      await fs.promises.appendFile(path.join(dir, 'log.jsonl'), '[{"type":"set","key":"b"');
+
+      const reopened = new FileStorage({ directory: dir });
+      expect(await reopened.get('a')).to.equal(1);
+      expect(await reopened.get('b')).to.equal(null);
+
+      await reopened.set('c', 3);
+      await reopened.close();
+
+      const again = new FileStorage({ directory: dir });
+      expect(await again.get('c')).to.equal(3);
+      await again.close();
+    });
+
+    it('should apply concurrent writes in order', async function () {
+      const storage = new FileStorage({ directory: dir, snapshotInterval: 5 });
+
+      await Promise.all([...Array(20).keys()].map(i => storage.set('counter', i)));
+      expect(await storage.get('counter')).to.equal(19);
+      await storage.close();
+
+      const reopened = new FileStorage({ directory: dir });
+      expect(await reopened.get('counter')).to.equal(19);
+      await reopened.close();
+    });
+  });
+
+  describe('Test BlockStorage', function () {
+    it('should throw if no head block exists', async function () {
+      const blockStorage = new BlockStorage({ storage: new MemoryStorage() });
+      let thrown = false;
+
+      try {
+        await blockStorage.currentBlock();
+      } catch (e) {
+        expect(e.name).to.equal('StorageError');
+        expect(e.message).to.equal('Head block not found');
+        thrown = true;
+      }
+
+      expect(thrown).to.equal(true);
+    });
+
+    it('should add and remove blocks', async function () {
+      const blockStorage = new BlockStorage({ storage: new MemoryStorage() });
+
+      await blockStorage.addBlock(createBlock(0, 0));
+      await blockStorage.addBlock(createBlock(1));
+      await blockStorage.addBlock(createBlock(2));
+
+      expect(await blockStorage.currentBlock()).to.deep.equal(createBlock(2).block_identifier);
+      expect(await blockStorage.blockExists(createBlock(1).block_identifier)).to.equal(true);
+      expect(await blockStorage.blockExists({ index: 1, hash: 'other' })).to.equal(false);
+
+      expect(await blockStorage.pastBlocks(2)).to.deep.equal([
+        createBlock(1).block_identifier,
+        createBlock(2).block_identifier,
+      ]);
+
+      expect((await blockStorage.pastBlocks(10)).length).to.equal(3);
+
+      await blockStorage.removeBlock(createBlock(2).block_identifier);
+      expect(await blockStorage.currentBlock()).to.deep.equal(createBlock(1).block_identifier);
+      expect(await blockStorage.blockExists(createBlock(2).block_identifier)).to.equal(false);
+    });
+
+    it('should reject blocks that do not extend the head', async function () {
+      const blockStorage = new BlockStorage({ storage: new MemoryStorage() });
+      await blockStorage.addBlock(createBlock(0, 0));
+
+      let thrown = false;
+      try {
+        await blockStorage.addBlock(createBlock(2));
+      } catch (e) {
+        expect(e.message).to.equal('Block block 2 does not extend head block 0');
+        thrown = true;
+      }
+
+      expect(thrown).to.equal(true);
+    });
+  });
+
+  describe('Test BalanceStorage', function () {
+    const change = (difference, block) => ({
+      account_identifier: account,
+      currency,
+      block_identifier: block.block_identifier,
+      difference,
+    });
+
+    it('should return a zero balance for unknown accounts', async function () {
+      const balanceStorage = new BalanceStorage({ storage: new MemoryStorage() });
+      const head = createBlock(1).block_identifier;
+
+      expect(await balanceStorage.accountBalance(account, currency, head)).to.deep.equal({
+        cachedBalance: { value: '0', currency },
+        balanceBlock: head,
+      });
+    });
+
+    it('should apply and roll back balance changes', async function () {
+      const balanceStorage = new BalanceStorage({ storage: new MemoryStorage() });
+
+      const block0 = createBlock(0, 0);
+      const block1 = createBlock(1);
+
+      await balanceStorage.addBlock(block0, [change('1000000000000000000000', block0)]);
+      await balanceStorage.addBlock(block1, [change('-1', block1), change('-2', block1)]);
+
+      expect(await balanceStorage.currentBlock()).to.deep.equal(block1.block_identifier);
+      expect(await balanceStorage.accountBalance(account, currency, block1.block_identifier)).to.deep.equal({
+        cachedBalance: { value: '999999999999999999997', currency },
+        balanceBlock: block1.block_identifier,
+      });
+
+      await balanceStorage.removeBlock(block1.block_identifier);
+
+      expect(await balanceStorage.currentBlock()).to.deep.equal(block0.block_identifier);
+      expect(await balanceStorage.accountBalance(account, currency, block0.block_identifier)).to.deep.equal({
+        cachedBalance: { value: '1000000000000000000000', currency },
+        balanceBlock: block0.block_identifier,
+      });
+    });
+
+    it('should reject negative balances without writing anything', async function () {
+      const balanceStorage = new BalanceStorage({ storage: new MemoryStorage() });
+      const block0 = createBlock(0, 0);
+      let thrown = false;
+
+      try {
+        await balanceStorage.addBlock(block0, [change('-1', block0)]);
+      } catch (e) {
+        expect(e.name).to.equal('StorageError');
+        thrown = true;
+      }
+
+      expect(thrown).to.equal(true);
+      expect(await balanceStorage.blockExists(block0.block_identifier)).to.equal(false);
+    });
+
+    it('should prune undo records past the finality depth', async function () {
+      const storage = new MemoryStorage();
+      const balanceStorage = new BalanceStorage({ storage, finalityDepth: 2 });
+      const blocks = [createBlock(0, 0), createBlock(1), createBlock(2), createBlock(3)];
+
+      for (const block of blocks) {
+        await balanceStorage.addBlock(block, [change('1', block)]);
+      }
+
+      expect((await storage.scan('balance/undo/')).map(({ key }) => key))
+        .to.deep.equal(['balance/undo/2', 'balance/undo/3']);
+
+      await balanceStorage.removeBlock(blocks[3].block_identifier);
+      await balanceStorage.removeBlock(blocks[2].block_identifier);
+
+      let thrown = null;
+      try {
+        await balanceStorage.removeBlock(blocks[1].block_identifier);
+      } catch (e) {
+        thrown = e;
+      }
+
+      expect(thrown.name).to.equal('StorageError');
+      expect(thrown.message).to.equal('Block block 1 is final, its balance changes cannot be undone');
+      expect(await balanceStorage.currentBlock()).to.deep.equal(blocks[1].block_identifier);
+      expect((await balanceStorage.getBalance(account, currency)).value).to.equal('2');
+    });
+
+    it('should reject an invalid finality depth', function () {
+      for (const finalityDepth of [0, -1, 1.5, NaN, null]) {
+        expect(() => new BalanceStorage({ storage: new MemoryStorage(), finalityDepth }))
+          .to.throw(`Invalid finality depth ${finalityDepth}, must be a positive integer`);
+      }
+    });
+
+    it('should persist balances in a FileStorage', async function () {
+      const dir = await createTempDir();
+      const block0 = createBlock(0, 0);
+
+      const storage = new FileStorage({ directory: dir });
+      const balanceStorage = new BalanceStorage({ storage });
+      await balanceStorage.setBalance(account, { value: '50', currency }, block0.block_identifier);
+      await balanceStorage.addBlock(block0, [change('25', block0)]);
+      await storage.close();
+
+      const reopened = new FileStorage({ directory: dir });
+      const restored = new BalanceStorage({ storage: reopened });
+      expect(await restored.currentBlock()).to.deep.equal(block0.block_identifier);
+      expect((await restored.getBalance(account, currency)).value).to.equal('75');
+      await reopened.close();
+
+      await removeTempDir(dir);
+    });
+  });
+});
@@ -24,6 +24,7 @@ const { expect, should } = require('chai');
 const RosettaSDK = require('..');
 const { launchServer, getPort } = require('./fetcher.test');
 const Rosetta = require('../index');
+const { MemoryStorage, BlockStorage } = require('../lib/storage');
 
 const networkIdentifier = {
   blockchain: "blockchain",
@@ -306,3 +307,786 @@ describe('Syncer',  function () {
     expect(thrown).to.equal(false);
   });
 });
+
+// Blocks from forkIndex on get a hash suffix, which simulates a re-org.
+const createChain = (length, forkIndex = length) => {
+  const chain = [];
+
+  for (let i = 0; i < length; ++i) {
+    chain.push({
+      block_identifier: { index: i, hash: i >= forkIndex ? `${i}a` : `${i}` },
+      parent_block_identifier: i === 0 ? { index: 0, hash: '0' } : chain[i - 1].block_identifier,
+      transactions: [],
+    });
+  }
+
+  return chain;
+};
+
+const createMockFetcher = (chain) => ({
+  chain,
+
+  async networkStatusRetry() {
+    return {
+      current_block_identifier: this.chain[this.chain.length - 1].block_identifier,
+      genesis_block_identifier: this.chain[0].block_identifier,
+    };
+  },
+
+  async blockRetry(network, partialBlockIdentifier) {
+    return this.chain[partialBlockIdentifier.index];
+  },
+
+  async blockRange(network, startIndex, endIndex) {
+    return this.chain.slice(startIndex, endIndex + 1);
+  },
+});
+
+// Resolves blocks after the given latency, tracking the number of fetches in flight.
+const createDelayedFetcher = (chain, latencyFn) => {
+  const fetcher = createMockFetcher(chain);
+  fetcher.inFlight = 0;
+  fetcher.maxInFlight = 0;
+  fetcher.requested = [];
+
+  fetcher.blockRetry = function (network, partialBlockIdentifier) {
+    const index = partialBlockIdentifier.index;
+    const block = this.chain[index];
+
+    this.requested.push(index);
+    this.inFlight++;
+    this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+
+    return new Promise(fulfill => setTimeout(() => {
+      this.inFlight--;
+      fulfill(block);
+    }, latencyFn(index)));
+  };
+
+  return fetcher;
+};
+
+const recordEvents = (syncer) => {
+  const events = [];
+
+  syncer.on(RosettaSDK.Syncer.Events.BLOCK_ADDED, (block) => {
+    events.push(`added ${block.block_identifier.hash}`);
+  });
+
+  syncer.on(RosettaSDK.Syncer.Events.BLOCK_REMOVED, (blockIdentifier) => {
+    events.push(`removed ${blockIdentifier.hash}`);
+  });
+
+  return events;
+};
+
+describe('Syncer Checkpoint', function () {
+  it('should persist the checkpoint after each block', async function () {
+    const checkpointStorage = new MemoryStorage();
+    const chain = createChain(3);
+
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(chain),
+      checkpointStorage,
+      pastBlockSize: 2,
+    });
+
+    await syncer.sync(-1, 2);
+
+    expect(await checkpointStorage.get('syncer/checkpoint')).to.deep.equal({
+      next_index: 3,
+      past_blocks: [
+        chain[1].block_identifier,
+        chain[2].block_identifier,
+      ],
+    });
+  });
+
+  it('should resume from the checkpoint after a restart', async function () {
+    const checkpointStorage = new MemoryStorage();
+    const chain = createChain(5);
+
+    const first = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(chain.slice(0, 3)),
+      checkpointStorage,
+    });
+
+    await first.sync(-1, 2);
+
+    const second = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(chain),
+      checkpointStorage,
+    });
+
+    const events = recordEvents(second);
+    await second.sync(-1, 4);
+
+    expect(events).to.deep.equal(['added 3', 'added 4']);
+    expect(second.nextIndex).to.equal(5);
+  });
+
+  it('should remove blocks that were orphaned during a restart', async function () {
+    const checkpointStorage = new MemoryStorage();
+
+    const first = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(4)),
+      checkpointStorage,
+    });
+
+    await first.sync(-1, 3);
+
+    // Blocks 2 and 3 were replaced by a fork.
+    const forkedChain = createChain(5, 2);
+
+    const second = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(forkedChain),
+      checkpointStorage,
+    });
+
+    const events = recordEvents(second);
+    await second.sync(-1, 4);
+
+    expect(events).to.deep.equal([
+      'removed 3',
+      'removed 2',
+      'added 2a',
+      'added 3a',
+      'added 4a',
+    ]);
+
+    expect((await checkpointStorage.get('syncer/checkpoint')).past_blocks.map(b => b.hash))
+      .to.deep.equal(['0', '1', '2a', '3a', '4a']);
+  });
+
+  it('should fail if no stored block is canonical anymore', async function () {
+    const checkpointStorage = new MemoryStorage();
+
+    await checkpointStorage.set('syncer/checkpoint', {
+      next_index: 3,
+      past_blocks: [
+        { index: 1, hash: '1b' },
+        { index: 2, hash: '2b' },
+      ],
+    });
+
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(4)),
+      checkpointStorage,
+    });
+
+    const error = await syncer.sync(-1, 3).catch(e => e);
+    expect(error.name).to.equal('SyncerError');
+    expect(error.message).to.equal(
+      'Unable to set sync start index: Unable to find a common ancestor for block 2 within 1000 blocks'
+    );
+  });
+
+  it('should find the common ancestor of a restart beyond pastBlockSize', async function () {
+    const checkpointStorage = new MemoryStorage();
+    const blockStorage = new BlockStorage({ storage: new MemoryStorage() });
+    const handler = {
+      blockAdded: block => blockStorage.addBlock(block),
+      blockRemoved: blockIdentifier => blockStorage.removeBlock(blockIdentifier),
+    };
+
+    const first = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(8)),
+      checkpointStorage,
+      blockStorage,
+      handler,
+      pastBlockSize: 2,
+    });
+
+    await first.sync(-1, 7);
+
+    // Blocks 3 to 7 were replaced by a fork.
+    const second = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(9, 3)),
+      checkpointStorage,
+      blockStorage,
+      handler,
+      pastBlockSize: 2,
+    });
+
+    const events = recordEvents(second);
+    await second.sync(-1, 8);
+
+    expect(events).to.deep.equal([
+      'removed 7', 'removed 6', 'removed 5', 'removed 4', 'removed 3',
+      'added 3a', 'added 4a', 'added 5a', 'added 6a', 'added 7a', 'added 8a',
+    ]);
+
+    expect((await blockStorage.currentBlock()).hash).to.equal('8a');
+  });
+});
+
+describe('Syncer Lifecycle', function () {
+  const waitFor = (emitter, event) => new Promise(fulfill => emitter.once(event, fulfill));
+
+  it('should stop while waiting at the tip', async function () {
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(3)),
+      defaultSyncSleep: 60 * 1000,
+    });
+
+    const events = recordEvents(syncer);
+    let stoppedAt = null;
+    syncer.on(RosettaSDK.Syncer.Events.SYNC_STOPPED, (nextIndex) => {
+      stoppedAt = nextIndex;
+    });
+
+    const done = syncer.sync(-1, -1);
+    while (syncer.nextIndex !== 3) {
+      await new Promise(fulfill => setImmediate(fulfill));
+    }
+
+    await syncer.stop();
+    await done;
+
+    expect(events).to.deep.equal(['added 0', 'added 1', 'added 2']);
+    expect(stoppedAt).to.equal(3);
+    expect(syncer.syncing).to.equal(false);
+  });
+
+  it('should pause and resume after the current range', async function () {
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(4)),
+      maxSync: 1,
+    });
+
+    const events = recordEvents(syncer);
+    syncer.on(RosettaSDK.Syncer.Events.SYNC_PAUSED, (nextIndex) => events.push(`paused ${nextIndex}`));
+    syncer.on(RosettaSDK.Syncer.Events.SYNC_RESUMED, (nextIndex) => events.push(`resumed ${nextIndex}`));
+
+    syncer.once(RosettaSDK.Syncer.Events.BLOCK_ADDED, () => syncer.pause());
+    syncer.once(RosettaSDK.Syncer.Events.SYNC_PAUSED, () => setImmediate(() => syncer.resume()));
+
+    await syncer.sync(-1, 3);
+
+    expect(events).to.deep.equal([
+      'added 0',
+      'added 1',
+      'paused 2',
+      'resumed 2',
+      'added 2',
+      'added 3',
+    ]);
+  });
+
+  it('should stop a paused sync', async function () {
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(4)),
+      maxSync: 1,
+    });
+
+    syncer.pause();
+    const paused = waitFor(syncer, RosettaSDK.Syncer.Events.SYNC_PAUSED);
+    const done = syncer.sync(-1, 3);
+
+    await paused;
+    await syncer.stop();
+    await done;
+
+    expect(syncer.nextIndex).to.equal(0);
+  });
+
+  it('should stop when the abort signal fires', async function () {
+    const EventEmitter = require('events');
+    const signal = Object.assign(new EventEmitter(), {
+      aborted: false,
+      addEventListener(event, listener) { this.on(event, listener); },
+      removeEventListener(event, listener) { this.removeListener(event, listener); },
+    });
+
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(2)),
+      defaultSyncSleep: 60 * 1000,
+    });
+
+    const stopped = waitFor(syncer, RosettaSDK.Syncer.Events.SYNC_STOPPED);
+    syncer.once(RosettaSDK.Syncer.Events.BLOCK_ADDED, () => {
+      signal.aborted = true;
+      signal.emit('abort');
+    });
+
+    await syncer.sync(-1, -1, { signal });
+    await stopped;
+
+    expect(signal.listenerCount('abort')).to.equal(0);
+  });
+
+  it('should not allow concurrent syncs', async function () {
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(2)),
+      defaultSyncSleep: 60 * 1000,
+    });
+
+    const done = syncer.sync(-1, -1);
+    const error = await syncer.sync(-1, -1).catch(e => e);
+
+    expect(error.name).to.equal('SyncerError');
+    expect(error.message).to.equal('Sync is already running');
+
+    await syncer.stop();
+    await done;
+  });
+});
+
+describe('Syncer Pipeline', function () {
+  it('should keep fetches in flight and process blocks in order', async function () {
+    // Later blocks arrive first.
+    const fetcher = createDelayedFetcher(createChain(12), index => 24 - index * 2);
+
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher,
+      concurrency: 4,
+      minConcurrency: 4,
+      maxConcurrency: 4,
+    });
+
+    const events = recordEvents(syncer);
+    await syncer.sync(-1, 11);
+
+    expect(fetcher.maxInFlight).to.equal(4);
+    expect(events).to.deep.equal(createChain(12).map(b => `added ${b.block_identifier.hash}`));
+  });
+
+  it('should discard prefetched blocks on re-org', async function () {
+    const chain = createChain(6);
+    const fetcher = createDelayedFetcher(chain, () => 1);
+
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher,
+      concurrency: 3,
+      minConcurrency: 3,
+      maxConcurrency: 3,
+    });
+
+    const events = recordEvents(syncer);
+
+    // Switch to a fork starting at block 3 after block 2 was processed,
+    // while blocks 3 and 4 of the old chain are already being fetched.
+    syncer.on(RosettaSDK.Syncer.Events.BLOCK_ADDED, (block) => {
+      if (block.block_identifier.hash === '2') {
+        fetcher.chain = createChain(6, 3);
+      }
+    });
+
+    await syncer.sync(-1, 5);
+
+    expect(events).to.deep.equal([
+      'added 0',
+      'added 1',
+      'added 2',
+      'added 3',
+      'added 4',
+      'removed 4',
+      'removed 3',
+      'added 3a',
+      'added 4a',
+      'added 5a',
+    ]);
+
+    // Block 5 is fetched again, blocks 3 and 2 are looked up to find
+    // the common ancestor, then the prefetched blocks are fetched again.
+    expect(fetcher.requested).to.deep.equal([0, 1, 2, 3, 4, 5, 5, 3, 2, 3, 4, 5]);
+  });
+
+  it('should adapt concurrency to the observed latency', async function () {
+    const slowSyncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createDelayedFetcher(createChain(10), () => 20),
+      concurrency: 8,
+      targetLatency: 5,
+    });
+
+    await slowSyncer.sync(-1, 9);
+    expect(slowSyncer.concurrency).to.be.below(8);
+
+    const fastSyncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createDelayedFetcher(createChain(10), () => 0),
+      concurrency: 2,
+      targetLatency: 1000,
+    });
+
+    await fastSyncer.sync(-1, 9);
+    expect(fastSyncer.concurrency).to.be.above(2);
+  });
+});
+
+describe('Syncer Handler', function () {
+  it('should await the handler before advancing', async function () {
+    const calls = [];
+    let syncer;
+
+    const handler = {
+      async blockAdded(block) {
+        calls.push(`added ${block.block_identifier.hash} at ${syncer.nextIndex}`);
+        await new Promise(fulfill => setTimeout(fulfill, 5));
+      },
+    };
+
+    syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(3)),
+      handler,
+    });
+
+    const events = recordEvents(syncer);
+    await syncer.sync(-1, 2);
+
+    expect(calls).to.deep.equal(['added 0 at 0', 'added 1 at 1', 'added 2 at 2']);
+    expect(events).to.deep.equal(['added 0', 'added 1', 'added 2']);
+  });
+
+  it('should call blockRemoved on re-org', async function () {
+    const calls = [];
+    const fetcher = createMockFetcher(createChain(3));
+
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher,
+      concurrency: 1,
+      minConcurrency: 1,
+      maxConcurrency: 1,
+      handler: {
+        blockAdded: async (block) => {
+          calls.push(`added ${block.block_identifier.hash}`);
+          if (block.block_identifier.hash === '2') {
+            fetcher.chain = createChain(4, 2);
+          }
+        },
+        blockRemoved: async (blockIdentifier) => {
+          calls.push(`removed ${blockIdentifier.hash}`);
+        },
+      },
+    });
+
+    await syncer.sync(-1, 3);
+
+    expect(calls).to.deep.equal([
+      'added 0',
+      'added 1',
+      'added 2',
+      'removed 2',
+      'added 2a',
+      'added 3a',
+    ]);
+  });
+
+  it('should surface handler errors with the failing block', async function () {
+    const events = [];
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(3)),
+      handler: {
+        blockAdded: async (block) => {
+          if (block.block_identifier.index === 1) {
+            throw new Error('database unavailable');
+          }
+        },
+      },
+    });
+
+    syncer.on(RosettaSDK.Syncer.Events.BLOCK_ADDED, (block) => {
+      events.push(block.block_identifier.hash);
+    });
+
+    const error = await syncer.sync(-1, 2).catch(e => e);
+
+    expect(error.name).to.equal('SyncerError');
+    expect(error.message).to.contain('database unavailable');
+    expect(error.block.block_identifier.hash).to.equal('1');
+    expect(events).to.deep.equal(['0']);
+    expect(syncer.nextIndex).to.equal(1);
+  });
+});
+
+describe('Syncer Re-org', function () {
+  const syncChain = async (options, length) => {
+    const fetcher = createMockFetcher(createChain(length));
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher,
+      pastBlockSize: 3,
+      ...options,
+    });
+
+    await syncer.sync(-1, length - 1);
+    return { syncer, fetcher };
+  };
+
+  it('should find the common ancestor beyond pastBlockSize', async function () {
+    const blockStorage = new BlockStorage({ storage: new MemoryStorage() });
+    const handler = {
+      blockAdded: block => blockStorage.addBlock(block),
+      blockRemoved: blockIdentifier => blockStorage.removeBlock(blockIdentifier),
+    };
+
+    const { syncer, fetcher } = await syncChain({ blockStorage, handler }, 12);
+
+    const events = recordEvents(syncer);
+    const reorgs = [];
+    syncer.on(RosettaSDK.Syncer.Events.REORG, reorg => reorgs.push(reorg));
+
+    fetcher.chain = createChain(13, 4);
+    await syncer.sync(12, 12);
+
+    const hashes = identifiers => identifiers.map(b => b.hash);
+
+    expect(reorgs.length).to.equal(1);
+    expect(reorgs[0].commonAncestor).to.deep.equal({ index: 3, hash: '3' });
+    expect(hashes(reorgs[0].orphaned)).to.deep.equal(['4', '5', '6', '7', '8', '9', '10', '11']);
+    expect(hashes(reorgs[0].newBranch)).to.deep.equal(
+      ['4a', '5a', '6a', '7a', '8a', '9a', '10a', '11a', '12a']
+    );
+
+    expect(events).to.deep.equal([
+      'removed 11', 'removed 10', 'removed 9', 'removed 8',
+      'removed 7', 'removed 6', 'removed 5', 'removed 4',
+      'added 4a', 'added 5a', 'added 6a', 'added 7a', 'added 8a',
+      'added 9a', 'added 10a', 'added 11a', 'added 12a',
+    ]);
+
+    expect((await blockStorage.currentBlock()).hash).to.equal('12a');
+    expect(hashes(syncer.pastBlocks)).to.deep.equal(['10a', '11a', '12a']);
+  });
+
+  [null, 1].forEach((confirmationDepth) => {
+    it(`should not re-org on a stale prefetched block (confirmationDepth ${confirmationDepth})`, async function () {
+      const fetcher = createDelayedFetcher(createChain(4, 1), () => 1);
+      const blockRetry = fetcher.blockRetry;
+
+      // Block 2 of the old chain was prefetched before block 1 was replaced by 1a.
+      let staleServed = false;
+      fetcher.blockRetry = function (network, partialBlockIdentifier) {
+        if (partialBlockIdentifier.index === 2 && !staleServed) {
+          staleServed = true;
+          return Promise.resolve(createChain(4)[2]);
+        }
+
+        return blockRetry.call(this, network, partialBlockIdentifier);
+      };
+
+      const syncer = new RosettaSDK.Syncer({
+        networkIdentifier,
+        fetcher,
+        confirmationDepth,
+        concurrency: 3,
+        minConcurrency: 3,
+        maxConcurrency: 3,
+      });
+
+      const events = recordEvents(syncer);
+      const reorgs = [];
+      syncer.on(RosettaSDK.Syncer.Events.REORG, reorg => reorgs.push(reorg));
+
+      await syncer.sync(-1, 3);
+
+      expect(reorgs).to.deep.equal([]);
+      expect(events).to.deep.equal(['added 0', 'added 1a', 'added 2a', 'added 3a']);
+      expect(syncer.pastBlocks.map(b => b.hash)).to.deep.equal(['0', '1a', '2a', '3a']);
+    });
+  });
+
+  it('should fail if the re-org is deeper than the available history', async function () {
+    const { syncer, fetcher } = await syncChain({}, 8);
+
+    fetcher.chain = createChain(9, 2);
+    const error = await syncer.sync(8, 8).catch(e => e);
+
+    expect(error.name).to.equal('SyncerError');
+    expect(error.message).to.contain('Unable to find a common ancestor for block 8 within 1000 blocks');
+    expect(error.block.block_identifier.hash).to.equal('8a');
+    expect(syncer.nextIndex).to.equal(8);
+  });
+
+  it('should fail if the re-org is deeper than maxReorgDepth', async function () {
+    const { syncer, fetcher } = await syncChain({ maxReorgDepth: 2, pastBlockSize: 40 }, 8);
+
+    fetcher.chain = createChain(9, 4);
+    const error = await syncer.sync(8, 8).catch(e => e);
+
+    expect(error.name).to.equal('SyncerError');
+    expect(error.message).to.contain('Unable to find a common ancestor for block 8 within 2 blocks');
+    expect(syncer.pastBlocks.length).to.equal(8);
+  });
+});
+
+describe('Syncer Finality', function () {
+  const recordFinality = (syncer) => {
+    const events = recordEvents(syncer);
+
+    syncer.on(RosettaSDK.Syncer.Events.BLOCK_FINALIZED, (block) => {
+      events.push(`finalized ${block.block_identifier.hash}`);
+    });
+
+    return events;
+  };
+
+  it('should finalize blocks confirmationDepth blocks below the head', async function () {
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(5)),
+      confirmationDepth: 2,
+    });
+
+    const events = recordFinality(syncer);
+    await syncer.sync(-1, 4);
+
+    expect(events).to.deep.equal([
+      'added 0',
+      'added 1',
+      'added 2',
+      'finalized 0',
+      'added 3',
+      'finalized 1',
+      'added 4',
+      'finalized 2',
+    ]);
+    expect(syncer.finalizedIndex).to.equal(2);
+  });
+
+  it('should not finalize blocks removed by a re-org', async function () {
+    const fetcher = createMockFetcher(createChain(5));
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher,
+      confirmationDepth: 2,
+    });
+
+    await syncer.sync(-1, 4);
+
+    const events = recordFinality(syncer);
+    fetcher.chain = createChain(7, 4);
+    await syncer.sync(5, 6);
+
+    expect(events).to.deep.equal([
+      'removed 4',
+      'added 4a',
+      'added 5a',
+      'finalized 3',
+      'added 6a',
+      'finalized 4a',
+    ]);
+  });
+
+  it('should fail if a re-org removes a finalized block', async function () {
+    const fetcher = createMockFetcher(createChain(5));
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher,
+      confirmationDepth: 1,
+    });
+
+    await syncer.sync(-1, 4);
+
+    fetcher.chain = createChain(6, 3);
+    const error = await syncer.sync(5, 5).catch(e => e);
+
+    expect(error.name).to.equal('SyncerError');
+    expect(error.message).to.contain('Unable to remove finalized block 3');
+    expect(syncer.nextIndex).to.equal(5);
+  });
+
+  it('should finalize pending blocks after a restart', async function () {
+    const checkpointStorage = new MemoryStorage();
+
+    const first = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(5)),
+      checkpointStorage,
+      confirmationDepth: 2,
+    });
+
+    await first.sync(-1, 4);
+    expect((await checkpointStorage.get('syncer/checkpoint')).finalized_index).to.equal(2);
+
+    const second = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(7)),
+      checkpointStorage,
+      confirmationDepth: 2,
+    });
+
+    const events = recordFinality(second);
+    await second.sync(-1, 6);
+
+    expect(events).to.deep.equal([
+      'added 5',
+      'finalized 3',
+      'added 6',
+      'finalized 4',
+    ]);
+  });
+});
+
+describe('Syncer Progress', function () {
+  it('should emit progress after each range', async function () {
+    const chain = createChain(6);
+    chain[1].transactions = [{}, {}];
+    chain[4].transactions = [{}];
+
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createDelayedFetcher(chain, () => 1),
+      maxSync: 2,
+    });
+
+    const progress = [];
+    syncer.on(RosettaSDK.Syncer.Events.PROGRESS, status => progress.push(status));
+
+    await syncer.sync(-1, 5);
+
+    expect(progress.map(p => p.currentIndex)).to.deep.equal([2, 5]);
+    expect(progress.map(p => p.tipIndex)).to.deep.equal([5, 5]);
+    expect(progress[0].etaSeconds).to.be.above(0);
+    expect(progress[1].etaSeconds).to.equal(0);
+
+    const status = progress[1];
+    expect(status.syncing).to.equal(true);
+    expect(status.blocksPerSecond).to.be.above(0);
+    expect(status.transactionsPerSecond).to.be.closeTo(status.blocksPerSecond / 2, 1e-9);
+  });
+
+  it('should report the status', async function () {
+    const syncer = new RosettaSDK.Syncer({
+      networkIdentifier,
+      fetcher: createMockFetcher(createChain(3)),
+    });
+
+    expect(syncer.getStatus()).to.deep.equal({
+      syncing: false,
+      paused: false,
+      currentIndex: null,
+      tipIndex: null,
+      blocksPerSecond: 0,
+      transactionsPerSecond: 0,
+      etaSeconds: null,
+    });
+
+    await syncer.sync(-1, 2);
+
+    const status = syncer.getStatus();
+    expect(status.syncing).to.equal(false);
+    expect(status.currentIndex).to.equal(2);
+    expect(status.tipIndex).to.equal(2);
+    expect(status.etaSeconds).to.equal(0);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Copyright (c) 2020 DigiByte Foundation NZ Limited
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS
+ * FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR
+ * COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER
+ * IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ * CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// utils.test.js
+const { expect } = require('chai');
+const { Hash, CanonicalJSON } = require('../lib/utils');
+
+describe('Utils', function () {
+  describe('Test CanonicalJSON', function () {
+    it('should sort object keys recursively', function () {
+      const a = { b: 1, a: { d: 'x', c: [1, 2] } };
+      const b = { a: { c: [1, 2], d: 'x' }, b: 1 };
+
+      expect(CanonicalJSON(a)).to.equal('{"a":{"c":[1,2],"d":"x"},"b":1}');
+      expect(CanonicalJSON(a)).to.equal(CanonicalJSON(b));
+    });
+
+    it('should preserve array ordering', function () {
+      expect(CanonicalJSON([1, 2])).to.not.equal(CanonicalJSON([2, 1]));
+    });
+
+    it('should handle null and undefined', function () {
+      expect(CanonicalJSON(null)).to.equal('null');
+      expect(CanonicalJSON(undefined)).to.equal('null');
+      expect(CanonicalJSON({ a: undefined, b: null })).to.equal('{"b":null}');
+      expect(CanonicalJSON([undefined, null])).to.equal('[null,null]');
+    });
+
+    it('should distinguish strings from numbers', function () {
+      expect(CanonicalJSON({ index: 1 })).to.not.equal(CanonicalJSON({ index: '1' }));
+    });
+
+    it('should serialize bigints as strings', function () {
+      expect(CanonicalJSON({ value: 100n })).to.equal('{"value":"100"}');
+      expect(CanonicalJSON({ value: 1n })).to.not.equal(CanonicalJSON({ value: 1 }));
+    });
+
+    it('should escape keys and values', function () {
+      expect(CanonicalJSON({ 'a"b': 'c:d|e' })).to.equal('{"a\\"b":"c:d|e"}');
+    });
+
+    it('should reject values that cannot be serialized', function () {
+      expect(() => CanonicalJSON(NaN)).to.throw('Cannot serialize non-finite number NaN');
+      expect(() => CanonicalJSON({ a: () => {} })).to.throw('Invalid type function for CanonicalJSON');
+    });
+  });
+
+  describe('Test Hash', function () {
+    it('should return a sha256 hex digest', function () {
+      expect(Hash({ hash: 'block 1', index: 1 })).to.match(/^[0-9a-f]{64}$/);
+    });
+
+    it('should be independent of key ordering', function () {
+      expect(Hash({ hash: 'block 1', index: 1 })).to.equal(Hash({ index: 1, hash: 'block 1' }));
+    });
+
+    it('should not collide for values that the old hash mixed up', function () {
+      // "Aa" and "BB" share the same 32 bit Java hashCode.
+      expect(Hash('Aa')).to.not.equal(Hash('BB'));
+      expect(Hash({ a: 'b|c:d' })).to.not.equal(Hash({ a: 'b', c: 'd' }));
+      expect(Hash({ index: 1 })).to.not.equal(Hash({ index: '1' }));
+      expect(Hash({ value: 1n })).to.not.equal(Hash({ value: 1 }));
+    });
+
+    it('should not patch String.prototype', function () {
+      expect(String.prototype.hashCode).to.equal(undefined);
+    });
+  });
+});